@@ -3,24 +3,136 @@
 let canvas = null;
 let ctx = null;
 
+const SCALE = 20; // pixels per unit
+const HANDLE_RADIUS = 7; // grab radius for the v1/v2 tips, in pixels
+const SNAP = 0.1; // dragged coordinates snap to this step
+
+// Which operation is overlaid on the vectors (null = just v1 and v2).
+// "Draw" clears it, "Do Operation" or picking from the menu sets it.
+let activeOp = null;
+
+// "v1" / "v2" while a tip is being dragged
+let dragging = null;
+
 function clearCanvas() {
   // black background
   ctx.fillStyle = "rgba(0,0,0,1.0)";
   ctx.fillRect(0, 0, canvas.width, canvas.height);
 }
 
-function drawVector(v, color) {
-  const scale = 20;
-  const ox = canvas.width / 2;
-  const oy = canvas.height / 2;
+// vector space -> canvas pixels (y points up in vector space)
+function toCanvas(x, y) {
+  return [canvas.width / 2 + x * SCALE, canvas.height / 2 - y * SCALE];
+}
+
+// canvas pixels -> vector space
+function fromCanvas(px, py) {
+  return [(px - canvas.width / 2) / SCALE, (canvas.height / 2 - py) / SCALE];
+}
+
+function drawAxes() {
+  const [ox, oy] = toCanvas(0, 0);
 
+  ctx.lineWidth = 1;
+  ctx.strokeStyle = "rgba(255,255,255,0.08)";
   ctx.beginPath();
-  ctx.moveTo(ox, oy);
-  ctx.lineTo(ox + v.elements[0] * scale, oy - v.elements[1] * scale);
+  for (let px = ox % SCALE; px < canvas.width; px += SCALE) {
+    ctx.moveTo(px, 0);
+    ctx.lineTo(px, canvas.height);
+  }
+  for (let py = oy % SCALE; py < canvas.height; py += SCALE) {
+    ctx.moveTo(0, py);
+    ctx.lineTo(canvas.width, py);
+  }
+  ctx.stroke();
+
+  ctx.strokeStyle = "rgba(255,255,255,0.25)";
+  ctx.beginPath();
+  ctx.moveTo(ox, 0);
+  ctx.lineTo(ox, canvas.height);
+  ctx.moveTo(0, oy);
+  ctx.lineTo(canvas.width, oy);
+  ctx.stroke();
+}
+
+function drawVector(v, color, opt_from) {
+  const from = opt_from ? opt_from.elements : [0, 0, 0];
+  const [x0, y0] = toCanvas(from[0], from[1]);
+  const [x1, y1] = toCanvas(from[0] + v.elements[0], from[1] + v.elements[1]);
+
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
 
   ctx.strokeStyle = color;
   ctx.lineWidth = 2;
   ctx.stroke();
+
+  // arrow head
+  const len = Math.hypot(x1 - x0, y1 - y0);
+  if (len > 1) {
+    const ux = (x1 - x0) / len, uy = (y1 - y0) / len;
+    const head = Math.min(8, len / 2);
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x1 - ux * head - uy * head * 0.5, y1 - uy * head + ux * head * 0.5);
+    ctx.lineTo(x1 - ux * head + uy * head * 0.5, y1 - uy * head - ux * head * 0.5);
+    ctx.closePath();
+    ctx.fillStyle = color;
+    ctx.fill();
+  }
+}
+
+function drawDashed(a, b, color) {
+  const [x0, y0] = toCanvas(a[0], a[1]);
+  const [x1, y1] = toCanvas(b[0], b[1]);
+  ctx.save();
+  ctx.setLineDash([4, 4]);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(x0, y0);
+  ctx.lineTo(x1, y1);
+  ctx.stroke();
+  ctx.restore();
+}
+
+function drawHandle(v, color) {
+  const [x, y] = toCanvas(v.elements[0], v.elements[1]);
+  ctx.beginPath();
+  ctx.arc(x, y, HANDLE_RADIUS - 2, 0, Math.PI * 2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+}
+
+// text label next to a point in vector space
+function drawLabel(text, x, y, color) {
+  const [px, py] = toCanvas(x, y);
+  ctx.font = "12px monospace";
+  ctx.fillStyle = color;
+  ctx.fillText(text, px + 8, py - 8);
+}
+
+// lines of text in the top-left corner, each [text, color]
+function drawReadout(lines) {
+  ctx.font = "12px monospace";
+  const w = Math.max(...lines.map(([text]) => ctx.measureText(text).width)) + 12;
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(4, 4, w, lines.length * 16 + 8);
+  lines.forEach(([text, color], i) => {
+    ctx.fillStyle = color;
+    ctx.fillText(text, 10, 20 + i * 16);
+  });
+}
+
+function fmt(x) {
+  return (Math.abs(x) < 5e-4 ? 0 : x).toFixed(2);
+}
+
+function fmtVec(v) {
+  const e = v.elements;
+  return `(${fmt(e[0])}, ${fmt(e[1])}, ${fmt(e[2])})`;
 }
 
 function getNum(id) {
@@ -29,11 +141,11 @@ function getNum(id) {
 }
 
 function readV1() {
-  return new Vector3([getNum("v1x"), getNum("v1y"), 0.0]);
+  return new Vector3([getNum("v1x"), getNum("v1y"), getNum("v1z")]);
 }
 
 function readV2() {
-  return new Vector3([getNum("v2x"), getNum("v2y"), 0.0]);
+  return new Vector3([getNum("v2x"), getNum("v2y"), getNum("v2z")]);
 }
 
 function main() {
@@ -44,6 +156,9 @@ function main() {
   }
   ctx = canvas.getContext("2d");
 
+  setupPlayground();
+  setup3DView();
+
   clearCanvas();
   // draw default vectors once on load
   handleDrawEvent();
@@ -51,92 +166,679 @@ function main() {
 
 // Step 3 + 4
 function handleDrawEvent() {
-  clearCanvas();
-
-  const v1 = readV1();
-  const v2 = readV2();
-
-  drawVector(v1, "red");
-  drawVector(v2, "blue");
+  activeOp = null;
+  redraw();
 }
 
 // Step 5–8
 function handleDrawOperationEvent() {
+  activeOp = document.getElementById("opSelect").value;
+  redraw();
+}
+
+function redraw() {
   clearCanvas();
+  drawAxes();
 
   const v1 = readV1();
   const v2 = readV2();
+  const readout = [
+    [`v1 = ${fmtVec(v1)}  |v1| = ${fmt(v1.magnitude())}`, "red"],
+    [`v2 = ${fmtVec(v2)}  |v2| = ${fmt(v2.magnitude())}`, "#6af"],
+  ];
+
+  // the operation goes underneath so v1/v2 and their handles stay on top
+  if (activeOp) {
+    drawOperation(activeOp, v1, v2, readout);
+  }
+  if (transformSteps.length > 0) {
+    drawTransform2D(currentTransform(), v1, v2, readout);
+  }
 
-  // always draw original vectors
   drawVector(v1, "red");
   drawVector(v2, "blue");
+  drawHandle(v1, "red");
+  drawHandle(v2, "blue");
+  drawLabel("v1", v1.elements[0], v1.elements[1], "red");
+  drawLabel("v2", v2.elements[0], v2.elements[1], "#6af");
+
+  drawReadout(readout);
 
-  const op = document.getElementById("opSelect").value;
+  drawScene3D(v1, v2);
+}
+
+function drawOperation(op, v1, v2, readout) {
   const s = parseFloat(document.getElementById("scalar").value);
+  const GREEN = "#3c3";
 
   if (op === "add") {
-    const v3 = new Vector3(v1.elements); // copy
-    v3.add(v2);
-    drawVector(v3, "green");
+    const v3 = Vector3.add(v1, v2);
+    drawVector(v2, "rgba(0,0,255,0.4)", v1); // tip-to-tail
+    drawVector(v3, GREEN);
+    readout.push([`v1 + v2 = ${fmtVec(v3)}`, GREEN]);
   } else if (op === "sub") {
-    const v3 = new Vector3(v1.elements);
-    v3.sub(v2);
-    drawVector(v3, "green");
+    const v3 = Vector3.sub(v1, v2);
+    drawVector(v3, "rgba(60,200,60,0.4)", v2); // from v2's tip to v1's tip
+    drawVector(v3, GREEN);
+    readout.push([`v1 - v2 = ${fmtVec(v3)}`, GREEN]);
   } else if (op === "mul") {
-    const v3 = new Vector3(v1.elements);
-    const v4 = new Vector3(v2.elements);
-    v3.mul(s);
-    v4.mul(s);
-    drawVector(v3, "green");
-    drawVector(v4, "green");
+    const v3 = Vector3.mul(v1, s);
+    const v4 = Vector3.mul(v2, s);
+    drawVector(v3, GREEN);
+    drawVector(v4, GREEN);
+    readout.push([`v1 * ${fmt(s)} = ${fmtVec(v3)}`, GREEN]);
+    readout.push([`v2 * ${fmt(s)} = ${fmtVec(v4)}`, GREEN]);
   } else if (op === "div") {
-    const v3 = new Vector3(v1.elements);
-    const v4 = new Vector3(v2.elements);
-    v3.div(s);
-    v4.div(s);
-    drawVector(v3, "green");
-    drawVector(v4, "green");
-  } else if (op === "magnitude") {
-    console.log("||v1|| =", v1.magnitude());
-    console.log("||v2|| =", v2.magnitude());
-
-    // also visualize by drawing normalized vectors in green
-    const n1 = new Vector3(v1.elements);
-    const n2 = new Vector3(v2.elements);
-    n1.normalize();
-    n2.normalize();
-    drawVector(n1, "green");
-    drawVector(n2, "green");
-  } else if (op === "normalize") {
-    const n1 = new Vector3(v1.elements);
-    const n2 = new Vector3(v2.elements);
-    n1.normalize();
-    n2.normalize();
-    drawVector(n1, "green");
-    drawVector(n2, "green");
+    if (s === 0) {
+      readout.push(["cannot divide by 0", "orange"]);
+      return;
+    }
+    const v3 = Vector3.div(v1, s);
+    const v4 = Vector3.div(v2, s);
+    drawVector(v3, GREEN);
+    drawVector(v4, GREEN);
+    readout.push([`v1 / ${fmt(s)} = ${fmtVec(v3)}`, GREEN]);
+    readout.push([`v2 / ${fmt(s)} = ${fmtVec(v4)}`, GREEN]);
+  } else if (op === "magnitude" || op === "normalize") {
+    // visualize by drawing the unit vectors in green
+    const n1 = Vector3.normalize(v1);
+    const n2 = Vector3.normalize(v2);
+    drawUnitCircle();
+    drawVector(n1, GREEN);
+    drawVector(n2, GREEN);
+    if (op === "magnitude") {
+      readout.push([`||v1|| = ${fmt(v1.magnitude())}`, GREEN]);
+      readout.push([`||v2|| = ${fmt(v2.magnitude())}`, GREEN]);
+    } else {
+      readout.push([`v1 / |v1| = ${fmtVec(n1)}`, GREEN]);
+      readout.push([`v2 / |v2| = ${fmtVec(n2)}`, GREEN]);
+    }
   } else if (op === "angle") {
-    const ang = angleBetween(v1, v2);
-    console.log("Angle between v1 and v2 (degrees) =", ang);
+    const ang = Vector3.angleBetween(v1, v2);
+    drawAngleArc(v1, v2, GREEN);
+    readout.push([`angle(v1, v2) = ${isNaN(ang) ? "undefined" : fmt(ang) + "°"}`, GREEN]);
+  } else if (op === "area") {
+    const area = Vector3.areaTriangle(v1, v2);
+    drawParallelogram(v1, v2);
+    readout.push([`parallelogram = |v1 x v2| = ${fmt(area * 2)}`, GREEN]);
+    readout.push([`triangle = |v1 x v2| / 2 = ${fmt(area)}`, GREEN]);
+  } else if (op === "dot") {
+    const d = Vector3.dot(v1, v2);
+    const p = Vector3.project(v1, v2);
+    drawDashed(v1.elements, p.elements, "rgba(255,255,255,0.5)");
+    drawVector(p, GREEN);
+    readout.push([`v1 · v2 = ${fmt(d)}`, GREEN]);
+    readout.push([`|v1| cos θ = v1 · v2 / |v2| = ${fmt(d / (v2.magnitude() || 1))}`, GREEN]);
+  } else if (op === "cross") {
+    const c = Vector3.cross(v1, v2);
+    const z = c.elements[2];
+    drawParallelogram(v1, v2);
+    drawOutOfPlane(z, GREEN);
+    readout.push([`v1 x v2 = ${fmtVec(c)}`, GREEN]);
+    readout.push([z > 0 ? "points out of the screen (counter-clockwise)" :
+                  z < 0 ? "points into the screen (clockwise)" : "parallel: zero vector", GREEN]);
+  } else if (op === "project") {
+    const p = Vector3.project(v1, v2);
+    drawDashed(v1.elements, p.elements, "rgba(255,255,255,0.5)");
+    drawVector(p, GREEN);
+    drawLabel("proj", p.elements[0], p.elements[1], GREEN);
+    readout.push([`proj of v1 on v2 = ${fmtVec(p)}`, GREEN]);
+  } else if (op === "reflect") {
+    // mirror line through the origin, perpendicular to v2
+    const n = Vector3.normalize(v2);
+    const r = Vector3.reflect(v1, n);
+    const [nx, ny] = n.elements;
+    drawDashed([-ny * 20, nx * 20], [ny * 20, -nx * 20], "rgba(255,255,255,0.5)");
+    drawVector(r, GREEN);
+    drawLabel("r", r.elements[0], r.elements[1], GREEN);
+    readout.push([`v1 reflected (normal v2) = ${fmtVec(r)}`, GREEN]);
+  }
+}
+
+function drawUnitCircle() {
+  const [ox, oy] = toCanvas(0, 0);
+  ctx.beginPath();
+  ctx.arc(ox, oy, SCALE, 0, Math.PI * 2);
+  ctx.strokeStyle = "rgba(60,200,60,0.35)";
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+function drawAngleArc(v1, v2, color) {
+  const a1 = Math.atan2(v1.elements[1], v1.elements[0]);
+  const a2 = Math.atan2(v2.elements[1], v2.elements[0]);
+  // always sweep the smaller angle; canvas angles run clockwise, so negate
+  let delta = a2 - a1;
+  if (delta > Math.PI) delta -= Math.PI * 2;
+  if (delta < -Math.PI) delta += Math.PI * 2;
+
+  const r = 1.2 * SCALE;
+  const [ox, oy] = toCanvas(0, 0);
+  ctx.beginPath();
+  ctx.moveTo(ox, oy);
+  ctx.arc(ox, oy, r, -a1, -(a1 + delta), delta > 0);
+  ctx.closePath();
+  ctx.fillStyle = "rgba(60,200,60,0.25)";
+  ctx.fill();
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 1;
+  ctx.stroke();
+
+  const mid = a1 + delta / 2;
+  drawLabel(`${fmt(Math.abs(delta) * 180 / Math.PI)}°`, 1.3 * Math.cos(mid), 1.3 * Math.sin(mid), color);
+}
+
+function drawParallelogram(v1, v2) {
+  const corners = [[0, 0], v1.elements, Vector3.add(v1, v2).elements, v2.elements];
+  ctx.beginPath();
+  corners.forEach((c, i) => {
+    const [px, py] = toCanvas(c[0], c[1]);
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  ctx.closePath();
+  ctx.fillStyle = "rgba(60,200,60,0.2)";
+  ctx.fill();
+
+  // the triangle spanned by v1 and v2 is half of it
+  const [x1, y1] = toCanvas(v1.elements[0], v1.elements[1]);
+  const [x2, y2] = toCanvas(v2.elements[0], v2.elements[1]);
+  ctx.beginPath();
+  ctx.moveTo(x1, y1);
+  ctx.lineTo(x2, y2);
+  ctx.strokeStyle = "rgba(60,200,60,0.6)";
+  ctx.lineWidth = 1;
+  ctx.stroke();
+}
+
+// 2D stand-in for the z axis: a dot (out of the screen) or an x (into it)
+function drawOutOfPlane(z, color) {
+  if (z === 0) return;
+  const [ox, oy] = toCanvas(0, 0);
+  const r = Math.min(20, 4 + Math.sqrt(Math.abs(z)) * 3);
+  ctx.beginPath();
+  ctx.arc(ox, oy, r, 0, Math.PI * 2);
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.stroke();
+  ctx.beginPath();
+  if (z > 0) {
+    ctx.arc(ox, oy, 2.5, 0, Math.PI * 2);
+    ctx.fillStyle = color;
+    ctx.fill();
+  } else {
+    const d = r * 0.6;
+    ctx.moveTo(ox - d, oy - d); ctx.lineTo(ox + d, oy + d);
+    ctx.moveTo(ox + d, oy - d); ctx.lineTo(ox - d, oy + d);
+    ctx.stroke();
+  }
+}
+
+// ----- Playground: drag the tips of v1/v2, everything recomputes live -----
+
+function setupPlayground() {
+  canvas.style.touchAction = "none"; // let pointer events have touch drags
+
+  canvas.addEventListener("pointerdown", (ev) => {
+    const [px, py] = eventPos(ev);
+    dragging = pickHandle(px, py);
+    if (dragging) {
+      canvas.setPointerCapture(ev.pointerId);
+      moveHandle(dragging, px, py);
+    }
+  });
+
+  canvas.addEventListener("pointermove", (ev) => {
+    const [px, py] = eventPos(ev);
+    if (dragging) {
+      moveHandle(dragging, px, py);
+    } else {
+      canvas.style.cursor = pickHandle(px, py) ? "grab" : "default";
+    }
+  });
+
+  const endDrag = () => { dragging = null; };
+  canvas.addEventListener("pointerup", endDrag);
+  canvas.addEventListener("pointercancel", endDrag);
+
+  // typing in any field updates the picture right away
+  for (const id of ["v1x", "v1y", "v1z", "v2x", "v2y", "v2z", "scalar"]) {
+    document.getElementById(id).addEventListener("input", redraw);
+  }
+  document.getElementById("opSelect").addEventListener("change", handleDrawOperationEvent);
+}
+
+function eventPos(ev) {
+  // account for CSS scaling of the canvas
+  const rect = canvas.getBoundingClientRect();
+  return [
+    (ev.clientX - rect.left) * (canvas.width / rect.width),
+    (ev.clientY - rect.top) * (canvas.height / rect.height),
+  ];
+}
+
+// "v1", "v2" or null; v2 wins ties since it is drawn last
+function pickHandle(px, py) {
+  for (const [name, v] of [["v2", readV2()], ["v1", readV1()]]) {
+    const [hx, hy] = toCanvas(v.elements[0], v.elements[1]);
+    if (Math.hypot(px - hx, py - hy) <= HANDLE_RADIUS + 3) {
+      return name;
+    }
+  }
+  return null;
+}
+
+function moveHandle(name, px, py) {
+  const [x, y] = fromCanvas(px, py).map((c) => Math.round(c / SNAP) * SNAP);
+  document.getElementById(name + "x").value = x.toFixed(1);
+  document.getElementById(name + "y").value = y.toFixed(1);
+  redraw();
+}
+
+// ----- 3D view: the same vectors in WebGL, with an orbit camera -----
+
+const VERTEX_SHADER = `
+  attribute vec4 a_Position;
+  uniform mat4 u_MvpMatrix;
+  void main() {
+    gl_Position = u_MvpMatrix * a_Position;
+  }
+`;
+
+const FRAGMENT_SHADER = `
+  precision mediump float;
+  uniform vec4 u_FragColor;
+  void main() {
+    gl_FragColor = u_FragColor;
+  }
+`;
+
+let canvas3d = null;
+let gl = null;
+let a_Position, u_MvpMatrix, u_FragColor;
+let vertexBuffer3d = null;
+let view3dReady = false; // false if WebGL setup failed; the 2D view still works
+
+// orbit camera around the origin; angles in degrees
+const ORBIT_DEFAULT = { yaw: 30, pitch: 20, dist: 16 };
+const orbit = { ...ORBIT_DEFAULT };
+let orbitDrag = null; // last pointer position while rotating
+
+const GRID_HALF = 10; // grid covers -10..10 like the 2D canvas
+const GRID_COLOR = [1, 1, 1, 0.12];
+const AXIS_COLORS = [[0.9, 0.45, 0.45, 1], [0.45, 0.9, 0.45, 1], [0.45, 0.6, 1.0, 1]];
+let gridVerts = null;
+let axisVerts = null;
+
+function setup3DView() {
+  canvas3d = document.getElementById("view3d");
+  gl = canvas3d.getContext("webgl");
+  if (!gl) {
+    console.log("Failed to get WebGL context.");
+    return false;
+  }
+  if (!initShaders(gl, VERTEX_SHADER, FRAGMENT_SHADER)) {
+    console.log("Failed to init shaders");
+    return false;
+  }
+
+  a_Position = gl.getAttribLocation(gl.program, "a_Position");
+  u_MvpMatrix = gl.getUniformLocation(gl.program, "u_MvpMatrix");
+  u_FragColor = gl.getUniformLocation(gl.program, "u_FragColor");
+  if (a_Position < 0 || !u_MvpMatrix || !u_FragColor) {
+    console.log("Failed to get shader variable locations");
+    return false;
+  }
+
+  vertexBuffer3d = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, vertexBuffer3d);
+  gl.vertexAttribPointer(a_Position, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(a_Position);
+
+  gl.enable(gl.DEPTH_TEST);
+  gl.enable(gl.BLEND);
+  gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+  gl.clearColor(0, 0, 0, 1);
+
+  // grid on the z = 0 plane, i.e. the plane the 2D canvas shows
+  const grid = [];
+  for (let i = -GRID_HALF; i <= GRID_HALF; i++) {
+    if (i === 0) continue; // the axes cover these
+    grid.push(i, -GRID_HALF, 0, i, GRID_HALF, 0);
+    grid.push(-GRID_HALF, i, 0, GRID_HALF, i, 0);
+  }
+  gridVerts = new Float32Array(grid);
+  axisVerts = [0, 1, 2].map((axis) => {
+    const a = [0, 0, 0], b = [0, 0, 0];
+    a[axis] = -GRID_HALF;
+    b[axis] = GRID_HALF;
+    return new Float32Array([...a, ...b]);
+  });
+
+  setupOrbitControls();
+
+  const toggle = document.getElementById("show3d");
+  toggle.addEventListener("change", () => {
+    canvas3d.style.display = toggle.checked ? "inline-block" : "none";
+    redraw();
+  });
+  canvas3d.style.display = toggle.checked ? "inline-block" : "none";
+  view3dReady = true;
+  return true;
+}
+
+function setupOrbitControls() {
+  canvas3d.style.touchAction = "none";
+
+  canvas3d.addEventListener("pointerdown", (ev) => {
+    orbitDrag = [ev.clientX, ev.clientY];
+    canvas3d.setPointerCapture(ev.pointerId);
+  });
+  canvas3d.addEventListener("pointermove", (ev) => {
+    if (!orbitDrag) return;
+    orbit.yaw -= (ev.clientX - orbitDrag[0]) * 0.5;
+    orbit.pitch = Math.max(-89, Math.min(89, orbit.pitch + (ev.clientY - orbitDrag[1]) * 0.5));
+    orbitDrag = [ev.clientX, ev.clientY];
+    redraw();
+  });
+  const endDrag = () => { orbitDrag = null; };
+  canvas3d.addEventListener("pointerup", endDrag);
+  canvas3d.addEventListener("pointercancel", endDrag);
+
+  canvas3d.addEventListener("wheel", (ev) => {
+    ev.preventDefault();
+    orbit.dist = Math.max(3, Math.min(60, orbit.dist * Math.exp(ev.deltaY * 0.001)));
+    redraw();
+  }, { passive: false });
+
+  // double-click puts the camera back
+  canvas3d.addEventListener("dblclick", () => {
+    Object.assign(orbit, ORBIT_DEFAULT);
+    redraw();
+  });
+}
+
+function is3DVisible() {
+  return view3dReady && canvas3d.style.display !== "none";
+}
+
+function drawScene3D(v1, v2) {
+  if (!is3DVisible()) return;
+
+  const yaw = orbit.yaw * Math.PI / 180;
+  const pitch = orbit.pitch * Math.PI / 180;
+  const ex = orbit.dist * Math.cos(pitch) * Math.sin(yaw);
+  const ey = orbit.dist * Math.sin(pitch);
+  const ez = orbit.dist * Math.cos(pitch) * Math.cos(yaw);
+
+  const mvp = new Matrix4()
+    .setPerspective(45, canvas3d.width / canvas3d.height, 0.1, 200)
+    .lookAt(ex, ey, ez, 0, 0, 0, 0, 1, 0);
+  gl.uniformMatrix4fv(u_MvpMatrix, false, mvp.elements);
+
+  gl.viewport(0, 0, canvas3d.width, canvas3d.height);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  drawVerts3D(gridVerts, gl.LINES, GRID_COLOR);
+  axisVerts.forEach((verts, i) => drawVerts3D(verts, gl.LINES, AXIS_COLORS[i]));
+
+  if (activeOp) {
+    const s = parseFloat(document.getElementById("scalar").value);
+    for (const d of derivedVectors(activeOp, v1, v2, s)) {
+      if (d.line) {
+        drawVerts3D(new Float32Array([...d.line[0], ...d.line[1]]), gl.LINES, d.color);
+      } else {
+        drawArrow3D(d.v, d.color, d.from);
+      }
+    }
+  }
+
+  if (transformSteps.length > 0) {
+    const M = currentTransform();
+    drawArrow3D(M.multiplyVector3(v1), [1, 0.65, 0, 1]);
+    drawArrow3D(M.multiplyVector3(v2), [1, 0.65, 0, 1]);
+  }
+
+  drawArrow3D(v1, [1, 0, 0, 1]);
+  drawArrow3D(v2, [0.3, 0.5, 1, 1]);
+}
+
+// What each operation adds to the 3D view: arrows {v, color, from?} and
+// helper lines {line: [a, b], color}.
+function derivedVectors(op, v1, v2, s) {
+  const GREEN = [0.2, 0.8, 0.2, 1];
+  const FAINT = [1, 1, 1, 0.5];
+
+  if (op === "add") {
+    return [{ v: v2, from: v1, color: [0.3, 0.5, 1, 0.4] }, { v: Vector3.add(v1, v2), color: GREEN }];
+  } else if (op === "sub") {
+    return [{ v: Vector3.sub(v1, v2), color: GREEN }];
+  } else if (op === "mul") {
+    return [{ v: Vector3.mul(v1, s), color: GREEN }, { v: Vector3.mul(v2, s), color: GREEN }];
+  } else if (op === "div") {
+    if (s === 0) return [];
+    return [{ v: Vector3.div(v1, s), color: GREEN }, { v: Vector3.div(v2, s), color: GREEN }];
+  } else if (op === "magnitude" || op === "normalize") {
+    return [{ v: Vector3.normalize(v1), color: GREEN }, { v: Vector3.normalize(v2), color: GREEN }];
   } else if (op === "area") {
-    const area = areaTriangle(v1, v2);
-    console.log("Area of triangle formed by v1 and v2 =", area);
+    const sum = Vector3.add(v1, v2).elements;
+    return [
+      { line: [v1.elements, sum], color: GREEN },
+      { line: [v2.elements, sum], color: GREEN },
+      { line: [v1.elements, v2.elements], color: FAINT },
+    ];
+  } else if (op === "cross") {
+    return [{ v: Vector3.cross(v1, v2), color: [1, 0.85, 0.2, 1] }];
+  } else if (op === "dot" || op === "project") {
+    const p = Vector3.project(v1, v2);
+    return [{ v: p, color: GREEN }, { line: [v1.elements, p.elements], color: FAINT }];
+  } else if (op === "reflect") {
+    const n = Vector3.normalize(v2);
+    return [{ v: Vector3.reflect(v1, n), color: GREEN }, { v: n, color: FAINT }];
+  }
+  return [];
+}
+
+function drawVerts3D(verts, mode, color) {
+  gl.bufferData(gl.ARRAY_BUFFER, verts, gl.DYNAMIC_DRAW);
+  gl.uniform4fv(u_FragColor, color);
+  gl.drawArrays(mode, 0, verts.length / 3);
+}
+
+// shaft as a line, head as a small cone of triangles
+function drawArrow3D(v, color, opt_from) {
+  const from = opt_from ? opt_from.elements : [0, 0, 0];
+  const d = v.elements;
+  const len = Math.hypot(d[0], d[1], d[2]);
+  if (len < 1e-6) return;
+
+  const tip = [from[0] + d[0], from[1] + d[1], from[2] + d[2]];
+  drawVerts3D(new Float32Array([...from, ...tip]), gl.LINES, color);
+
+  const dir = new Vector3(d).normalize();
+  // any vector not parallel to dir gives us a perpendicular basis
+  const other = Math.abs(dir.elements[0]) < 0.9 ? new Vector3([1, 0, 0]) : new Vector3([0, 1, 0]);
+  const u = Vector3.cross(dir, other).normalize().elements;
+  const w = Vector3.cross(dir, new Vector3(u)).elements;
+
+  const head = Math.min(0.5, len * 0.3);
+  const radius = head * 0.35;
+  const base = [0, 1, 2].map((i) => tip[i] - dir.elements[i] * head);
+  const SEGMENTS = 10;
+  const tris = [];
+  for (let k = 0; k < SEGMENTS; k++) {
+    const a0 = (k / SEGMENTS) * Math.PI * 2;
+    const a1 = ((k + 1) / SEGMENTS) * Math.PI * 2;
+    const p0 = [0, 1, 2].map((i) => base[i] + radius * (Math.cos(a0) * u[i] + Math.sin(a0) * w[i]));
+    const p1 = [0, 1, 2].map((i) => base[i] + radius * (Math.cos(a1) * u[i] + Math.sin(a1) * w[i]));
+    tris.push(...tip, ...p0, ...p1);
+  }
+  drawVerts3D(new Float32Array(tris), gl.TRIANGLES, color);
+}
+
+// ----- Transform explorer: build a Matrix4 from steps and apply it to v1/v2 -----
+
+// Steps are applied like asgn2's joint code: M.translate(...); M.rotate(...); ...
+// so the first step in the list is the outermost one (applied to v last).
+const STEP_PARAMS = {
+  translate: { labels: ["x", "y", "z"], defaults: [2, 0, 0] },
+  rotate: { labels: ["deg", "ax", "ay", "az"], defaults: [45, 0, 0, 1] },
+  scale: { labels: ["x", "y", "z"], defaults: [2, 1, 1] },
+  shear: { labels: ["xy", "xz", "yz"], defaults: [0.5, 0, 0] },
+};
+
+const transformSteps = [];
+
+// how many steps of the animation have played; fractional mid-step.
+// null means "all of them" (no animation running).
+let transformProgress = null;
+let transformAnimStart = 0;
+const STEP_SECONDS = 1.0;
+
+// x' = x + xy*y + xz*z, y' = y + yz*z
+function shearMatrix(xy, xz, yz) {
+  const m = new Matrix4();
+  m.elements[4] = xy;
+  m.elements[8] = xz;
+  m.elements[9] = yz;
+  return m;
+}
+
+// The matrix with every step applied, or with only `progress` steps when animating:
+// step i is applied with fraction clamp(progress - i, 0, 1) of its parameters.
+function buildTransform(progress) {
+  const M = new Matrix4();
+  transformSteps.forEach((step, i) => {
+    const f = Math.max(0, Math.min(1, progress - i));
+    const p = step.params;
+    if (step.type === "translate") {
+      M.translate(p[0] * f, p[1] * f, p[2] * f);
+    } else if (step.type === "rotate") {
+      if (p[1] !== 0 || p[2] !== 0 || p[3] !== 0) M.rotate(p[0] * f, p[1], p[2], p[3]);
+    } else if (step.type === "scale") {
+      M.scale(1 + (p[0] - 1) * f, 1 + (p[1] - 1) * f, 1 + (p[2] - 1) * f);
+    } else if (step.type === "shear") {
+      M.multiply(shearMatrix(p[0] * f, p[1] * f, p[2] * f));
+    }
+  });
+  return M;
+}
+
+function currentTransform() {
+  return buildTransform(transformProgress === null ? transformSteps.length : transformProgress);
+}
+
+function handleAddStep() {
+  const type = document.getElementById("stepType").value;
+  transformSteps.push({ type, params: STEP_PARAMS[type].defaults.slice() });
+  renderStepList();
+  redraw();
+}
+
+function handleClearSteps() {
+  transformSteps.length = 0;
+  transformProgress = null;
+  renderStepList();
+  redraw();
+}
+
+function handleAnimateTransform() {
+  if (transformSteps.length === 0) return;
+  const start = transformProgress === null;
+  transformProgress = 0;
+  transformAnimStart = performance.now();
+  if (start) requestAnimationFrame(tickTransform);
+}
+
+function tickTransform(now) {
+  if (transformProgress === null) return; // cleared mid-animation
+  transformProgress = (now - transformAnimStart) / 1000 / STEP_SECONDS;
+  if (transformProgress >= transformSteps.length) {
+    transformProgress = null;
+  } else {
+    requestAnimationFrame(tickTransform);
   }
+  redraw();
 }
 
-function angleBetween(v1, v2) {
-  const denom = v1.magnitude() * v2.magnitude();
-  if (denom === 0) return NaN;
+function moveStep(i, delta) {
+  const j = i + delta;
+  if (j < 0 || j >= transformSteps.length) return;
+  [transformSteps[i], transformSteps[j]] = [transformSteps[j], transformSteps[i]];
+  renderStepList();
+  redraw();
+}
+
+function removeStep(i) {
+  transformSteps.splice(i, 1);
+  renderStepList();
+  redraw();
+}
 
-  let cosA = Vector3.dot(v1, v2) / denom;
+// one row per step: its parameters plus up/down/remove buttons
+function renderStepList() {
+  const list = document.getElementById("transformSteps");
+  list.innerHTML = "";
 
-  // clamp for numeric safety
-  cosA = Math.max(-1, Math.min(1, cosA));
+  transformSteps.forEach((step, i) => {
+    const li = document.createElement("li");
+    li.appendChild(document.createTextNode(step.type + " "));
 
-  const radians = Math.acos(cosA);
-  return (radians * 180) / Math.PI;
+    STEP_PARAMS[step.type].labels.forEach((label, k) => {
+      li.appendChild(document.createTextNode(" " + label + ": "));
+      const input = document.createElement("input");
+      input.type = "number";
+      input.step = step.type === "rotate" && k === 0 ? "5" : "0.1";
+      input.value = step.params[k];
+      input.style.width = "4em";
+      input.addEventListener("input", () => {
+        const x = parseFloat(input.value);
+        step.params[k] = isNaN(x) ? 0 : x;
+        redraw();
+      });
+      li.appendChild(input);
+    });
+
+    for (const [text, onClick] of [["↑", () => moveStep(i, -1)],
+                                   ["↓", () => moveStep(i, 1)],
+                                   ["✕", () => removeStep(i)]]) {
+      const btn = document.createElement("input");
+      btn.type = "button";
+      btn.value = text;
+      btn.style.marginLeft = "4px";
+      btn.addEventListener("click", onClick);
+      li.appendChild(btn);
+    }
+    list.appendChild(li);
+  });
 }
 
-function areaTriangle(v1, v2) {
-  const c = Vector3.cross(v1, v2);
-  return c.magnitude() / 2.0;
+// transformed unit square (faint), v1' and v2', plus the matrix in the readout
+function drawTransform2D(M, v1, v2, readout) {
+  const ORANGE = "orange";
+  const corners = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]].map((c) =>
+    M.multiplyVector3(new Vector3(c)).elements);
+  ctx.beginPath();
+  corners.forEach((c, i) => {
+    const [px, py] = toCanvas(c[0], c[1]);
+    if (i === 0) ctx.moveTo(px, py); else ctx.lineTo(px, py);
+  });
+  ctx.closePath();
+  ctx.fillStyle = "rgba(255,165,0,0.15)";
+  ctx.fill();
+
+  const t1 = M.multiplyVector3(v1);
+  const t2 = M.multiplyVector3(v2);
+  drawVector(t1, ORANGE);
+  drawVector(t2, ORANGE);
+  drawLabel("v1'", t1.elements[0], t1.elements[1], ORANGE);
+  drawLabel("v2'", t2.elements[0], t2.elements[1], ORANGE);
+
+  const e = M.elements;
+  readout.push(["M =", ORANGE]);
+  for (let row = 0; row < 4; row++) {
+    const cols = [0, 1, 2, 3].map((col) => fmt(e[col * 4 + row]).padStart(6));
+    readout.push([`  [${cols.join(" ")} ]`, ORANGE]);
+  }
+  readout.push([`v1' = M v1 = ${fmtVec(t1)}`, ORANGE]);
+  readout.push([`v2' = M v2 = ${fmtVec(t2)}`, ORANGE]);
 }
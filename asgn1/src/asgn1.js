@@ -2,18 +2,22 @@
 const VERTEX_SHADER = `
   precision mediump float;
   attribute vec2 a_Position;
+  attribute vec4 a_Color;   // per-vertex in layer batches, constant white otherwise
   uniform float u_PointSize;
+  varying vec4 v_Color;
   void main() {
     gl_Position = vec4(a_Position, 0.0, 1.0);
     gl_PointSize = u_PointSize;
+    v_Color = a_Color;
   }
 `;
 
 const FRAGMENT_SHADER = `
   precision mediump float;
   uniform vec4 u_FragColor;
+  varying vec4 v_Color;
   void main() {
-    gl_FragColor = u_FragColor;
+    gl_FragColor = u_FragColor * v_Color;
   }
 `;
 
@@ -22,6 +26,7 @@ let canvas;
 let gl;
 
 let a_Position;
+let a_Color;
 let u_FragColor;
 let u_PointSize;
 let g_selectedAngleDeg = 0; // degrees
@@ -30,23 +35,41 @@ let g_showGrid = true;
 
 const shapesList = []; // required: single list holding everything
 
+// Layers, bottom to top. Each shape records the layer it belongs to in
+// shape.layerId; shapesList keeps the paint order within a layer.
+const layers = [];
+let g_activeLayerId = null;
+let g_nextLayerId = 1;
+
 // UI state
 const g_selectedColor = [1, 1, 1, 1];
 let g_selectedSize = 10;      // in pixels-ish
-let g_selectedType = "square"; // "square" | "triangle" | "circle"
+let g_selectedType = "square"; // "square" | "triangle" | "circle" | "star" | "bucket", or a path tool (see PATH_TOOLS)
 let g_selectedSegments = 12;
+let g_selectedStarPoints = 5;
+let g_fillMode = "solid";               // "solid" | "linear" | "radial" for new shapes
+const g_gradientColor = [1, 0.5, 0, 1]; // where gradients end; they start at the shape's color
 
 // A single buffer we reuse for drawing
 let g_vertexBuffer;
 
-const undoStack = [];     // each entry: { type: 'add', count: N } or { type:'clear', prev:[...] }
+const undoStack = [];     // each entry: { type: 'add', count: N }, { type: 'state', prev, next } (see captureState)
+                          // or { type: 'edit', shapes, before, after } (see recordEdit),
+                          // plus when it happened: start, time (see Timelapse)
 const redoStack = [];
 let g_isDragging = false;
 let g_strokeCount = 0;
+let g_actionStart = 0;
 
 // brush mode: "drag" or "click"
 let g_brushMode = "drag";
 
+// what pen pressure / pointer speed changes in drag mode: "off" | "size" | "sizeAlpha"
+let g_brushDynamics = "size";
+
+// "paint" or "select"
+let g_tool = "paint";
+
 
 // =================== Shape Classes ===================
 class Point {
@@ -59,6 +82,21 @@ class Point {
     return [this.x, this.y];
   }
 }
+
+// JSON helpers shared by the shape classes
+function copyColor(c) {
+  return [c[0], c[1], c[2], c[3]];
+}
+
+function positionToJSON(pos) {
+  const [x, y] = posToArray(pos);
+  return [x, y];
+}
+
+function positionFromJSON(a) {
+  return new Point(Number(a[0]), Number(a[1]));
+}
+
 class Triangle {
   constructor(position, color, size, angleDeg) {
     this.position = position;
@@ -67,10 +105,17 @@ class Triangle {
     this.angleDeg = angleDeg;
   }
 
-  render() {
-    gl.uniform4f(u_FragColor, ...this.color);
-    gl.uniform1f(u_PointSize, 1.0);
+  toJSON() {
+    return { kind: "triangle", position: positionToJSON(this.position),
+             color: copyColor(this.color), size: this.size, angleDeg: this.angleDeg };
+  }
+
+  static fromJSON(o) {
+    return new Triangle(positionFromJSON(o.position), copyColor(o.color), o.size, o.angleDeg || 0);
+  }
 
+  // corners in clip space, also used by the SVG exporter
+  outline() {
     const [cx, cy] = posToArray(this.position);
     const d = sizeToClip(this.size);
     const rad = (this.angleDeg * Math.PI) / 180;
@@ -81,17 +126,27 @@ class Triangle {
     const p3 = [cx + d, cy - d];
 
     // Rotate each vertex about (cx,cy)
-    const r1 = rotateAbout(p1[0], p1[1], cx, cy, rad);
-    const r2 = rotateAbout(p2[0], p2[1], cx, cy, rad);
-    const r3 = rotateAbout(p3[0], p3[1], cx, cy, rad);
+    return [
+      rotateAbout(p1[0], p1[1], cx, cy, rad),
+      rotateAbout(p2[0], p2[1], cx, cy, rad),
+      rotateAbout(p3[0], p3[1], cx, cy, rad),
+    ];
+  }
 
-    const verts = new Float32Array([
+  // flat [x, y, ...] for gl.TRIANGLES, also what the layer batches are built from
+  triangles() {
+    const [r1, r2, r3] = this.outline();
+    return [
       r1[0], r1[1],
       r2[0], r2[1],
       r3[0], r3[1],
-    ]);
+    ];
+  }
 
-    drawTriangles(verts);
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
   }
 }
 
@@ -103,10 +158,17 @@ class Square {
     this.angleDeg = angleDeg; // degrees
   }
 
-  render() {
-    gl.uniform4f(u_FragColor, ...this.color);
-    gl.uniform1f(u_PointSize, 1.0);
+  toJSON() {
+    return { kind: "square", position: positionToJSON(this.position),
+             color: copyColor(this.color), size: this.size, angleDeg: this.angleDeg };
+  }
+
+  static fromJSON(o) {
+    return new Square(positionFromJSON(o.position), copyColor(o.color), o.size, o.angleDeg || 0);
+  }
 
+  // corners in clip space (TL, TR, BR, BL), also used by the SVG exporter
+  outline() {
     const [cx, cy] = posToArray(this.position);
     const d = sizeToClip(this.size);
     const rad = (this.angleDeg * Math.PI) / 180;
@@ -118,13 +180,19 @@ class Square {
     const pBL = [cx - d, cy - d];
 
     // Rotate each corner about center
-    const rTL = rotateAbout(pTL[0], pTL[1], cx, cy, rad);
-    const rTR = rotateAbout(pTR[0], pTR[1], cx, cy, rad);
-    const rBR = rotateAbout(pBR[0], pBR[1], cx, cy, rad);
-    const rBL = rotateAbout(pBL[0], pBL[1], cx, cy, rad);
+    return [
+      rotateAbout(pTL[0], pTL[1], cx, cy, rad),
+      rotateAbout(pTR[0], pTR[1], cx, cy, rad),
+      rotateAbout(pBR[0], pBR[1], cx, cy, rad),
+      rotateAbout(pBL[0], pBL[1], cx, cy, rad),
+    ];
+  }
+
+  triangles() {
+    const [rTL, rTR, rBR, rBL] = this.outline();
 
     // Two triangles: (TL, TR, BR) and (TL, BR, BL)
-    const verts = new Float32Array([
+    return [
       rTL[0], rTL[1],
       rTR[0], rTR[1],
       rBR[0], rBR[1],
@@ -132,9 +200,13 @@ class Square {
       rTL[0], rTL[1],
       rBR[0], rBR[1],
       rBL[0], rBL[1],
-    ]);
+    ];
+  }
 
-    drawTriangles(verts);
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
   }
 }
 
@@ -147,30 +219,314 @@ class Circle {
     this.size = size;
     this.segments = segments;
   }
+
+  toJSON() {
+    return { kind: "circle", position: positionToJSON(this.position),
+             color: copyColor(this.color), size: this.size, segments: this.segments };
+  }
+
+  static fromJSON(o) {
+    return new Circle(positionFromJSON(o.position), copyColor(o.color), o.size, o.segments);
+  }
+
+  // ring points in clip space; the drawn circle is this polygon
+  outline() {
+    const [cx, cy] = posToArray(this.position);
+    const r = sizeToClip(this.size);
+    const ring = [];
+    for (let i = 0; i < this.segments; i++) {
+      const ang = (i / this.segments) * Math.PI * 2;
+      ring.push([cx + r * Math.cos(ang), cy + r * Math.sin(ang)]);
+    }
+    return ring;
+  }
+
+  // the triangle fan (center + ring, closed back to the first point) as separate triangles
+  triangles() {
+    const [cx, cy] = posToArray(this.position);
+    const ring = this.outline();
+    const verts = [];
+    for (let i = 0; i < ring.length; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[(i + 1) % ring.length];
+      verts.push(cx, cy, x0, y0, x1, y1);
+    }
+    return verts;
+  }
+
   render() {
     gl.uniform4f(u_FragColor, ...this.color);
     gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
+  }
+}
+
+// n-point star stamp; the fan from the center covers it since every tip is visible from there
+const STAR_INNER_RATIO = 0.45;
+
+class Star {
+  constructor(position, color, size, points, angleDeg) {
+    this.position = position;
+    this.color = color;
+    this.size = size;
+    this.points = points;
+    this.angleDeg = angleDeg;
+  }
+
+  toJSON() {
+    return { kind: "star", position: positionToJSON(this.position), color: copyColor(this.color),
+             size: this.size, points: this.points, angleDeg: this.angleDeg };
+  }
+
+  static fromJSON(o) {
+    return new Star(positionFromJSON(o.position), copyColor(o.color), o.size, o.points, o.angleDeg || 0);
+  }
 
+  // tips and inner corners alternating, first tip straight up at angle 0
+  outline() {
     const [cx, cy] = posToArray(this.position);
     const r = sizeToClip(this.size);
+    const rad = (this.angleDeg * Math.PI) / 180;
+    const ring = [];
+    for (let i = 0; i < this.points * 2; i++) {
+      const rr = (i % 2 === 0) ? r : r * STAR_INNER_RATIO;
+      const ang = Math.PI / 2 + rad + (i / (this.points * 2)) * Math.PI * 2;
+      ring.push([cx + rr * Math.cos(ang), cy + rr * Math.sin(ang)]);
+    }
+    return ring;
+  }
 
-    // Triangle fan: center + ring points
+  triangles() {
+    const [cx, cy] = posToArray(this.position);
+    const ring = this.outline();
     const verts = [];
-    verts.push(cx, cy);
+    for (let i = 0; i < ring.length; i++) {
+      const [x0, y0] = ring[i];
+      const [x1, y1] = ring[(i + 1) % ring.length];
+      verts.push(cx, cy, x0, y0, x1, y1);
+    }
+    return verts;
+  }
 
-    for (let i = 0; i <= this.segments; i++) {
-      const ang = (i / this.segments) * Math.PI * 2;
-      verts.push(cx + r * Math.cos(ang), cy + r * Math.sin(ang));
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
+  }
+}
+
+// Filled polygon through clicked points (clip space), concave is fine
+class Polygon {
+  constructor(points, color) {
+    this.points = points; // [[x, y], ...]
+    this.color = color;
+  }
+
+  toJSON() {
+    return { kind: "polygon", points: this.points.map(([x, y]) => [x, y]), color: copyColor(this.color) };
+  }
+
+  static fromJSON(o) {
+    return new Polygon(o.points.map(([x, y]) => [Number(x), Number(y)]), copyColor(o.color));
+  }
+
+  outline() {
+    return this.points;
+  }
+
+  triangles() {
+    return earClip(this.points);
+  }
+
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
+  }
+}
+
+// Open line through the points, `size` pixels wide
+class Polyline {
+  constructor(points, color, size) {
+    this.points = points; // [[x, y], ...]
+    this.color = color;
+    this.size = size;
+  }
+
+  toJSON() {
+    return { kind: "polyline", points: this.points.map(([x, y]) => [x, y]),
+             color: copyColor(this.color), size: this.size };
+  }
+
+  static fromJSON(o) {
+    return new Polyline(o.points.map(([x, y]) => [Number(x), Number(y)]), copyColor(o.color), o.size);
+  }
+
+  outline() {
+    return this.points;
+  }
+
+  triangles() {
+    return strokeTriangles(this.points, sizeToClip(this.size) / 2);
+  }
+
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
+  }
+}
+
+// Quadratic (3 controls) or cubic (4 controls) curve, drawn as a sampled polyline
+class Bezier extends Polyline {
+  constructor(controls, color, size) {
+    super(bezierPoints(controls), color, size);
+    this.controls = controls;
+  }
+
+  toJSON() {
+    return { kind: "bezier", controls: this.controls.map(([x, y]) => [x, y]),
+             color: copyColor(this.color), size: this.size };
+  }
+
+  static fromJSON(o) {
+    return new Bezier(o.controls.map(([x, y]) => [Number(x), Number(y)]), copyColor(o.color), o.size);
+  }
+}
+
+// Area filled by the fill bucket: axis-aligned pixel rectangles in clip space
+class FillRegion {
+  constructor(rects, color) {
+    this.rects = rects; // [[x0, y0, x1, y1], ...]
+    this.color = color;
+  }
+
+  toJSON() {
+    return { kind: "fillRegion", rects: this.rects.map((r) => r.slice()), color: copyColor(this.color) };
+  }
+
+  static fromJSON(o) {
+    return new FillRegion(o.rects.map((r) => r.map(Number)), copyColor(o.color));
+  }
+
+  // bounding box corners
+  outline() {
+    return boundsCorners(this.triangles());
+  }
+
+  triangles() {
+    const verts = [];
+    for (const [x0, y0, x1, y1] of this.rects) {
+      verts.push(x0, y1, x1, y1, x1, y0,  x0, y1, x1, y0, x0, y0);
     }
+    return verts;
+  }
+
+  render() {
+    gl.uniform4f(u_FragColor, ...this.color);
+    gl.uniform1f(u_PointSize, 1.0);
+    drawTriangles(new Float32Array(this.triangles()));
+  }
+}
+
+// Triangulates a simple polygon by ear clipping; returns flat [x, y, ...] for
+// gl.TRIANGLES. A self-intersecting outline has no ears left at some point,
+// and whatever remains is filled as a fan.
+function earClip(points) {
+  // drop repeated points, they make zero-area ears
+  const pts = points.filter((p, i) => {
+    const q = points[(i + points.length - 1) % points.length];
+    return points.length < 2 || p[0] !== q[0] || p[1] !== q[1];
+  });
+  if (pts.length < 3) return [];
+
+  let area = 0;
+  for (let i = 0; i < pts.length; i++) {
+    const [x0, y0] = pts[i];
+    const [x1, y1] = pts[(i + 1) % pts.length];
+    area += x0 * y1 - x1 * y0;
+  }
+  const idx = pts.map((_, i) => i);
+  if (area < 0) idx.reverse(); // work counter-clockwise
+
+  const cross = (a, b, c) => (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+  const inTriangle = (p, a, b, c) => cross(a, b, p) >= 0 && cross(b, c, p) >= 0 && cross(c, a, p) >= 0;
+
+  const out = [];
+  while (idx.length > 3) {
+    let clipped = false;
+    for (let i = 0; i < idx.length && !clipped; i++) {
+      const ia = idx[(i + idx.length - 1) % idx.length];
+      const ib = idx[i];
+      const ic = idx[(i + 1) % idx.length];
+      const a = pts[ia], b = pts[ib], c = pts[ic];
+      if (cross(a, b, c) <= 0) continue; // reflex or flat corner
+
+      const blocked = idx.some((j) => j !== ia && j !== ib && j !== ic && inTriangle(pts[j], a, b, c));
+      if (blocked) continue;
+
+      out.push(a[0], a[1], b[0], b[1], c[0], c[1]);
+      idx.splice(i, 1);
+      clipped = true;
+    }
+    if (!clipped) break;
+  }
 
-    gl.bindBuffer(gl.ARRAY_BUFFER, g_vertexBuffer);
-    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array(verts), gl.DYNAMIC_DRAW);
+  for (let i = 1; i + 1 < idx.length; i++) {
+    const a = pts[idx[0]], b = pts[idx[i]], c = pts[idx[i + 1]];
+    out.push(a[0], a[1], b[0], b[1], c[0], c[1]);
+  }
+  return out;
+}
 
-    gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-    gl.enableVertexAttribArray(a_Position);
+// A quad per segment plus a bevel at each joint, on both sides (one of them
+// is hidden under the segments).
+function strokeTriangles(points, halfWidth) {
+  const out = [];
+  const normals = [];
+  for (let i = 0; i + 1 < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[i + 1];
+    const len = Math.hypot(x1 - x0, y1 - y0) || 1;
+    const nx = -(y1 - y0) / len * halfWidth;
+    const ny = (x1 - x0) / len * halfWidth;
+    normals.push([nx, ny]);
+    out.push(x0 + nx, y0 + ny,  x1 + nx, y1 + ny,  x1 - nx, y1 - ny,
+             x0 + nx, y0 + ny,  x1 - nx, y1 - ny,  x0 - nx, y0 - ny);
+  }
+  for (let i = 1; i + 1 < points.length; i++) {
+    const [x, y] = points[i];
+    const [ax, ay] = normals[i - 1];
+    const [bx, by] = normals[i];
+    out.push(x, y,  x + ax, y + ay,  x + bx, y + by,
+             x, y,  x - ax, y - ay,  x - bx, y - by);
+  }
+  return out;
+}
 
-    gl.drawArrays(gl.TRIANGLE_FAN, 0, verts.length / 2);
+// de Casteljau, with enough samples that the curve looks smooth at its size
+function bezierPoints(controls) {
+  let hull = 0;
+  for (let i = 1; i < controls.length; i++) {
+    hull += Math.hypot(controls[i][0] - controls[i - 1][0], controls[i][1] - controls[i - 1][1]);
   }
+  const samples = Math.max(8, Math.min(128, Math.ceil(hull / 0.02)));
+
+  const out = [];
+  for (let s = 0; s <= samples; s++) {
+    const t = s / samples;
+    let pts = controls;
+    while (pts.length > 1) {
+      const next = [];
+      for (let i = 0; i + 1 < pts.length; i++) {
+        next.push([pts[i][0] + (pts[i + 1][0] - pts[i][0]) * t,
+                   pts[i][1] + (pts[i + 1][1] - pts[i][1]) * t]);
+      }
+      pts = next;
+    }
+    out.push(pts[0]);
+  }
+  return out;
 }
 
 // ============== DRAW MY PICTURE ===============
@@ -181,6 +537,24 @@ class CustomTriangle {
     this.verts = verts;
     this.color = color;
   }
+
+  toJSON() {
+    return { kind: "customTriangle", verts: this.verts.slice(), color: copyColor(this.color) };
+  }
+
+  static fromJSON(o) {
+    return new CustomTriangle(o.verts.map(Number), copyColor(o.color));
+  }
+
+  outline() {
+    const v = this.verts;
+    return [[v[0], v[1]], [v[2], v[3]], [v[4], v[5]]];
+  }
+
+  triangles() {
+    return this.verts.slice();
+  }
+
   render() {
     gl.uniform4f(u_FragColor, ...this.color);
     gl.uniform1f(u_PointSize, 1.0);
@@ -219,13 +593,30 @@ function addRectAsTwoTris(xMin, yMin, xMax, yMax, color) {
   addTri(xMin, yMax, xMax, yMin, xMin, yMin, color);
 }
 
+// The picture lives on its own layer (added at the bottom the first time), so
+// redrawing it replaces only the picture and leaves strokes on other layers alone.
+const PICTURE_LAYER_NAME = "Picture";
+
 function drawMyPicture() {
-  // Wipe current drawing (and make it undoable)
-  undoStack.push({ type: "clear", prev: shapesList.slice() });
-  redoStack.length = 0;
-  shapesList.length = 0;
+  let layer = layers.find((l) => l.name === PICTURE_LAYER_NAME);
+  if (layer && layer.locked) return;
+
+  editDocument(() => {
+    if (!layer) {
+      layer = createLayer(PICTURE_LAYER_NAME);
+      layers.unshift(layer);
+    }
+    removeShapesOfLayer(layer.id);
 
- 
+    const first = shapesList.length;
+    addPictureShapes();
+    for (let i = first; i < shapesList.length; i++) {
+      shapesList[i].layerId = layer.id;
+    }
+  });
+}
+
+function addPictureShapes() {
   // --------------------------
   // TEMPLATE PICTURE EXAMPLE
   // --------------------------
@@ -273,8 +664,6 @@ function drawMyPicture() {
 
   // Placeholder "KC" (VERY rough). Replace later with nicer triangles.
   drawInitialsTemplate_KC();
-
-  renderAllShapes();
 }
 
 function addCircleFan(cx, cy, r, segments, color) {
@@ -330,10 +719,11 @@ function connectVariablesToGLSL() {
   }
 
   a_Position = gl.getAttribLocation(gl.program, "a_Position");
+  a_Color = gl.getAttribLocation(gl.program, "a_Color");
   u_FragColor = gl.getUniformLocation(gl.program, "u_FragColor");
   u_PointSize = gl.getUniformLocation(gl.program, "u_PointSize");
 
-  if (a_Position < 0 || !u_FragColor || !u_PointSize) {
+  if (a_Position < 0 || a_Color < 0 || !u_FragColor || !u_PointSize) {
     console.log("Failed to get shader variable locations");
     return false;
   }
@@ -344,110 +734,657 @@ function connectVariablesToGLSL() {
     return false;
   }
 
+  // used whenever the a_Color array is disabled
+  gl.vertexAttrib4f(a_Color, 1, 1, 1, 1);
+
   return true;
 }
 
 function renderAllShapes() {
-  gl.clear(gl.COLOR_BUFFER_BIT);
-
-  for (const s of shapesList) {
-    s.render();
+  if (g_timelapse) {
+    // no overlays: the timelapse is only something to watch
+    renderTimelapseFrame();
+    return;
   }
+  renderShapes();
 
   // Draw grid LAST so it overlays everything
   if (g_showGrid) {
     drawGridOverlayNow(0.2);
   }
+  drawSymmetryGuides();
+  drawSelectionOverlay();
+  drawPathPreview();
+}
+
+// The painting itself, without UI overlays (also used by the PNG exporter and
+// the timelapse, which passes its own frame). One draw call per visible layer;
+// see Batched rendering below.
+function renderShapes(shapes = shapesList, layerList = layers) {
+  gl.clear(gl.COLOR_BUFFER_BIT);
+
+  const byLayer = new Map(layerList.map((l) => [l.id, []]));
+  for (const s of shapes) {
+    const list = byLayer.get(s.layerId);
+    if (list) list.push(s);
+  }
+
+  // layers that were deleted (undo rebuilds them if they come back)
+  for (const [id, batch] of layerBatches) {
+    if (!byLayer.has(id)) {
+      gl.deleteBuffer(batch.buffer);
+      layerBatches.delete(id);
+    }
+  }
+
+  for (const layer of layerList) {
+    if (!layer.visible) continue;
+    let batch = layerBatches.get(layer.id);
+    if (!batch) {
+      batch = createBatch();
+      layerBatches.set(layer.id, batch);
+    }
+    syncBatch(batch, byLayer.get(layer.id));
+    drawBatch(batch, layer.opacity);
+  }
+
+  // back to one color per draw for the overlays
+  gl.disableVertexAttribArray(a_Color);
 }
 
 // Handles click OR drag paint event
 function handleClicks(ev) {
+  if (!canPaintActiveLayer()) return;
+
   const [x, y] = convertEventToGL(ev);
+  addBrushShape(x, y, g_selectedSize, 1);
+
+  renderAllShapes();
+}
+
+// One stamp of the current brush, plus its copies when a symmetry mode is on
+function addBrushShape(x, y, size, alpha) {
+  for (const t of symmetryTransforms()) {
+    const [sx, sy] = symmetryPoint(t, x, y);
+    addOneBrushShape(sx, sy, size, alpha, symmetryAngle(t, g_selectedAngleDeg));
+  }
+}
+
+function addOneBrushShape(x, y, size, alpha, angleDeg) {
   const p = new Point(x, y);
 
   const color = [...g_selectedColor];
-  const size = g_selectedSize;
+  color[3] *= alpha;
 
   if (g_selectedType === "square") {
-    addShape(new Square(p, color, size, g_selectedAngleDeg));
+    addShape(new Square(p, color, size, angleDeg));
   } else if (g_selectedType === "triangle") {
-    addShape(new Triangle(p, color, size, g_selectedAngleDeg));
+    addShape(new Triangle(p, color, size, angleDeg));
+  } else if (g_selectedType === "star") {
+    addShape(new Star(p, color, size, g_selectedStarPoints, angleDeg));
   } else { // circle
     addShape(new Circle(p, color, size, g_selectedSegments));
   }
-
-  renderAllShapes();
 }
 
 
-
-// =================== Helpers ===================
-function posToArray(pos) {
-  return (pos instanceof Point) ? pos.toArray() : pos;
+// =================== Symmetry ===================
+// Every stamp (and every finished polygon, line or curve) is repeated for each
+// transform of the active mode: a mirror across the vertical and/or horizontal
+// line through the center, then a rotation about the center. Radial mode uses
+// the n rotations; kaleidoscope adds the mirrored copy of each.
+const SYMMETRY_GUIDE_COLOR = [0.7, 0.3, 0.6, 1.0];
+
+const g_symmetry = {
+  mode: "off",   // "off" | "mirrorX" | "mirrorY" | "mirrorXY" | "radial" | "kaleidoscope"
+  folds: 6,      // copies around the center in radial / kaleidoscope modes
+  center: [0, 0],
+};
+
+// [{ flipX, flipY, rad }], identity first
+function symmetryTransforms() {
+  const mode = g_symmetry.mode;
+  const t = (flipX, flipY, rad) => ({ flipX, flipY, rad });
+
+  if (mode === "mirrorX") return [t(false, false, 0), t(true, false, 0)];
+  if (mode === "mirrorY") return [t(false, false, 0), t(false, true, 0)];
+  if (mode === "mirrorXY") return [t(false, false, 0), t(true, false, 0), t(false, true, 0), t(true, true, 0)];
+  if (mode === "radial" || mode === "kaleidoscope") {
+    const out = [];
+    for (let k = 0; k < g_symmetry.folds; k++) {
+      const rad = (k / g_symmetry.folds) * Math.PI * 2;
+      out.push(t(false, false, rad));
+      if (mode === "kaleidoscope") out.push(t(true, false, rad));
+    }
+    return out;
+  }
+  return [t(false, false, 0)];
 }
 
-function convertEventToGL(ev) {
-  const rect = ev.target.getBoundingClientRect();
-  const mx = ev.clientX - rect.left;
-  const my = ev.clientY - rect.top;
+function symmetryPoint(t, x, y) {
+  const [cx, cy] = g_symmetry.center;
+  if (t.flipX) x = 2 * cx - x;
+  if (t.flipY) y = 2 * cy - y;
+  return (t.rad === 0) ? [x, y] : rotateAbout(x, y, cx, cy, t.rad);
+}
 
-  // Convert to clip space [-1,1]
-  const x = (mx / canvas.width) * 2 - 1;
-  const y = 1 - (my / canvas.height) * 2;
-  return [x, y];
+// The brush shapes are symmetric about their own vertical axis, so a
+// left-right mirror negates the angle and a top-bottom mirror turns it upside down.
+function symmetryAngle(t, angleDeg) {
+  if (t.flipX) angleDeg = -angleDeg;
+  if (t.flipY) angleDeg = 180 - angleDeg;
+  return angleDeg + (t.rad * 180) / Math.PI;
 }
 
-// Convert "pixel-ish size" to clip-space radius
-function sizeToClip(sizePx) {
-  // roughly: pixels / canvasWidth * 2
-  return (sizePx / canvas.width) * 2.0;
+// Mirror lines / spokes through the center, drawn like the grid
+function drawSymmetryGuides() {
+  const mode = g_symmetry.mode;
+  if (mode === "off") return;
+  const [cx, cy] = g_symmetry.center;
+  const reach = 3; // past any canvas corner
+
+  const spoke = (rad) => drawLineNow(cx, cy, cx + reach * Math.sin(rad), cy + reach * Math.cos(rad),
+                                     SYMMETRY_GUIDE_COLOR, 0.003);
+  if (mode === "mirrorX" || mode === "mirrorXY") {
+    drawRectNow(cx - 0.003, -1, cx + 0.003, 1, SYMMETRY_GUIDE_COLOR);
+  }
+  if (mode === "mirrorY" || mode === "mirrorXY") {
+    drawRectNow(-1, cy - 0.003, 1, cy + 0.003, SYMMETRY_GUIDE_COLOR);
+  }
+  if (mode === "radial") {
+    // one spoke per copy, starting straight up
+    for (let k = 0; k < g_symmetry.folds; k++) spoke((k / g_symmetry.folds) * Math.PI * 2);
+  }
+  if (mode === "kaleidoscope") {
+    // the mirror lines: the vertical one and its rotated copies
+    for (let k = 0; k < g_symmetry.folds * 2; k++) spoke((k / g_symmetry.folds) * Math.PI);
+  }
 }
 
-function drawTriangles(vertsFloat32) {
-  gl.bindBuffer(gl.ARRAY_BUFFER, g_vertexBuffer);
-  gl.bufferData(gl.ARRAY_BUFFER, vertsFloat32, gl.DYNAMIC_DRAW);
 
-  gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
-  gl.enableVertexAttribArray(a_Position);
+// =================== Stroke engine ===================
+// Drag strokes are stamped along a Catmull-Rom curve through the pointer
+// samples, at a spacing proportional to the brush size, so fast strokes don't
+// leave gaps. The curve segment between two samples needs the sample after it,
+// so stamping runs one sample behind the pointer and endStroke() finishes it.
+const STAMP_SPACING = 0.3;        // distance between stamps, as a fraction of the stamp width
+const SPEED_HALF_SIZE = 3.0;      // pointer speed (clip units / s) at which the dynamics factor halves
+const MIN_DYNAMICS = 0.25;        // smallest size/alpha factor a stroke can reach
 
-  gl.drawArrays(gl.TRIANGLES, 0, vertsFloat32.length / 2);
-}
+let g_stroke = null; // { pts: [{x, y, k}], sinceStamp, speed, lastTime } while painting
 
-function rotateAbout(x, y, cx, cy, rad) {
-  const dx = x - cx;
-  const dy = y - cy;
-  const c = Math.cos(rad);
-  const s = Math.sin(rad);
-  return [cx + dx * c - dy * s, cy + dx * s + dy * c];
+function beginStroke(ev) {
+  if (!canPaintActiveLayer()) return;
+  g_stroke = { pts: [], sinceStamp: 0, speed: 0, lastTime: ev.timeStamp };
+  addStrokePoint(ev);
+  const p = g_stroke.pts[0];
+  stampAt(p.x, p.y, p.k);
 }
 
-function drawRectNow(xMin, yMin, xMax, yMax, color) {
-  gl.uniform4f(u_FragColor, ...color);
-  gl.uniform1f(u_PointSize, 1.0);
-
-  // two triangles forming a rectangle
-  const verts = new Float32Array([
-    xMin, yMax,  xMax, yMax,  xMax, yMin,
-    xMin, yMax,  xMax, yMin,  xMin, yMin,
-  ]);
+function continueStroke(ev) {
+  if (!g_stroke) return;
+  // pointer events batch samples between frames; use all of them
+  const samples = (ev.getCoalescedEvents && ev.getCoalescedEvents()) || [];
+  for (const e of (samples.length > 0 ? samples : [ev])) {
+    addStrokePoint(e);
+  }
+  renderAllShapes();
+}
 
-  drawTriangles(verts);
+function endStroke() {
+  if (!g_stroke) return;
+  if (g_stroke.pts.length >= 2) stampSegment(g_stroke.pts.length - 2);
+  g_stroke = null;
 }
 
-function drawGridOverlayNow(step = 0.2) {
-  const lineColor = [0.25, 0.25, 0.25, 1.0];
-  const axisColor = [0.6, 0.6, 0.6, 1.0];
-  const thickness = 0.003;
+function addStrokePoint(ev) {
+  const st = g_stroke;
+  const [x, y] = convertEventToGL(ev);
+  const last = st.pts[st.pts.length - 1];
+  if (last && x === last.x && y === last.y) return;
 
-  // vertical lines
-  for (let x = -1; x <= 1.0001; x += step) {
-    const c = (Math.abs(x) < 1e-6) ? axisColor : lineColor;
-    drawRectNow(x - thickness, -1, x + thickness, 1, c);
-  }
-  // horizontal lines
-  for (let y = -1; y <= 1.0001; y += step) {
-    const c = (Math.abs(y) < 1e-6) ? axisColor : lineColor;
-    drawRectNow(-1, y - thickness, 1, y + thickness, c);
+  if (last) {
+    // smoothed so one jittery sample doesn't pinch the stroke
+    const dt = Math.max(1, ev.timeStamp - st.lastTime) / 1000;
+    st.speed = st.speed * 0.6 + (Math.hypot(x - last.x, y - last.y) / dt) * 0.4;
+  }
+  st.lastTime = ev.timeStamp;
+  st.pts.push({ x, y, k: dynamicsFactor(ev, st.speed) });
+
+  // the newest sample completes the segment before the previous one
+  if (st.pts.length >= 3) stampSegment(st.pts.length - 3);
+}
+
+// 0..1: pen pressure when the device reports it, otherwise slower = bigger
+function dynamicsFactor(ev, speed) {
+  const k = (ev.pointerType === "pen") ? ev.pressure : 1 / (1 + speed / SPEED_HALF_SIZE);
+  return MIN_DYNAMICS + (1 - MIN_DYNAMICS) * k;
+}
+
+function catmullRom(a, b, c, d, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (2 * b + (c - a) * t + (2 * a - 5 * b + 4 * c - d) * t2 + (3 * b - a - 3 * c + d) * t3);
+}
+
+// Stamps the curve from pts[i] to pts[i + 1], walking it in small steps
+function stampSegment(i) {
+  const st = g_stroke;
+  const pts = st.pts;
+  const p0 = pts[Math.max(0, i - 1)];
+  const p1 = pts[i];
+  const p2 = pts[i + 1];
+  const p3 = pts[Math.min(pts.length - 1, i + 2)];
+
+  const minSpacing = stampSpacing(Math.min(p1.k, p2.k));
+  const chord = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+  const steps = Math.min(512, Math.max(1, Math.ceil(chord / (minSpacing / 8))));
+
+  let px = p1.x, py = p1.y;
+  for (let j = 1; j <= steps; j++) {
+    const t = j / steps;
+    const x = catmullRom(p0.x, p1.x, p2.x, p3.x, t);
+    const y = catmullRom(p0.y, p1.y, p2.y, p3.y, t);
+    const k = p1.k + (p2.k - p1.k) * t;
+
+    st.sinceStamp += Math.hypot(x - px, y - py);
+    if (st.sinceStamp >= stampSpacing(k)) {
+      stampAt(x, y, k);
+      st.sinceStamp = 0;
+    }
+    px = x;
+    py = y;
+  }
+}
+
+function stampSpacing(k) {
+  return Math.max(0.002, STAMP_SPACING * 2 * sizeToClip(stampSize(k)));
+}
+
+function stampSize(k) {
+  return (g_brushDynamics === "off") ? g_selectedSize : g_selectedSize * k;
+}
+
+function stampAt(x, y, k) {
+  addBrushShape(x, y, stampSize(k), (g_brushDynamics === "sizeAlpha") ? k : 1);
+}
+
+
+
+// =================== Path tools (polygon / polyline / bezier) ===================
+// Shapes placed point by point: click to add a point, Backspace removes the last
+// one, Esc cancels. Polygons and polylines end on double-click or Enter (a
+// polygon also closes when you click its first point), curves as soon as they
+// have all their controls.
+const PATH_TOOLS = {
+  polygon: { min: 3, max: Infinity },
+  polyline: { min: 2, max: Infinity },
+  quadBezier: { min: 3, max: 3 },
+  cubicBezier: { min: 4, max: 4 },
+};
+const PATH_CLOSE_DIST = 0.04; // clip units; clicking this close to the first point closes a polygon
+const PATH_PREVIEW_COLOR = [1.0, 0.8, 0.2, 1.0];
+
+let g_path = null; // { type, points: [[x, y], ...], hover: [x, y] } while placing
+
+function isPathTool(type) {
+  return type in PATH_TOOLS;
+}
+
+function pathClick(ev) {
+  if (!canPaintActiveLayer()) return;
+  const [x, y] = convertEventToGL(ev);
+  if (!g_path || g_path.type !== g_selectedType) {
+    g_path = { type: g_selectedType, points: [], hover: [x, y] };
+  }
+  const pts = g_path.points;
+
+  if (g_path.type === "polygon" && pts.length >= 3 &&
+      Math.hypot(x - pts[0][0], y - pts[0][1]) <= PATH_CLOSE_DIST) {
+    finishPath();
+    return;
+  }
+  // the second click of a double-click lands on the point it just added
+  const last = pts[pts.length - 1];
+  if (!last || Math.hypot(x - last[0], y - last[1]) > 1e-3) pts.push([x, y]);
+
+  if (pts.length >= PATH_TOOLS[g_path.type].max) {
+    finishPath();
+  } else {
+    renderAllShapes();
+  }
+}
+
+function pathHover(ev) {
+  if (!g_path) return;
+  g_path.hover = convertEventToGL(ev);
+  renderAllShapes();
+}
+
+// Adds the shape (one undo step) if there are enough points; drops the path either way
+function finishPath() {
+  const path = g_path;
+  g_path = null;
+  if (path && path.points.length >= PATH_TOOLS[path.type].min && canPaintActiveLayer()) {
+    beginAction();
+    for (const t of symmetryTransforms()) {
+      addShape(makePathShape(path.type, path.points.map(([x, y]) => symmetryPoint(t, x, y))));
+    }
+    endAction();
+  }
+  renderAllShapes();
+}
+
+function cancelPath() {
+  g_path = null;
+  renderAllShapes();
+}
+
+function removeLastPathPoint() {
+  if (!g_path) return;
+  g_path.points.pop();
+  if (g_path.points.length === 0) g_path = null;
+  renderAllShapes();
+}
+
+function makePathShape(type, points) {
+  const color = [...g_selectedColor];
+  if (type === "polygon") return new Polygon(points, color);
+  if (type === "polyline") return new Polyline(points, color, g_selectedSize);
+  return new Bezier(points, color, g_selectedSize);
+}
+
+function drawPathPreview() {
+  if (!g_path) return;
+  const pts = [...g_path.points, g_path.hover];
+
+  if (g_path.type === "quadBezier" || g_path.type === "cubicBezier") {
+    // the curve so far, with the hover point standing in for the next control
+    const curve = bezierPoints(pts);
+    for (let i = 0; i + 1 < curve.length; i++) {
+      drawLineNow(curve[i][0], curve[i][1], curve[i + 1][0], curve[i + 1][1], g_selectedColor);
+    }
+  }
+  for (let i = 0; i + 1 < pts.length; i++) {
+    drawLineNow(pts[i][0], pts[i][1], pts[i + 1][0], pts[i + 1][1], PATH_PREVIEW_COLOR, 0.002);
+  }
+  const r = 0.01;
+  for (const [x, y] of g_path.points) {
+    drawRectNow(x - r, y - r, x + r, y + r, PATH_PREVIEW_COLOR);
+  }
+}
+
+
+// =================== Gradients and fill bucket ===================
+// A shape with a `gradient` ({type: "linear"|"radial", color}) blends from its
+// own color to gradient.color across its extent: linear from the bottom of the
+// shape to its top (turning with angleDeg), radial from its center out to its
+// farthest vertex. Colors are computed per vertex, so radial gradients are
+// drawn on subdivided triangles.
+const RADIAL_MAX_EDGE = 0.04;   // clip units
+const FILL_TOLERANCE = 24;      // max |dr| + |dg| + |db| (0..765) still counted as the same color
+
+function makeGradient() {
+  if (g_fillMode !== "linear" && g_fillMode !== "radial") return null;
+  return { type: g_fillMode, color: [...g_gradientColor] };
+}
+
+// Where a gradient runs, from the shape's triangles (flat [x, y, ...])
+function gradientFrame(s, tris) {
+  if (s.gradient.type === "radial") {
+    let cx, cy;
+    if (s.position) {
+      [cx, cy] = posToArray(s.position);
+    } else {
+      const [[x0, y1], , [x1, y0]] = boundsCorners(tris);
+      cx = (x0 + x1) / 2;
+      cy = (y0 + y1) / 2;
+    }
+    let radius = 0;
+    for (let i = 0; i < tris.length; i += 2) {
+      radius = Math.max(radius, Math.hypot(tris[i] - cx, tris[i + 1] - cy));
+    }
+    return { type: "radial", center: [cx, cy], radius: radius || 1 };
+  }
+
+  const rad = ((s.angleDeg || 0) * Math.PI) / 180;
+  const dir = [-Math.sin(rad), Math.cos(rad)]; // local "up"
+  let tmin = Infinity, tmax = -Infinity;
+  for (let i = 0; i < tris.length; i += 2) {
+    const t = tris[i] * dir[0] + tris[i + 1] * dir[1];
+    tmin = Math.min(tmin, t);
+    tmax = Math.max(tmax, t);
+  }
+  return { type: "linear", dir, tmin, tmax: (tmax > tmin) ? tmax : tmin + 1 };
+}
+
+function boundsCorners(tris) {
+  let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+  for (let i = 0; i < tris.length; i += 2) {
+    x0 = Math.min(x0, tris[i]); x1 = Math.max(x1, tris[i]);
+    y0 = Math.min(y0, tris[i + 1]); y1 = Math.max(y1, tris[i + 1]);
+  }
+  return [[x0, y1], [x1, y1], [x1, y0], [x0, y0]];
+}
+
+function gradientVertexColors(s, tris) {
+  const f = gradientFrame(s, tris);
+  const c0 = s.color;
+  const c1 = s.gradient.color;
+  const out = new Float32Array(tris.length * 2);
+  for (let i = 0; i < tris.length; i += 2) {
+    const x = tris[i], y = tris[i + 1];
+    const t = (f.type === "radial")
+      ? Math.min(1, Math.hypot(x - f.center[0], y - f.center[1]) / f.radius)
+      : (x * f.dir[0] + y * f.dir[1] - f.tmin) / (f.tmax - f.tmin);
+    for (let k = 0; k < 4; k++) {
+      out[i * 2 + k] = c0[k] + (c1[k] - c0[k]) * t;
+    }
+  }
+  return out;
+}
+
+// Splits triangles at their edge midpoints until no edge is longer than maxEdge
+function subdivideTriangles(tris, maxEdge) {
+  const out = [];
+  const split = (ax, ay, bx, by, cx, cy, depth) => {
+    const longest = Math.max(Math.hypot(bx - ax, by - ay), Math.hypot(cx - bx, cy - by), Math.hypot(ax - cx, ay - cy));
+    if (longest <= maxEdge || depth >= 6) {
+      out.push(ax, ay, bx, by, cx, cy);
+      return;
+    }
+    const abx = (ax + bx) / 2, aby = (ay + by) / 2;
+    const bcx = (bx + cx) / 2, bcy = (by + cy) / 2;
+    const cax = (cx + ax) / 2, cay = (cy + ay) / 2;
+    split(ax, ay, abx, aby, cax, cay, depth + 1);
+    split(abx, aby, bx, by, bcx, bcy, depth + 1);
+    split(cax, cay, bcx, bcy, cx, cy, depth + 1);
+    split(abx, aby, bcx, bcy, cax, cay, depth + 1);
+  };
+  for (let i = 0; i < tris.length; i += 6) {
+    split(tris[i], tris[i + 1], tris[i + 2], tris[i + 3], tris[i + 4], tris[i + 5], 0);
+  }
+  return out;
+}
+
+// Fill bucket: renders the visible painting at canvas resolution, flood-fills
+// the area under the cursor that matches the clicked color, grows it by a pixel
+// to cover anti-aliased edges, and adds it as one FillRegion (one undo step).
+function bucketFill(ev) {
+  if (!canPaintActiveLayer()) return;
+  const w = canvas.width, h = canvas.height;
+  const [x, y] = convertEventToGL(ev);
+  const px = Math.min(w - 1, Math.max(0, Math.floor((x + 1) / 2 * w)));
+  const py = Math.min(h - 1, Math.max(0, Math.floor((y + 1) / 2 * h))); // rows bottom-up, like readPixels
+
+  const pixels = renderPaintingToPixels(w, h);
+  renderAllShapes();
+  if (!pixels) {
+    alert("Could not fill: this GPU can't render the painting offscreen.");
+    return;
+  }
+
+  const mask = growMask(floodFillMask(pixels, w, h, px, py, FILL_TOLERANCE), w, h);
+  const rects = maskToRects(mask, w, h).map(([x0, y0, x1, y1]) =>
+    [x0 / w * 2 - 1, y0 / h * 2 - 1, x1 / w * 2 - 1, y1 / h * 2 - 1]);
+  if (rects.length === 0) return;
+
+  beginAction();
+  addShape(new FillRegion(rects, [...g_selectedColor]));
+  endAction();
+  renderAllShapes();
+}
+
+// 1 for every pixel 4-connected to (px, py) within `tolerance` of its color
+function floodFillMask(pixels, w, h, px, py, tolerance) {
+  const mask = new Uint8Array(w * h);
+  const seed = (py * w + px) * 4;
+  const r0 = pixels[seed], g0 = pixels[seed + 1], b0 = pixels[seed + 2];
+  const matches = (i) => Math.abs(pixels[i * 4] - r0) + Math.abs(pixels[i * 4 + 1] - g0) +
+                         Math.abs(pixels[i * 4 + 2] - b0) <= tolerance;
+
+  const stack = [py * w + px];
+  mask[py * w + px] = 1;
+  while (stack.length > 0) {
+    const i = stack.pop();
+    const x = i % w;
+    const neighbors = [x > 0 ? i - 1 : -1, x < w - 1 ? i + 1 : -1, i - w, i + w];
+    for (const n of neighbors) {
+      if (n >= 0 && n < w * h && !mask[n] && matches(n)) {
+        mask[n] = 1;
+        stack.push(n);
+      }
+    }
+  }
+  return mask;
+}
+
+function growMask(mask, w, h) {
+  const out = mask.slice();
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      const i = y * w + x;
+      if (mask[i]) continue;
+      if ((x > 0 && mask[i - 1]) || (x < w - 1 && mask[i + 1]) ||
+          (y > 0 && mask[i - w]) || (y < h - 1 && mask[i + w])) {
+        out[i] = 1;
+      }
+    }
+  }
+  return out;
+}
+
+// Covers the mask with rectangles (pixel units, [x0, y0, x1, y1]): runs on
+// each row, merged with the identical run on the row below when there is one.
+function maskToRects(mask, w, h) {
+  const rects = [];
+  let open = new Map(); // "x0,x1" -> rect still growing upward
+  for (let y = 0; y < h; y++) {
+    const next = new Map();
+    let x = 0;
+    while (x < w) {
+      if (!mask[y * w + x]) { x++; continue; }
+      const x0 = x;
+      while (x < w && mask[y * w + x]) x++;
+      const key = `${x0},${x}`;
+      const rect = open.get(key);
+      if (rect) {
+        rect[3] = y + 1;
+        open.delete(key);
+        next.set(key, rect);
+      } else {
+        const r = [x0, y, x, y + 1];
+        rects.push(r);
+        next.set(key, r);
+      }
+    }
+    open = next;
+  }
+  return rects;
+}
+
+
+// =================== Helpers ===================
+function posToArray(pos) {
+  return (pos instanceof Point) ? pos.toArray() : pos;
+}
+
+function convertEventToGL(ev) {
+  const rect = ev.target.getBoundingClientRect();
+  const mx = ev.clientX - rect.left;
+  const my = ev.clientY - rect.top;
+
+  // Convert to clip space [-1,1]
+  const x = (mx / canvas.width) * 2 - 1;
+  const y = 1 - (my / canvas.height) * 2;
+  return [x, y];
+}
+
+// Convert "pixel-ish size" to clip-space radius
+function sizeToClip(sizePx) {
+  // roughly: pixels / canvasWidth * 2
+  return (sizePx / canvas.width) * 2.0;
+}
+
+function drawTriangles(vertsFloat32) {
+  gl.bindBuffer(gl.ARRAY_BUFFER, g_vertexBuffer);
+  gl.bufferData(gl.ARRAY_BUFFER, vertsFloat32, gl.DYNAMIC_DRAW);
+
+  gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(a_Position);
+
+  gl.drawArrays(gl.TRIANGLES, 0, vertsFloat32.length / 2);
+}
+
+function rotateAbout(x, y, cx, cy, rad) {
+  const dx = x - cx;
+  const dy = y - cy;
+  const c = Math.cos(rad);
+  const s = Math.sin(rad);
+  return [cx + dx * c - dy * s, cy + dx * s + dy * c];
+}
+
+function drawRectNow(xMin, yMin, xMax, yMax, color) {
+  gl.uniform4f(u_FragColor, ...color);
+  gl.uniform1f(u_PointSize, 1.0);
+
+  // two triangles forming a rectangle
+  const verts = new Float32Array([
+    xMin, yMax,  xMax, yMax,  xMax, yMin,
+    xMin, yMax,  xMax, yMin,  xMin, yMin,
+  ]);
+
+  drawTriangles(verts);
+}
+
+// thin quad from (x0,y0) to (x1,y1)
+function drawLineNow(x0, y0, x1, y1, color, thickness = 0.004) {
+  const len = Math.hypot(x1 - x0, y1 - y0) || 1;
+  const nx = -(y1 - y0) / len * thickness;
+  const ny = (x1 - x0) / len * thickness;
+
+  gl.uniform4f(u_FragColor, ...color);
+  gl.uniform1f(u_PointSize, 1.0);
+  drawTriangles(new Float32Array([
+    x0 + nx, y0 + ny,  x1 + nx, y1 + ny,  x1 - nx, y1 - ny,
+    x0 + nx, y0 + ny,  x1 - nx, y1 - ny,  x0 - nx, y0 - ny,
+  ]));
+}
+
+function drawGridOverlayNow(step = 0.2) {
+  const lineColor = [0.25, 0.25, 0.25, 1.0];
+  const axisColor = [0.6, 0.6, 0.6, 1.0];
+  const thickness = 0.003;
+
+  // vertical lines
+  for (let x = -1; x <= 1.0001; x += step) {
+    const c = (Math.abs(x) < 1e-6) ? axisColor : lineColor;
+    drawRectNow(x - thickness, -1, x + thickness, 1, c);
+  }
+  // horizontal lines
+  for (let y = -1; y <= 1.0001; y += step) {
+    const c = (Math.abs(y) < 1e-6) ? axisColor : lineColor;
+    drawRectNow(-1, y - thickness, 1, y + thickness, c);
   }
 }
 
@@ -455,16 +1392,95 @@ function drawGridOverlayNow(step = 0.2) {
 
 function addActionsForHtmlUI() {
     // Brush buttons
-    document.getElementById("squareBtn").onclick = () => (g_selectedType = "square");
-    document.getElementById("triBtn").onclick = () => (g_selectedType = "triangle");
-    document.getElementById("circBtn").onclick = () => (g_selectedType = "circle");
+    const pickBrush = (type) => () => {
+        g_selectedType = type;
+        g_path = null;
+        setTool("paint");
+    };
+    document.getElementById("squareBtn").onclick = pickBrush("square");
+    document.getElementById("triBtn").onclick = pickBrush("triangle");
+    document.getElementById("circBtn").onclick = pickBrush("circle");
+    document.getElementById("starBtn").onclick = pickBrush("star");
+    document.getElementById("polygonBtn").onclick = pickBrush("polygon");
+    document.getElementById("polylineBtn").onclick = pickBrush("polyline");
+    document.getElementById("quadBezierBtn").onclick = pickBrush("quadBezier");
+    document.getElementById("cubicBezierBtn").onclick = pickBrush("cubicBezier");
+    document.getElementById("bucketBtn").onclick = pickBrush("bucket");
+
+    // Symmetry
+    const symSel = document.getElementById("symSel");
+    const symFoldsS = document.getElementById("symFoldsS");
+    const symFoldsVal = document.getElementById("symFoldsVal");
+    const symCxS = document.getElementById("symCxS");
+    const symCyS = document.getElementById("symCyS");
+    const updateSymmetry = () => {
+        g_symmetry.mode = symSel.value;
+        g_symmetry.folds = Number(symFoldsS.value);
+        g_symmetry.center = [Number(symCxS.value) / 100, Number(symCyS.value) / 100];
+        symFoldsVal.textContent = String(g_symmetry.folds);
+        renderAllShapes();
+    };
+    symSel.onchange = updateSymmetry;
+    for (const el of [symFoldsS, symCxS, symCyS]) el.addEventListener("input", updateSymmetry);
+    updateSymmetry();
+
+    // Fill style for new shapes
+    const fillSel = document.getElementById("fillSel");
+    const gradColor = document.getElementById("gradColor");
+    const updateFill = () => {
+        g_fillMode = fillSel.value;
+        const hex = gradColor.value; // "#rrggbb"
+        for (let i = 0; i < 3; i++) {
+            g_gradientColor[i] = parseInt(hex.substr(1 + i * 2, 2), 16) / 255;
+        }
+    };
+    fillSel.onchange = updateFill;
+    gradColor.addEventListener("input", updateFill);
+    updateFill();
+    document.getElementById("selectBtn").onclick = () => setTool("select");
     document.getElementById("dragModeBtn").onclick = () => (g_brushMode = "drag");
     document.getElementById("clickModeBtn").onclick = () => (g_brushMode = "click");
+    const dynamicsSel = document.getElementById("dynamicsSel");
+    dynamicsSel.onchange = () => (g_brushDynamics = dynamicsSel.value);
+    g_brushDynamics = dynamicsSel.value;
     
     // Undo/Redo
     document.getElementById("undoBtn").onclick = undo;
     document.getElementById("redoBtn").onclick = redo;
 
+    // Save / Open (JSON painting files)
+    const openFile = document.getElementById("openFile");
+    document.getElementById("saveBtn").onclick = savePaintingToFile;
+    document.getElementById("openBtn").onclick = () => openFile.click();
+    openFile.onchange = () => {
+      if (openFile.files.length > 0) openPaintingFile(openFile.files[0]);
+      openFile.value = ""; // allow opening the same file twice
+    };
+
+    // Timelapse
+    document.getElementById("playTimelapseBtn").onclick = () => {
+      if (g_timelapse && g_timelapse.playing) pauseTimelapse();
+      else playTimelapse();
+    };
+    document.getElementById("stopTimelapseBtn").onclick = stopTimelapse;
+    const timelapseSpeed = document.getElementById("timelapseSpeed");
+    timelapseSpeed.onchange = () => (g_timelapseSpeed = Number(timelapseSpeed.value));
+    g_timelapseSpeed = Number(timelapseSpeed.value);
+    const timelapseScrub = document.getElementById("timelapseScrub");
+    timelapseScrub.addEventListener("input", () => scrubTimelapse(timelapseScrub.value / TIMELAPSE_SCRUB_STEPS));
+    document.getElementById("exportRecordingBtn").onclick = exportRecording;
+    const recordingFile = document.getElementById("recordingFile");
+    document.getElementById("playRecordingBtn").onclick = () => recordingFile.click();
+    recordingFile.onchange = () => {
+      if (recordingFile.files.length > 0) openRecordingFile(recordingFile.files[0]);
+      recordingFile.value = "";
+    };
+    updateTimelapseUI();
+
+    // Export
+    document.getElementById("exportSvgBtn").onclick = exportSVG;
+    document.getElementById("exportPngBtn").onclick = exportPNG;
+
     // Draw Picture
     document.getElementById("drawPicBtn").onclick = drawMyPicture;
     document.getElementById("toggleGridBtn").onclick = () => {
@@ -473,14 +1489,11 @@ function addActionsForHtmlUI() {
     };
 
 
-    // Clear button
-    document.getElementById("clearBtn").onclick = () => {
-    // store a shallow copy of old list
-    undoStack.push({ type: "clear", prev: shapesList.slice() });
-    shapesList.length = 0;
-    redoStack.length = 0;
-    renderAllShapes();
-    };
+    // Clear button (active layer only)
+    document.getElementById("clearBtn").onclick = () => clearLayer(g_activeLayerId);
+
+    // Layers
+    document.getElementById("addLayerBtn").onclick = addLayer;
 
 
     // RGB sliders (live update)
@@ -518,6 +1531,16 @@ function addActionsForHtmlUI() {
     segS.addEventListener("input", updateSeg);
     updateSeg();
 
+    // Star points slider
+    const starPointsS = document.getElementById("starPointsS");
+    const starPointsVal = document.getElementById("starPointsVal");
+    const updateStarPoints = () => {
+        g_selectedStarPoints = Number(starPointsS.value);
+        starPointsVal.textContent = String(g_selectedStarPoints);
+    };
+    starPointsS.addEventListener("input", updateStarPoints);
+    updateStarPoints();
+
     // Angle slider
     const angleS = document.getElementById("angleS");
     const angleVal = document.getElementById("angleVal");
@@ -528,9 +1551,28 @@ function addActionsForHtmlUI() {
     angleS.addEventListener("input", updateAngle);
     updateAngle();
 
+    // With shapes selected, the sliders above also edit them (one undo step per drag)
+    const editSelection = (el, apply) => {
+        el.addEventListener("input", () => previewSelectionEdit(apply));
+        el.addEventListener("change", commitSelectionEdit);
+    };
+    editSelection(document.getElementById("redS"), (s) => { s.color[0] = g_selectedColor[0]; });
+    editSelection(document.getElementById("greenS"), (s) => { s.color[1] = g_selectedColor[1]; });
+    editSelection(document.getElementById("blueS"), (s) => { s.color[2] = g_selectedColor[2]; });
+    editSelection(sizeS, (s) => { s.size = g_selectedSize; });
+    editSelection(segS, (s) => { if (s instanceof Circle) s.segments = g_selectedSegments; });
+    editSelection(angleS, (s) => { if (!(s instanceof Circle)) s.angleDeg = g_selectedAngleDeg; });
+    editSelection(starPointsS, (s) => { if (s instanceof Star) s.points = g_selectedStarPoints; });
+
 }
 
 function addShape(s) {
+  s.layerId = g_activeLayerId;
+  const gradient = makeGradient();
+  if (gradient) {
+    gradient.color[3] *= s.color[3]; // keep brush dynamics' alpha at both ends
+    s.gradient = gradient;
+  }
   shapesList.push(s);
   g_strokeCount += 1;   // counts shapes in current action
 }
@@ -539,34 +1581,53 @@ function addShape(s) {
 function undo() {
   const action = undoStack.pop();
   if (!action) return;
+  scheduleAutosave();
 
   if (action.type === "add") {
     const removed = shapesList.splice(-action.count, action.count); // capture removed
-    redoStack.push({ type: "add", shapes: removed });
+    redoStack.push({ type: "add", shapes: removed, ...actionTimes(action) });
     renderAllShapes();
   } else if (action.type === "clear") {
+    // only found in paintings saved before layers existed
     // current state is empty (after clear), restore old
     shapesList.length = 0;
     shapesList.push(...action.prev);
     redoStack.push({ type: "clear", prev: action.prev }); // redo will clear again
     renderAllShapes();
+  } else if (action.type === "state") {
+    applyState(action.prev);
+    redoStack.push(action);
+    renderAllShapes();
+  } else if (action.type === "edit") {
+    action.shapes.forEach((s, i) => restoreShape(s, action.before[i]));
+    redoStack.push(action);
+    renderAllShapes();
   }
 }
 
 function redo() {
   const action = redoStack.pop();
   if (!action) return;
+  scheduleAutosave();
 
   if (action.type === "add") {
     // re-add the exact shapes that were removed
     shapesList.push(...action.shapes);
-    undoStack.push({ type: "add", count: action.shapes.length });
+    undoStack.push({ type: "add", count: action.shapes.length, ...actionTimes(action) });
     renderAllShapes();
   } else if (action.type === "clear") {
     // redo the clear: store what we're about to clear so undo works
     undoStack.push({ type: "clear", prev: shapesList.slice() });
     shapesList.length = 0;
     renderAllShapes();
+  } else if (action.type === "state") {
+    applyState(action.next);
+    undoStack.push(action);
+    renderAllShapes();
+  } else if (action.type === "edit") {
+    action.shapes.forEach((s, i) => restoreShape(s, action.after[i]));
+    undoStack.push(action);
+    renderAllShapes();
   }
 }
 
@@ -574,68 +1635,1252 @@ function redo() {
 
 function beginAction() {
   g_strokeCount = 0;
+  g_actionStart = Date.now();
 }
 
 function endAction() {
   if (g_strokeCount > 0) {
-    undoStack.push({ type: "add", count: g_strokeCount });
+    undoStack.push({ type: "add", count: g_strokeCount, start: g_actionStart, time: Date.now() });
     redoStack.length = 0; // NEW: new action kills redo history
+    scheduleAutosave();
   }
   g_strokeCount = 0;
 }
 
 
+// =================== Layers ===================
+// Everything except painting strokes (layer edits, clearing a layer, redrawing
+// the picture) is undone by swapping in a snapshot of the whole document. The
+// snapshots share shape objects, so they only cost one array slot per shape.
+function captureState() {
+  return { shapes: shapesList.slice(), layers: layers.map((l) => ({ ...l })) };
+}
+
+function applyState(state) {
+  shapesList.length = 0;
+  shapesList.push(...state.shapes);
+  layers.length = 0;
+  layers.push(...state.layers.map((l) => ({ ...l })));
+  if (!activeLayer()) g_activeLayerId = layers[layers.length - 1].id;
+  renderLayersPanel();
+}
+
+// Runs fn as one undoable edit, then redraws
+function editDocument(fn) {
+  const prev = captureState();
+  fn();
+  commitState(prev);
+}
+
+function commitState(prev) {
+  undoStack.push({ type: "state", prev, next: captureState(), time: Date.now() });
+  redoStack.length = 0;
+  scheduleAutosave();
+  renderLayersPanel();
+  renderAllShapes();
+}
+
+function createLayer(name) {
+  return { id: g_nextLayerId++, name, visible: true, locked: false, opacity: 1 };
+}
+
+function findLayer(id) {
+  return layers.find((l) => l.id === id) || null;
+}
+
+function activeLayer() {
+  return findLayer(g_activeLayerId);
+}
+
+// A new document has one empty layer
+function resetLayers() {
+  layers.length = 0;
+  g_nextLayerId = 1;
+  layers.push(createLayer("Layer 1"));
+  g_activeLayerId = layers[0].id;
+}
+
+function canPaintActiveLayer() {
+  const layer = activeLayer();
+  return !!layer && layer.visible && !layer.locked;
+}
+
+function removeShapesOfLayer(id) {
+  const kept = shapesList.filter((s) => s.layerId !== id);
+  shapesList.length = 0;
+  shapesList.push(...kept);
+}
+
+// New layers go directly above the active one
+function addLayer() {
+  editDocument(() => {
+    const layer = createLayer(`Layer ${g_nextLayerId}`);
+    layers.splice(layers.indexOf(activeLayer()) + 1, 0, layer);
+    g_activeLayerId = layer.id;
+  });
+}
+
+function deleteLayer(id) {
+  const i = layers.indexOf(findLayer(id));
+  if (i < 0 || layers.length === 1 || layers[i].locked) return;
+
+  editDocument(() => {
+    layers.splice(i, 1);
+    removeShapesOfLayer(id);
+    if (g_activeLayerId === id) g_activeLayerId = layers[Math.max(0, i - 1)].id;
+  });
+}
+
+// delta = +1 moves the layer up (drawn later), -1 down
+function moveLayer(id, delta) {
+  const i = layers.indexOf(findLayer(id));
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= layers.length) return;
+
+  editDocument(() => {
+    [layers[i], layers[j]] = [layers[j], layers[i]];
+  });
+}
+
+function setLayerProperty(id, key, value) {
+  const layer = findLayer(id);
+  if (!layer || layer[key] === value) return;
+  editDocument(() => {
+    layer[key] = value;
+  });
+}
+
+function clearLayer(id) {
+  const layer = findLayer(id);
+  if (!layer || layer.locked) return;
+  if (!shapesList.some((s) => s.layerId === id)) return;
+  editDocument(() => removeShapesOfLayer(id));
+}
+
+// Opacity slider: redraw live while dragging, record one undo step on release
+let g_opacityEditPrev = null;
+
+function previewLayerOpacity(id, opacity) {
+  if (!g_opacityEditPrev) g_opacityEditPrev = captureState();
+  findLayer(id).opacity = opacity;
+  renderAllShapes();
+}
+
+function commitLayerOpacity() {
+  if (!g_opacityEditPrev) return;
+  const prev = g_opacityEditPrev;
+  g_opacityEditPrev = null;
+  commitState(prev);
+}
+
+// Rebuilds the layer list, top layer first like most paint programs
+function renderLayersPanel() {
+  const list = document.getElementById("layerList");
+  list.innerHTML = "";
+
+  for (let i = layers.length - 1; i >= 0; i--) {
+    const layer = layers[i];
+    const row = document.createElement("div");
+
+    const active = document.createElement("input");
+    active.type = "radio";
+    active.name = "activeLayer";
+    active.title = "Paint on this layer";
+    active.checked = (layer.id === g_activeLayerId);
+    active.onchange = () => {
+      g_activeLayerId = layer.id;
+      renderLayersPanel();
+    };
+
+    const visible = document.createElement("input");
+    visible.type = "checkbox";
+    visible.title = "Visible";
+    visible.checked = layer.visible;
+    visible.onchange = () => setLayerProperty(layer.id, "visible", visible.checked);
+
+    const locked = document.createElement("input");
+    locked.type = "checkbox";
+    locked.title = "Locked";
+    locked.checked = layer.locked;
+    locked.onchange = () => setLayerProperty(layer.id, "locked", locked.checked);
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = layer.name;
+    name.style.width = "8em";
+    name.onchange = () => setLayerProperty(layer.id, "name", name.value.trim() || layer.name);
+
+    const opacity = document.createElement("input");
+    opacity.type = "range";
+    opacity.min = "0";
+    opacity.max = "100";
+    opacity.title = "Opacity";
+    opacity.value = String(Math.round(layer.opacity * 100));
+    opacity.oninput = () => previewLayerOpacity(layer.id, Number(opacity.value) / 100);
+    opacity.onchange = commitLayerOpacity;
+
+    const button = (label, title, onclick, disabled) => {
+      const b = document.createElement("button");
+      b.textContent = label;
+      b.title = title;
+      b.disabled = disabled;
+      b.onclick = onclick;
+      return b;
+    };
+
+    row.append(
+      active, visible, document.createTextNode("visible "),
+      locked, document.createTextNode("lock "),
+      name, opacity,
+      button("\u25B2", "Move up", () => moveLayer(layer.id, +1), i === layers.length - 1),
+      button("\u25BC", "Move down", () => moveLayer(layer.id, -1), i === 0),
+      button("Delete", "Delete layer and its shapes", () => deleteLayer(layer.id),
+             layers.length === 1 || layer.locked),
+    );
+    list.appendChild(row);
+  }
+
+  // no painting into a hidden or locked layer
+  if (canvas) canvas.style.cursor = canPaintActiveLayer() ? "" : "not-allowed";
+}
+
+
+// =================== Selection tool ===================
+// Click picks the topmost shape under the cursor (shift-click toggles), dragging
+// from empty space rubber-bands every shape fully inside the box, dragging a
+// selected shape moves the selection and the handle above it rotates it.
+// Only brush shapes on visible, unlocked layers can be selected.
+const SELECTION_COLOR = [0.25, 0.65, 1.0, 1.0];
+const ROTATE_HANDLE_OFFSET = 0.08; // clip units above the selection box
+const ROTATE_HANDLE_RADIUS = 0.03;
+
+let g_selection = [];
+let g_selectDrag = null; // { mode: "move"|"rotate"|"band", start:[x,y], ... } while the mouse is down
+let g_selectionEditBefore = null;
+
+function setTool(tool) {
+  g_tool = tool;
+  g_selection = [];
+  renderAllShapes();
+}
+
+function isSelectable(s) {
+  const layer = findLayer(s.layerId);
+  return !!s.position && !!layer && layer.visible && !layer.locked;
+}
+
+// even-odd test against a closed polygon
+function pointInPolygon(x, y, pts) {
+  let inside = false;
+  for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+    const [xi, yi] = pts[i];
+    const [xj, yj] = pts[j];
+    if ((yi > y) !== (yj > y) && x < xj + (y - yi) / (yj - yi) * (xi - xj)) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+// topmost selectable shape under (x, y), or null
+function pickShape(x, y) {
+  for (let li = layers.length - 1; li >= 0; li--) {
+    const id = layers[li].id;
+    for (let i = shapesList.length - 1; i >= 0; i--) {
+      const s = shapesList[i];
+      if (s.layerId === id && isSelectable(s) && pointInPolygon(x, y, s.outline())) return s;
+    }
+  }
+  return null;
+}
+
+function selectionBounds() {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const s of g_selection) {
+    for (const [x, y] of s.outline()) {
+      minX = Math.min(minX, x); maxX = Math.max(maxX, x);
+      minY = Math.min(minY, y); maxY = Math.max(maxY, y);
+    }
+  }
+  return { minX, minY, maxX, maxY, cx: (minX + maxX) / 2, cy: (minY + maxY) / 2 };
+}
+
+function rotateHandlePos() {
+  const b = selectionBounds();
+  return [b.cx, b.maxY + ROTATE_HANDLE_OFFSET];
+}
+
+// drop shapes that were removed (undo, clear, layer delete) or became uneditable
+function pruneSelection() {
+  if (g_selection.length === 0) return;
+  const present = new Set(shapesList);
+  g_selection = g_selection.filter((s) => present.has(s) && isSelectable(s));
+}
+
+function drawSelectionOverlay() {
+  pruneSelection();
+  const drag = g_selectDrag;
+
+  if (drag && drag.mode === "band") {
+    const [x0, y0] = drag.start;
+    const [x1, y1] = drag.end;
+    drawLineNow(x0, y0, x1, y0, SELECTION_COLOR);
+    drawLineNow(x1, y0, x1, y1, SELECTION_COLOR);
+    drawLineNow(x1, y1, x0, y1, SELECTION_COLOR);
+    drawLineNow(x0, y1, x0, y0, SELECTION_COLOR);
+  }
+  if (g_selection.length === 0) return;
+
+  for (const s of g_selection) {
+    const pts = s.outline();
+    for (let i = 0; i < pts.length; i++) {
+      const [ax, ay] = pts[i];
+      const [bx, by] = pts[(i + 1) % pts.length];
+      drawLineNow(ax, ay, bx, by, SELECTION_COLOR);
+    }
+  }
+
+  // rotate handle on a stem above the selection box
+  const b = selectionBounds();
+  const [hx, hy] = rotateHandlePos();
+  drawLineNow(hx, b.maxY, hx, hy, SELECTION_COLOR);
+  const r = ROTATE_HANDLE_RADIUS * 0.6;
+  drawRectNow(hx - r, hy - r, hx + r, hy + r, SELECTION_COLOR);
+}
+
+function selectMouseDown(ev) {
+  const [x, y] = convertEventToGL(ev);
+  const before = () => g_selection.map((s) => s.toJSON());
+
+  if (g_selection.length > 0) {
+    const [hx, hy] = rotateHandlePos();
+    if (Math.hypot(x - hx, y - hy) <= ROTATE_HANDLE_RADIUS) {
+      const b = selectionBounds();
+      g_selectDrag = { mode: "rotate", start: [x, y], pivot: [b.cx, b.cy],
+                       startAngle: Math.atan2(y - b.cy, x - b.cx), before: before() };
+      return;
+    }
+  }
+
+  const hit = pickShape(x, y);
+  if (!hit) {
+    if (!ev.shiftKey) g_selection = [];
+    g_selectDrag = { mode: "band", start: [x, y], end: [x, y] };
+  } else if (ev.shiftKey) {
+    g_selection = g_selection.includes(hit) ? g_selection.filter((s) => s !== hit) : [...g_selection, hit];
+  } else {
+    if (!g_selection.includes(hit)) g_selection = [hit];
+    g_selectDrag = { mode: "move", start: [x, y], before: before() };
+  }
+  renderAllShapes();
+}
+
+function selectMouseMove(ev) {
+  const drag = g_selectDrag;
+  if (!drag) return;
+  const [x, y] = convertEventToGL(ev);
+
+  if (drag.mode === "band") {
+    drag.end = [x, y];
+  } else if (drag.mode === "move") {
+    const dx = x - drag.start[0];
+    const dy = y - drag.start[1];
+    g_selection.forEach((s, i) => {
+      const [px, py] = drag.before[i].position;
+      s.position = new Point(px + dx, py + dy);
+    });
+  } else { // rotate
+    let deg = (Math.atan2(y - drag.pivot[1], x - drag.pivot[0]) - drag.startAngle) * 180 / Math.PI;
+    if (ev.shiftKey) deg = Math.round(deg / 15) * 15;
+    const rad = deg * Math.PI / 180;
+    g_selection.forEach((s, i) => {
+      const o = drag.before[i];
+      s.position = new Point(...rotateAbout(o.position[0], o.position[1], drag.pivot[0], drag.pivot[1], rad));
+      if (!(s instanceof Circle)) s.angleDeg = o.angleDeg + deg;
+    });
+  }
+  if (drag.mode !== "band") invalidateBatches(g_selection);
+  drag.moved = true;
+  renderAllShapes();
+}
+
+function selectMouseUp() {
+  const drag = g_selectDrag;
+  if (!drag) return;
+  g_selectDrag = null;
+
+  if (drag.mode === "band") {
+    const minX = Math.min(drag.start[0], drag.end[0]), maxX = Math.max(drag.start[0], drag.end[0]);
+    const minY = Math.min(drag.start[1], drag.end[1]), maxY = Math.max(drag.start[1], drag.end[1]);
+    const inside = shapesList.filter((s) => isSelectable(s) && !g_selection.includes(s) &&
+      s.outline().every(([x, y]) => x >= minX && x <= maxX && y >= minY && y <= maxY));
+    g_selection = g_selection.concat(inside);
+    renderAllShapes();
+  } else if (drag.moved) {
+    recordEdit(g_selection, drag.before);
+  }
+}
+
+// Shape edits are undone by writing back the properties saved before the edit,
+// since the shape objects themselves are shared with the rest of the history.
+function recordEdit(shapes, before) {
+  undoStack.push({ type: "edit", shapes: shapes.slice(), before, after: shapes.map((s) => s.toJSON()),
+                   time: Date.now() });
+  redoStack.length = 0;
+  scheduleAutosave();
+  renderAllShapes();
+}
+
+function restoreShape(s, o) {
+  Object.assign(s, SHAPE_CLASSES[o.kind].fromJSON(o));
+  invalidateBatches([s]);
+}
+
+function previewSelectionEdit(apply) {
+  if (g_selection.length === 0) return;
+  if (!g_selectionEditBefore) g_selectionEditBefore = g_selection.map((s) => s.toJSON());
+  g_selection.forEach(apply);
+  invalidateBatches(g_selection);
+  renderAllShapes();
+}
+
+function commitSelectionEdit() {
+  if (!g_selectionEditBefore) return;
+  const before = g_selectionEditBefore;
+  g_selectionEditBefore = null;
+  recordEdit(g_selection, before);
+}
+
+
+// =================== Batched rendering ===================
+// Each layer keeps one interleaved vertex buffer (x, y, r, g, b, a per vertex)
+// with the triangles of its shapes in paint order. Between frames only the
+// shapes after the first one that changed are re-appended and uploaded, so
+// painting a stroke or undoing it touches just the end of the buffer. Shapes
+// edited in place (selection tool, edit undo) mark their layer for a rebuild.
+const FLOATS_PER_VERTEX = 6;
+const INITIAL_BATCH_VERTICES = 4096;
+
+const layerBatches = new Map(); // layer id -> batch
+
+function createBatch() {
+  return {
+    shapes: [],   // shapes in the buffer, in order
+    ends: [],     // vertex count after each of them
+    count: 0,     // vertices in use
+    data: new Float32Array(INITIAL_BATCH_VERTICES * FLOATS_PER_VERTEX),
+    buffer: gl.createBuffer(),
+    gpuLength: 0, // floats allocated in the GL buffer
+    dirty: false,
+  };
+}
+
+function invalidateBatches(shapes) {
+  for (const s of shapes) {
+    const batch = layerBatches.get(s.layerId);
+    if (batch) batch.dirty = true;
+  }
+}
+
+// Brings the batch in line with list (the layer's shapes, in paint order)
+function syncBatch(batch, list) {
+  let keep = 0;
+  if (!batch.dirty) {
+    const n = Math.min(list.length, batch.shapes.length);
+    while (keep < n && list[keep] === batch.shapes[keep]) keep++;
+  }
+  batch.dirty = false;
+  if (keep === list.length && keep === batch.shapes.length) return;
+
+  batch.shapes.length = keep;
+  batch.ends.length = keep;
+  batch.count = (keep > 0) ? batch.ends[keep - 1] : 0;
+
+  const from = batch.count;
+  for (let i = keep; i < list.length; i++) {
+    appendToBatch(batch, list[i]);
+  }
+  uploadBatch(batch, from);
+}
+
+function appendToBatch(batch, s) {
+  let tris = s.triangles();
+  let colors = null; // per-vertex rgba, only for gradients
+  if (s.gradient) {
+    if (s.gradient.type === "radial") tris = subdivideTriangles(tris, RADIAL_MAX_EDGE);
+    colors = gradientVertexColors(s, tris);
+  }
+
+  const needed = (batch.count + tris.length / 2) * FLOATS_PER_VERTEX;
+  if (needed > batch.data.length) {
+    let length = batch.data.length * 2;
+    while (length < needed) length *= 2;
+    const grown = new Float32Array(length);
+    grown.set(batch.data.subarray(0, batch.count * FLOATS_PER_VERTEX));
+    batch.data = grown;
+  }
+
+  const [r, g, b, a] = s.color;
+  const data = batch.data;
+  let o = batch.count * FLOATS_PER_VERTEX;
+  for (let i = 0; i < tris.length; i += 2) {
+    data[o++] = tris[i];
+    data[o++] = tris[i + 1];
+    if (colors) {
+      const c = i * 2;
+      data[o++] = colors[c];
+      data[o++] = colors[c + 1];
+      data[o++] = colors[c + 2];
+      data[o++] = colors[c + 3];
+    } else {
+      data[o++] = r;
+      data[o++] = g;
+      data[o++] = b;
+      data[o++] = a;
+    }
+  }
+
+  batch.count += tris.length / 2;
+  batch.shapes.push(s);
+  batch.ends.push(batch.count);
+}
+
+// Sends vertices from `fromVertex` on; everything if the buffer had to grow
+function uploadBatch(batch, fromVertex) {
+  gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+  if (batch.data.length > batch.gpuLength) {
+    gl.bufferData(gl.ARRAY_BUFFER, batch.data, gl.DYNAMIC_DRAW);
+    batch.gpuLength = batch.data.length;
+  } else if (batch.count > fromVertex) {
+    gl.bufferSubData(gl.ARRAY_BUFFER, fromVertex * FLOATS_PER_VERTEX * 4,
+                     batch.data.subarray(fromVertex * FLOATS_PER_VERTEX, batch.count * FLOATS_PER_VERTEX));
+  }
+}
+
+// Layer opacity multiplies each vertex color, so overlapping shapes in a faded
+// layer show through each other.
+function drawBatch(batch, opacity) {
+  if (batch.count === 0) return;
+  const stride = FLOATS_PER_VERTEX * 4;
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, batch.buffer);
+  gl.vertexAttribPointer(a_Position, 2, gl.FLOAT, false, stride, 0);
+  gl.enableVertexAttribArray(a_Position);
+  gl.vertexAttribPointer(a_Color, 4, gl.FLOAT, false, stride, 2 * 4);
+  gl.enableVertexAttribArray(a_Color);
+
+  gl.uniform4f(u_FragColor, 1, 1, 1, opacity);
+  gl.drawArrays(gl.TRIANGLES, 0, batch.count);
+}
+
+
+// =================== Save / Load ===================
+// Painting document (JSON):
+//   { format: "asgn1-painting", version: 5,
+//     shapes: [ {kind, layer, gradient?, ...}, ... ], // every distinct shape, referenced by index below
+//     layers: [ {id, name, visible, locked, opacity}, ... ], // bottom to top
+//     activeLayer: id,
+//     drawing: [i, ...],                   // shapesList
+//     undo: [ {type:"add", count} | {type:"state", prev, next} | {type:"edit", shapes, before, after} ],
+//     redo: [ {type:"add", shapes:[i, ...]} | {type:"state", prev, next} | {type:"edit", ...} ] }
+// where a state is { shapes:[i, ...], layers:[...] } and an edit's before/after
+// hold one {kind, ...} per edited shape. Undo entries share shape objects with
+// the drawing, so shapes are stored once and referenced by index. Undo and redo
+// entries also carry start/time (ms since 1970) when they were recorded; older
+// files don't have them, so they are optional rather than a new version.
+// Version 1 had no layers (everything loads into one) and used
+// {type:"clear", prev:[i, ...]} entries instead of states; version 2 had no edits,
+// version 3 no star/polygon/polyline/bezier shapes, version 4 no gradients or fills.
+const PAINTING_FORMAT = "asgn1-painting";
+const PAINTING_VERSION = 5;
+const AUTOSAVE_KEY = "asgn1.painting";
+const AUTOSAVE_DELAY_MS = 500;
+
+const SHAPE_CLASSES = {
+  square: Square,
+  triangle: Triangle,
+  circle: Circle,
+  customTriangle: CustomTriangle,
+  star: Star,
+  polygon: Polygon,
+  polyline: Polyline,
+  bezier: Bezier,
+  fillRegion: FillRegion,
+};
+
+let g_autosaveTimer = null;
+
+function serializePainting() {
+  const shapes = [];
+  const indexOf = new Map();
+  const ref = (s) => {
+    if (!indexOf.has(s)) {
+      indexOf.set(s, shapes.length);
+      const o = { ...s.toJSON(), layer: s.layerId };
+      if (s.gradient) o.gradient = { type: s.gradient.type, color: copyColor(s.gradient.color) };
+      shapes.push(o);
+    }
+    return indexOf.get(s);
+  };
+  const refs = (list) => list.map(ref);
+  const stateToJSON = (st) => ({ shapes: refs(st.shapes), layers: st.layers.map(layerToJSON) });
+  const entryToJSON = (a) => {
+    if (a.type === "add") return a.shapes ? { type: "add", shapes: refs(a.shapes) } : { type: "add", count: a.count };
+    if (a.type === "state") return { type: "state", prev: stateToJSON(a.prev), next: stateToJSON(a.next) };
+    if (a.type === "edit") return { type: "edit", shapes: refs(a.shapes), before: a.before, after: a.after };
+    return { type: "clear", prev: refs(a.prev) };
+  };
+  const actionToJSON = (a) => ({ ...entryToJSON(a), ...actionTimes(a) });
+
+  const drawing = refs(shapesList);
+  const undo = undoStack.map(actionToJSON);
+  const redo = redoStack.map(actionToJSON);
+
+  return { format: PAINTING_FORMAT, version: PAINTING_VERSION, shapes,
+           layers: layers.map(layerToJSON), activeLayer: g_activeLayerId, drawing, undo, redo };
+}
+
+// An action's start/time, or nothing for entries recorded before they existed
+function actionTimes(a) {
+  if (a.time == null) return {};
+  return { start: Number(a.start ?? a.time), time: Number(a.time) };
+}
+
+// One entry of a document's shapes list, with its layer and gradient
+function shapeFromJSON(o) {
+  const cls = SHAPE_CLASSES[o.kind];
+  if (!cls) throw new Error(`unknown shape kind "${o.kind}"`);
+  const s = cls.fromJSON(o);
+  s.layerId = Number(o.layer);
+  if (o.gradient) {
+    if (o.gradient.type !== "linear" && o.gradient.type !== "radial") {
+      throw new Error(`unknown gradient "${o.gradient.type}"`);
+    }
+    s.gradient = { type: o.gradient.type, color: copyColor(o.gradient.color) };
+  }
+  return s;
+}
+
+function layerToJSON(l) {
+  return { id: l.id, name: l.name, visible: l.visible, locked: l.locked, opacity: l.opacity };
+}
+
+function layerFromJSON(o) {
+  return { id: Number(o.id), name: String(o.name), visible: o.visible !== false,
+           locked: !!o.locked, opacity: Math.max(0, Math.min(1, Number(o.opacity ?? 1))) };
+}
+
+// Replaces the current drawing and history. Throws on a document we can't read,
+// leaving the current drawing untouched.
+function loadPainting(doc) {
+  if (!doc || doc.format !== PAINTING_FORMAT) {
+    throw new Error("not an asgn1 painting");
+  }
+  if (!(doc.version >= 1 && doc.version <= PAINTING_VERSION)) {
+    throw new Error(`unsupported painting version ${doc.version}`);
+  }
+
+  // every layer id in the document, including deleted layers kept in the history
+  const layerIds = new Set();
+  const layersFromJSON = (list) => list.map((o) => {
+    const l = layerFromJSON(o);
+    layerIds.add(l.id);
+    return l;
+  });
+
+  // version 1 paintings go into a single layer
+  const docLayers = layersFromJSON((doc.version >= 2) ? doc.layers : [{ id: 1, name: "Layer 1" }]);
+  if (docLayers.length === 0) throw new Error("painting has no layers");
+
+  const shapes = doc.shapes.map((o) => {
+    const s = shapeFromJSON(o);
+    if (doc.version < 2) s.layerId = 1;
+    return s;
+  });
+  const deref = (list) => list.map((i) => {
+    if (!(i in shapes)) throw new Error(`bad shape index ${i}`);
+    return shapes[i];
+  });
+  const stateFromJSON = (st) => ({ shapes: deref(st.shapes), layers: layersFromJSON(st.layers) });
+  const entryFromJSON = (a) => {
+    if (a.type === "add") return a.shapes ? { type: "add", shapes: deref(a.shapes) } : { type: "add", count: a.count };
+    if (a.type === "state") return { type: "state", prev: stateFromJSON(a.prev), next: stateFromJSON(a.next) };
+    if (a.type === "clear") return { type: "clear", prev: deref(a.prev) };
+    if (a.type === "edit") {
+      for (const o of [...a.before, ...a.after]) {
+        if (!SHAPE_CLASSES[o.kind]) throw new Error(`unknown shape kind "${o.kind}"`);
+      }
+      return { type: "edit", shapes: deref(a.shapes), before: a.before, after: a.after };
+    }
+    throw new Error(`unknown history entry "${a.type}"`);
+  };
+  const actionFromJSON = (a) => ({ ...entryFromJSON(a), ...actionTimes(a) });
+
+  const drawing = deref(doc.drawing);
+  const undo = (doc.undo || []).map(actionFromJSON);
+  const redo = (doc.redo || []).map(actionFromJSON);
+
+  layers.length = 0;
+  layers.push(...docLayers);
+  g_nextLayerId = Math.max(...layerIds) + 1;
+  g_activeLayerId = findLayer(doc.activeLayer) ? doc.activeLayer : docLayers[docLayers.length - 1].id;
+
+  shapesList.length = 0;
+  shapesList.push(...drawing);
+  g_selection = [];
+  undoStack.length = 0;
+  undoStack.push(...undo);
+  redoStack.length = 0;
+  redoStack.push(...redo);
+}
+
+// Called wherever an edit is committed (endAction, commitState, recordEdit,
+// undo/redo, opening a file) rather than on every redraw, so previews and
+// timelapse frames don't keep pushing the save back.
+function scheduleAutosave() {
+  clearTimeout(g_autosaveTimer);
+  g_autosaveTimer = setTimeout(autosaveNow, AUTOSAVE_DELAY_MS);
+}
+
+function autosaveNow() {
+  try {
+    localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializePainting()));
+  } catch (e) {
+    // private mode or over quota: keep painting, just don't persist
+    console.log("Autosave failed:", e.message);
+  }
+}
+
+function restoreAutosave() {
+  let text = null;
+  try {
+    text = localStorage.getItem(AUTOSAVE_KEY);
+  } catch (e) {
+    return;
+  }
+  if (!text) return;
+
+  try {
+    loadPainting(JSON.parse(text));
+  } catch (e) {
+    console.log("Ignoring unreadable autosave:", e.message);
+  }
+}
+
+function downloadBlob(blob, filename) {
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  // revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
+
+function savePaintingToFile() {
+  const blob = new Blob([JSON.stringify(serializePainting(), null, 1)], { type: "application/json" });
+  downloadBlob(blob, "painting.json");
+}
+
+function openPaintingFile(file) {
+  file.text().then((text) => {
+    try {
+      loadPainting(JSON.parse(text));
+    } catch (e) {
+      alert(`Could not open ${file.name}: ${e.message}`);
+      return;
+    }
+    stopTimelapse();
+    scheduleAutosave();
+    renderLayersPanel();
+    renderAllShapes();
+  }).catch((e) => alert(`Could not read ${file.name}: ${e.message}`));
+}
+
+
+// =================== Timelapse ===================
+// Replays the history behind the current drawing (or a recording file) as an
+// animation. A recording is built from the document serializePainting() writes:
+//   { format: "asgn1-recording", version: 1,
+//     shapes: [ {kind, layer, gradient?, ...}, ... ], // every version of every shape
+//     layers: [...], drawing: [i, ...],                // what was there before the history starts
+//     steps: [ {start, end, op:"add", shapes:[i, ...]}                  // appended, in paint order
+//            | {start, end, op:"set", shapes:[i, ...], layers:[...]}    // whole drawing swapped in
+//            | {start, end, op:"replace", from:[i, ...], to:[i, ...]} ] } // edited shapes
+// An edit adds the shape's earlier version to shapes, so steps never change a
+// shape, they only change which ones are drawn. start/end are null for actions
+// saved before history entries had times.
+const RECORDING_FORMAT = "asgn1-recording";
+const RECORDING_VERSION = 1;
+const TIMELAPSE_MAX_GAP_MS = 1000;     // idle time between actions plays at most this long
+const TIMELAPSE_UNTIMED_GAP_MS = 250;  // between actions that have no times
+const TIMELAPSE_MAX_STEP_MS = 10000;   // one very long stroke plays at most this long
+const TIMELAPSE_REVEAL_MS = 40;        // per shape, for actions that took no time (e.g. Draw My Picture)
+const TIMELAPSE_SCRUB_STEPS = 1000;    // resolution of the timelapseScrub slider
+
+// { rec, timeline, total, clock, playing, instances, frameRequest, lastTick } while a timelapse is shown;
+// instances are the shapes of rec.shapes, built once
+let g_timelapse = null;
+let g_timelapseSpeed = 1;
+
+function buildRecording(doc = serializePainting()) {
+  const shapes = doc.shapes.slice();
+  const current = new Map(); // doc shape index -> the version drawn at this point of the walk
+  const version = (i) => current.get(i) ?? i;
+
+  let drawing = doc.drawing.slice();
+  let docLayers = doc.layers;
+  const steps = [];
+
+  // walk back from the current drawing to where the history starts
+  for (let k = doc.undo.length - 1; k >= 0; k--) {
+    const a = doc.undo[k];
+    const step = { start: a.start ?? null, end: a.time ?? null };
+    if (a.type === "add") {
+      step.op = "add";
+      step.shapes = drawing.slice(drawing.length - a.count);
+      drawing = drawing.slice(0, drawing.length - a.count);
+    } else if (a.type === "edit") {
+      step.op = "replace";
+      step.from = [];
+      step.to = [];
+      a.shapes.forEach((i, n) => {
+        step.to.push(version(i));
+        step.from.push(shapes.length);
+        current.set(i, shapes.length);
+        shapes.push({ ...doc.shapes[i], ...a.before[n] });
+      });
+      const back = new Map(step.to.map((v, n) => [v, step.from[n]]));
+      drawing = drawing.map((v) => back.get(v) ?? v);
+    } else {
+      // "state", or "clear" from version 1 paintings
+      step.op = "set";
+      step.shapes = drawing;
+      step.layers = docLayers;
+      if (a.type === "state") {
+        drawing = a.prev.shapes.map(version);
+        docLayers = a.prev.layers;
+      } else {
+        drawing = a.prev.map(version);
+      }
+    }
+    steps.push(step);
+  }
+  steps.reverse();
+
+  return { format: RECORDING_FORMAT, version: RECORDING_VERSION, shapes, layers: docLayers, drawing, steps };
+}
+
+// Throws on a recording we can't play
+function checkRecording(rec) {
+  if (!rec || rec.format !== RECORDING_FORMAT) throw new Error("not an asgn1 recording");
+  if (rec.version !== RECORDING_VERSION) throw new Error(`unsupported recording version ${rec.version}`);
+
+  const checkRefs = (list) => {
+    for (const i of list) {
+      if (!(i in rec.shapes)) throw new Error(`bad shape index ${i}`);
+    }
+  };
+  checkRefs(rec.drawing);
+  for (const step of rec.steps) {
+    if (step.op === "add" || step.op === "set") checkRefs(step.shapes);
+    else if (step.op === "replace") checkRefs([...step.from, ...step.to]);
+    else throw new Error(`unknown step "${step.op}"`);
+  }
+}
+
+// When each step plays: [t0, t1] in ms from the start, plus the shapes it reveals
+// one by one. Idle time is cut down so the picture keeps coming together.
+function recordingTimeline(rec) {
+  const timeline = [];
+  let clock = 0;
+  let lastEnd = null;
+  let drawn = new Set(rec.drawing);
+
+  for (const step of rec.steps) {
+    let fresh = [];
+    if (step.op === "add") fresh = step.shapes;
+    else if (step.op === "set") fresh = step.shapes.filter((i) => !drawn.has(i));
+
+    const timed = step.start != null && step.end != null;
+    if (timeline.length > 0) {
+      clock += (timed && lastEnd != null)
+        ? Math.max(0, Math.min(TIMELAPSE_MAX_GAP_MS, step.start - lastEnd))
+        : TIMELAPSE_UNTIMED_GAP_MS;
+    }
+    const took = timed ? step.end - step.start : 0;
+    const duration = Math.min(TIMELAPSE_MAX_STEP_MS, (took > 0) ? took : fresh.length * TIMELAPSE_REVEAL_MS);
+    timeline.push({ t0: clock, t1: clock + duration, fresh });
+    clock += duration;
+    lastEnd = timed ? step.end : null;
+
+    if (step.op === "add") step.shapes.forEach((i) => drawn.add(i));
+    else if (step.op === "set") drawn = new Set(step.shapes);
+    else step.from.forEach((v, n) => { drawn.delete(v); drawn.add(step.to[n]); });
+  }
+  return timeline;
+}
+
+// What the recording shows at the given clock: shape indices in paint order and the layers
+function recordingFrame(rec, timeline, clock) {
+  let drawing = rec.drawing.slice();
+  let frameLayers = rec.layers;
+
+  for (let k = 0; k < rec.steps.length && timeline[k].t0 <= clock; k++) {
+    const step = rec.steps[k];
+    const { t0, t1, fresh } = timeline[k];
+    const part = (clock >= t1) ? 1 : (clock - t0) / (t1 - t0);
+    const shown = Math.floor(part * fresh.length);
+
+    if (step.op === "add") {
+      drawing.push(...step.shapes.slice(0, shown));
+    } else if (step.op === "set") {
+      frameLayers = step.layers;
+      if (shown === fresh.length) {
+        drawing = step.shapes.slice();
+      } else {
+        const hidden = new Set(fresh.slice(shown));
+        drawing = step.shapes.filter((i) => !hidden.has(i));
+      }
+    } else {
+      const swap = new Map(step.from.map((v, n) => [v, step.to[n]]));
+      drawing = drawing.map((v) => swap.get(v) ?? v);
+    }
+  }
+  return { shapes: drawing, layers: frameLayers };
+}
+
+function startTimelapse(rec) {
+  checkRecording(rec);
+  stopTimelapse();
+  if (g_path) cancelPath();
+
+  const timeline = recordingTimeline(rec);
+  const total = (timeline.length > 0) ? timeline[timeline.length - 1].t1 : 0;
+  const instances = rec.shapes.map(shapeFromJSON);
+  g_timelapse = { rec, timeline, total, clock: 0, playing: false, instances, frameRequest: 0, lastTick: 0 };
+  updateTimelapseUI();
+  renderAllShapes();
+}
+
+function stopTimelapse() {
+  if (!g_timelapse) return;
+  cancelAnimationFrame(g_timelapse.frameRequest);
+  g_timelapse = null;
+  updateTimelapseUI();
+  renderAllShapes();
+}
+
+function playTimelapse() {
+  if (!g_timelapse) startTimelapse(buildRecording());
+  const t = g_timelapse;
+  if (t.playing) return;
+  if (t.clock >= t.total) t.clock = 0; // replay from the start
+  t.playing = true;
+  t.lastTick = performance.now();
+  t.frameRequest = requestAnimationFrame(timelapseTick);
+  updateTimelapseUI();
+}
+
+function pauseTimelapse() {
+  if (!g_timelapse || !g_timelapse.playing) return;
+  g_timelapse.playing = false;
+  cancelAnimationFrame(g_timelapse.frameRequest);
+  updateTimelapseUI();
+}
+
+function timelapseTick(now) {
+  const t = g_timelapse;
+  if (!t || !t.playing) return;
+  t.clock = Math.min(t.total, t.clock + (now - t.lastTick) * g_timelapseSpeed);
+  t.lastTick = now;
+  if (t.clock >= t.total) t.playing = false;
+  else t.frameRequest = requestAnimationFrame(timelapseTick);
+  updateTimelapseUI();
+  renderAllShapes();
+}
+
+// Jumps to a point of the timelapse, 0..1 (starting one from the current history if needed)
+function scrubTimelapse(fraction) {
+  if (!g_timelapse) startTimelapse(buildRecording());
+  g_timelapse.clock = fraction * g_timelapse.total;
+  updateTimelapseUI();
+  renderAllShapes();
+}
+
+// Draws the current frame in place of the live drawing
+function renderTimelapseFrame() {
+  const t = g_timelapse;
+  const frame = recordingFrame(t.rec, t.timeline, t.clock);
+  renderShapes(frame.shapes.map((i) => t.instances[i]), frame.layers.map(layerFromJSON));
+}
+
+function formatClock(ms) {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+}
+
+function updateTimelapseUI() {
+  const t = g_timelapse;
+  document.getElementById("playTimelapseBtn").textContent = (t && t.playing) ? "Pause" : "Play";
+  document.getElementById("stopTimelapseBtn").disabled = !t;
+  document.getElementById("timelapseScrub").value =
+    (t && t.total > 0) ? Math.round(t.clock / t.total * TIMELAPSE_SCRUB_STEPS) : 0;
+  document.getElementById("timelapseTime").textContent =
+    t ? `${formatClock(t.clock)} / ${formatClock(t.total)}` : "";
+}
+
+function exportRecording() {
+  const rec = g_timelapse ? g_timelapse.rec : buildRecording();
+  downloadBlob(new Blob([JSON.stringify(rec)], { type: "application/json" }), "recording.json");
+}
+
+function openRecordingFile(file) {
+  file.text().then((text) => {
+    try {
+      startTimelapse(JSON.parse(text));
+    } catch (e) {
+      alert(`Could not play ${file.name}: ${e.message}`);
+      return;
+    }
+    playTimelapse();
+  }).catch((e) => alert(`Could not read ${file.name}: ${e.message}`));
+}
+
+
+// =================== Export (SVG / PNG) ===================
+// Both exporters work from clip space, so any output size gives the same picture.
+const BACKGROUND_COLOR = [0, 0, 0, 1]; // matches gl.clearColor in main()
+
+function svgColorAttrs(c, attr) {
+  const [r, g, b] = c.slice(0, 3).map((v) => Math.round(Math.max(0, Math.min(1, v)) * 255));
+  const alpha = (c[3] < 1) ? ` ${attr}-opacity="${+c[3].toFixed(3)}"` : "";
+  return `${attr}="rgb(${r},${g},${b})"${alpha}`;
+}
+
+function paintingToSVG(width, height) {
+  // clip space -> SVG user units (y down)
+  const pt = ([x, y]) => `${+((x + 1) * 0.5 * width).toFixed(2)},${+((1 - y) * 0.5 * height).toFixed(2)}`;
+
+  const out = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" ${svgColorAttrs(BACKGROUND_COLOR, "fill")}/>`,
+  ];
+  const defs = [];
+
+  // per-shape alpha, like the canvas (see drawBatch); gradients become defs
+  // laid out the same way as the vertex colors (see gradientFrame)
+  const paint = (s, attr, opacity) => {
+    const fade = (c) => [c[0], c[1], c[2], c[3] * opacity];
+    if (!s.gradient) return svgColorAttrs(fade(s.color), attr);
+
+    const id = `grad${defs.length}`;
+    const f = gradientFrame(s, s.triangles());
+    const stop = (offset, c) => {
+      const [r, g, b] = c.slice(0, 3).map((v) => Math.round(Math.max(0, Math.min(1, v)) * 255));
+      return `<stop offset="${offset}" stop-color="rgb(${r},${g},${b})" stop-opacity="${+c[3].toFixed(3)}"/>`;
+    };
+    const stops = stop(0, fade(s.color)) + stop(1, fade(s.gradient.color));
+    if (f.type === "radial") {
+      const [cx, cy] = pt(f.center).split(",");
+      const r = +(f.radius * 0.5 * width).toFixed(2);
+      defs.push(`<radialGradient id="${id}" gradientUnits="userSpaceOnUse" cx="${cx}" cy="${cy}" r="${r}">${stops}</radialGradient>`);
+    } else {
+      const [x1, y1] = pt([f.dir[0] * f.tmin, f.dir[1] * f.tmin]).split(",");
+      const [x2, y2] = pt([f.dir[0] * f.tmax, f.dir[1] * f.tmax]).split(",");
+      defs.push(`<linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}">${stops}</linearGradient>`);
+    }
+    return `${attr}="url(#${id})"`;
+  };
+
+  for (const layer of layers) {
+    if (!layer.visible) continue;
+    out.push(`<g id="layer-${layer.id}">`);
+    for (const s of shapesList) {
+      if (s.layerId !== layer.id) continue;
+      const pts = s.outline().map(pt);
+      if (s instanceof Circle) {
+        // closed path through the same ring points the fan is drawn from
+        out.push(`<path d="M${pts.join("L")}Z" ${paint(s, "fill", layer.opacity)}/>`);
+      } else if (s instanceof FillRegion) {
+        const d = s.rects.map(([x0, y0, x1, y1]) => `M${pt([x0, y1])}L${pt([x1, y1])}L${pt([x1, y0])}L${pt([x0, y0])}Z`);
+        out.push(`<path d="${d.join("")}" ${paint(s, "fill", layer.opacity)} shape-rendering="crispEdges"/>`);
+      } else if (s instanceof Polyline) {
+        const stroke = paint(s, "stroke", layer.opacity);
+        const widthAttr = `stroke-width="${+(sizeToClip(s.size) * 0.5 * width).toFixed(2)}"`;
+        // a real curve for beziers; Q or C picked by the number of controls
+        const d = (s instanceof Bezier)
+          ? `M${pt(s.controls[0])}${s.controls.length === 3 ? "Q" : "C"}${s.controls.slice(1).map(pt).join(" ")}`
+          : `M${pts.join("L")}`;
+        out.push(`<path d="${d}" fill="none" ${stroke} ${widthAttr} stroke-linejoin="bevel"/>`);
+      } else {
+        out.push(`<polygon points="${pts.join(" ")}" ${paint(s, "fill", layer.opacity)}/>`);
+      }
+    }
+    out.push("</g>");
+  }
+  if (defs.length > 0) out.splice(1, 0, "<defs>", ...defs, "</defs>");
+  out.push("</svg>");
+  return out.join("\n");
+}
+
+function exportSVG() {
+  const size = getExportSize();
+  downloadBlob(new Blob([paintingToSVG(size, size)], { type: "image/svg+xml" }), "painting.svg");
+}
+
+// Re-renders the painting into an offscreen framebuffer of the requested size,
+// reads it back and encodes it as a PNG through a 2D canvas.
+function exportPNG() {
+  const size = getExportSize();
+  const maxSize = Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE));
+  if (size > maxSize) {
+    alert(`This GPU can export at most ${maxSize} x ${maxSize} pixels.`);
+    return;
+  }
+
+  const pixels = renderPaintingToPixels(size, size);
+  renderAllShapes();
+  if (!pixels) {
+    alert(`Could not export: this GPU can't render ${size} x ${size} pixels offscreen.`);
+    return;
+  }
+
+  // readPixels is bottom-up; image rows are top-down
+  const out = document.createElement("canvas");
+  out.width = size;
+  out.height = size;
+  const ctx2d = out.getContext("2d");
+  const image = ctx2d.createImageData(size, size);
+  const rowBytes = size * 4;
+  for (let y = 0; y < size; y++) {
+    image.data.set(pixels.subarray((size - 1 - y) * rowBytes, (size - y) * rowBytes), y * rowBytes);
+  }
+  ctx2d.putImageData(image, 0, 0);
+  out.toBlob((blob) => downloadBlob(blob, "painting.png"), "image/png");
+}
+
+// The painting (no overlays) rendered offscreen, as RGBA rows bottom-up; null if
+// the framebuffer can't be made. Leaves the canvas viewport set back up, but not
+// redrawn. Also used by the fill bucket.
+function renderPaintingToPixels(width, height) {
+  const tex = gl.createTexture();
+  gl.bindTexture(gl.TEXTURE_2D, tex);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  const fbo = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, tex, 0);
+
+  let pixels = null;
+  if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) === gl.FRAMEBUFFER_COMPLETE) {
+    pixels = new Uint8Array(width * height * 4);
+    gl.viewport(0, 0, width, height);
+    renderShapes();
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+  }
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.deleteFramebuffer(fbo);
+  gl.deleteTexture(tex);
+  gl.viewport(0, 0, canvas.width, canvas.height);
+  return pixels;
+}
+
+function getExportSize() {
+  const n = Math.round(Number(document.getElementById("exportSize").value));
+  return Math.max(16, Math.min(8192, n || canvas.width));
+}
+
+
 // =================== main ===================
 function main() {
   if (!setupWebGL()) return;
   if (!connectVariablesToGLSL()) return;
 
   document.addEventListener("keydown", (e) => {
+  if (e.target.type === "text") return; // let layer-name fields keep their own undo
   const z = e.key.toLowerCase() === "z";
   const y = e.key.toLowerCase() === "y";
   if ((e.ctrlKey || e.metaKey) && z && !e.shiftKey) { e.preventDefault(); undo(); }
   else if ((e.ctrlKey || e.metaKey) && (y || (z && e.shiftKey))) { e.preventDefault(); redo(); }
+  else if (g_path && e.key === "Enter") { e.preventDefault(); finishPath(); }
+  else if (g_path && e.key === "Escape") { cancelPath(); }
+  else if (g_path && e.key === "Backspace") { e.preventDefault(); removeLastPathPoint(); }
     });
 
 
   gl.clearColor(0, 0, 0, 1);
   gl.clear(gl.COLOR_BUFFER_BIT);
 
+  // layer opacity needs blending; keep destination alpha at 1 so the canvas stays opaque
+  gl.enable(gl.BLEND);
+  gl.blendFuncSeparate(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA, gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
   addActionsForHtmlUI();
 
-  canvas.onmousedown = (ev) => {
+  // pick up where the last session left off
+  resetLayers();
+  restoreAutosave();
+  renderLayersPanel();
+  renderAllShapes();
+
+  // Pointer events, so pens and touch report pressure (mice behave as before)
+  canvas.onpointerdown = (ev) => {
+    if (g_timelapse) return; // Stop goes back to the drawing
+    if (g_tool === "select") {
+        selectMouseDown(ev);
+        return;
+    }
+    if (isPathTool(g_selectedType)) {
+        pathClick(ev);
+        return;
+    }
+    if (g_selectedType === "bucket") {
+        bucketFill(ev);
+        return;
+    }
     beginAction();
     g_isDragging = true;
 
-    // Always draw once on mousedown
-    handleClicks(ev);
-    renderAllShapes();
-
-    // If click-only mode, finalize action immediately
+    // If click-only mode, draw once and finalize action immediately
     if (g_brushMode === "click") {
+        handleClicks(ev);
         g_isDragging = false;
         endAction();
+        return;
     }
+
+    beginStroke(ev);
+    renderAllShapes();
     };
 
-    canvas.onmousemove = (ev) => {
+    canvas.onpointermove = (ev) => {
+    if (g_tool === "select") {
+        selectMouseMove(ev);
+        return;
+    }
+    if (g_path) {
+        pathHover(ev);
+        return;
+    }
     if (!g_isDragging) return;
-    if (g_brushMode !== "drag") return;
     if (ev.buttons !== 1) return;
 
-    handleClicks(ev);
+    continueStroke(ev);
     };
 
-    canvas.onmouseup = () => {
+    const finishStroke = () => {
+    selectMouseUp();
     if (!g_isDragging) return;
     g_isDragging = false;
+    endStroke();
     endAction();
+    renderAllShapes();
     };
 
-    canvas.onmouseleave = () => {
-    // treat leaving canvas like mouseup
-    if (!g_isDragging) return;
-    g_isDragging = false;
-    endAction();
+    canvas.onpointerup = finishStroke;
+    canvas.ondblclick = () => {
+    if (g_path) finishPath();
     };
+    // treat leaving canvas like pointerup
+    canvas.onpointerleave = finishStroke;
 }
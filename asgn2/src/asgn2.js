@@ -1,11 +1,11 @@
 // =================== Shaders ===================
 const VSHADER_SOURCE = `
   attribute vec4 a_Position;
-  uniform mat4 u_GlobalRotation;
+  uniform mat4 u_ViewProjMatrix;
   uniform mat4 u_ModelMatrix;
 
   void main() {
-    gl_Position = u_GlobalRotation * u_ModelMatrix * a_Position;
+    gl_Position = u_ViewProjMatrix * u_ModelMatrix * a_Position;
   }
 `;
 
@@ -20,7 +20,7 @@ const FSHADER_SOURCE = `
 
 // =================== Globals ===================
 let canvas, gl;
-let a_Position, u_ModelMatrix, u_GlobalRotation, u_FragColor;
+let a_Position, u_ModelMatrix, u_ViewProjMatrix, u_FragColor;
 
 // UI / animation globals
 let gAnimalGlobalRotation = 0;
@@ -33,24 +33,30 @@ let gWingAngle = 10;
 let gTailSpread = 180;
 let gFeatherCount = 10;
 
-// poke animation
-let gPokeUntil = 0;
+// idle / walk / tail fan / poke / wink clips and the crossfades between them
+// (lib/anim-state-machine.js); the sliders above are the idle pose
+let gAnimator = null;
+let gTailFan = false;
 
-// poke animation timeline
-let gPokeStart = 0;
-let gPokeDuration = 1.25;
+// IK on top of the animation (lib/ik.js): feet on a flat floor, head toward the viewer
+let gPlantFeet = false;
+let gLookAtCamera = false;
 
-// extra body controls used only for poke
-let gBodyPitch = 0;  // degrees
-let gBodyDrop  = 0;  // world-ish units (translate down)
-let gWinkL = 0;      // 0..1 (1 = fully closed)
-let gWinkR = 0;      // 0..1
 
-
-// mouse rotation
-let g_isDragging = false;
-let g_lastMouseX = 0;
-let g_lastMouseY = 0;
+// orbit camera (see the Orbit Camera section). Its yaw and pitch are
+// gAnimalGlobalRotation and gElevationDeg, so the sliders and the mouse move
+// the same camera.
+const ORBIT_DEFAULT = { yaw: 0, pitch: 0, dist: 3.4, target: [0, 0.15, 0] };
+const ORBIT_FOV = 45;
+const ORBIT_MIN_DIST = 0.5;
+const ORBIT_MAX_DIST = 12;
+const ORBIT_DAMPING = 4;   // 1/s; how fast a flicked orbit slows down
+const ORBIT_GLIDE = 8;     // 1/s; how fast focus / reset moves the camera
+let gOrbitDist = ORBIT_DEFAULT.dist;
+let gOrbitTarget = ORBIT_DEFAULT.target.slice();
+let gOrbitVel = { yaw: 0, pitch: 0 };   // degrees/s, kept after a drag is let go
+let gOrbitGoal = null;                  // { target, dist, yaw, pitch } being glided to
+const g_pointers = new Map();           // pointerId -> { x, y, downX, downY, pan }
 
 
 let gAnimate = false;
@@ -61,20 +67,17 @@ let g_startTime = 0;
 let g_lastFpsTime = 0;
 let g_frames = 0;
 
+// the peacock rig (see drawAnimal); null until lib/peacock.json has loaded
+const PEACOCK_URL = "../../lib/peacock.json";
+let gPeacock = null;
+
 // cube buffer (created once)
 let g_cubeVBO = null;
 let g_cubeVertexCount = 0;
 
-// matrix stack
-const g_matrixStack = [];
-function pushMatrix(m) { g_matrixStack.push(new Matrix4(m)); }
-function popMatrix() { return g_matrixStack.pop(); }
-
 // helper function
 function triggerPoke() {
-  gPokeStart = g_seconds;
-  gPokeDuration = 1.25;
-  gPokeUntil = gPokeStart + gPokeDuration;
+  gAnimator.trigger("poke");
 }
 
 // =================== Main ===================
@@ -97,10 +100,10 @@ function main() {
   // Get locations
   a_Position      = gl.getAttribLocation(gl.program, "a_Position");
   u_ModelMatrix   = gl.getUniformLocation(gl.program, "u_ModelMatrix");
-  u_GlobalRotation= gl.getUniformLocation(gl.program, "u_GlobalRotation");
+  u_ViewProjMatrix= gl.getUniformLocation(gl.program, "u_ViewProjMatrix");
   u_FragColor     = gl.getUniformLocation(gl.program, "u_FragColor");
 
-  if (a_Position < 0 || !u_ModelMatrix || !u_GlobalRotation || !u_FragColor) {
+  if (a_Position < 0 || !u_ModelMatrix || !u_ViewProjMatrix || !u_FragColor) {
     console.log("Failed to get shader variable locations.");
     return;
   }
@@ -113,8 +116,13 @@ function main() {
   // Build cube buffer ONCE
   initCubeBuffer();
 
+  PeacockRig.load(PEACOCK_URL)
+    .then((rig) => { gPeacock = rig; })
+    .catch((e) => console.log("Failed to load the peacock:", e.message));
+
   // UI
   setupUI();
+  gAnimator = PeacockRig.createAnimator(capturePose());
 
   // Initial render + start tick loop
   g_startTime = performance.now();
@@ -152,58 +160,229 @@ function setupUI() {
 
   document.getElementById("animOn").onclick  = () => { gAnimate = true; };
   document.getElementById("animOff").onclick = () => { gAnimate = false; };
+  document.getElementById("tailFanBtn").onclick = () => {
+    gTailFan = !gTailFan;
+    document.getElementById("tailFanBtn").textContent = gTailFan ? "Fold Tail" : "Fan Tail";
+  };
+  document.getElementById("winkBtn").onclick = () => { gAnimator.trigger("wink"); };
+  document.getElementById("ikFeet").onchange = (e) => { gPlantFeet = e.target.checked; };
+  document.getElementById("ikLook").onchange = (e) => { gLookAtCamera = e.target.checked; };
+
+  setupTimelineUI();
 
-  // ---- Mouse drag rotates animal ----
-  let downX = 0, downY = 0;
-  canvas.onmousedown = (e) => {
-    g_isDragging = true;
-    g_lastMouseX = e.clientX;
-    g_lastMouseY = e.clientY;
-    downX = e.clientX;
-    downY = e.clientY;
+  setupOrbitControls();
+}
+
+// =================== Orbit Camera ===================
+// Drag (or one finger) orbits, right-drag pans, the wheel (or a pinch) zooms, a
+// flick keeps spinning for a moment, and double-click glides to the part under
+// the cursor. Shift + click still pokes.
+function setupOrbitControls() {
+  canvas.style.touchAction = "none"; // let pointer events have touch drags
+  canvas.oncontextmenu = (e) => e.preventDefault();
+
+  canvas.onpointerdown = (e) => {
+    canvas.setPointerCapture(e.pointerId);
+    g_pointers.set(e.pointerId, {
+      x: e.clientX, y: e.clientY, downX: e.clientX, downY: e.clientY, pan: e.button === 2,
+    });
+    // grabbing the camera stops whatever it was doing
+    gOrbitVel = { yaw: 0, pitch: 0 };
+    gOrbitGoal = null;
   };
 
-  canvas.onmouseup = (e) => {
-    g_isDragging = false;
+  canvas.onpointermove = (e) => {
+    const p = g_pointers.get(e.pointerId);
+    if (!p) return;
+    const dx = e.clientX - p.x;
+    const dy = e.clientY - p.y;
+
+    if (g_pointers.size === 1) {
+      if (p.pan) {
+        panOrbit(dx, dy);
+      } else {
+        const dt = (e.timeStamp - (p.time || e.timeStamp)) / 1000;
+        rotateOrbit(dx * 0.5, dy * 0.35);
+        // remember how fast it was turning, for inertia on release
+        if (dt > 0) {
+          gOrbitVel.yaw = 0.5 * gOrbitVel.yaw + 0.5 * (dx * 0.5) / dt;
+          gOrbitVel.pitch = 0.5 * gOrbitVel.pitch + 0.5 * (dy * 0.35) / dt;
+        }
+        p.time = e.timeStamp;
+      }
+    } else if (g_pointers.size === 2) {
+      // pinch: zoom by how far the fingers spread, pan with their midpoint
+      let other = null;
+      for (const [id, q] of g_pointers) if (id !== e.pointerId) other = q;
+      const before = Math.hypot(p.x - other.x, p.y - other.y);
+      const after = Math.hypot(e.clientX - other.x, e.clientY - other.y);
+      if (before > 0 && after > 0) zoomOrbit(before / after);
+      panOrbit(dx / 2, dy / 2);
+    }
+    p.x = e.clientX;
+    p.y = e.clientY;
+  };
 
-    // treat as a click only if mouse didn't move much
-    const dist = Math.hypot(e.clientX - downX, e.clientY - downY);
+  const endPointer = (e) => {
+    const p = g_pointers.get(e.pointerId);
+    if (!p) return;
+    g_pointers.delete(e.pointerId);
+    // no flick unless it was still moving when let go
+    if (e.type === "pointercancel" || !p.time || e.timeStamp - p.time > 80) {
+      gOrbitVel = { yaw: 0, pitch: 0 };
+    }
+    if (g_pointers.size > 0) return;
 
+    // treat as a click only if the pointer didn't move much
+    const dist = Math.hypot(e.clientX - p.downX, e.clientY - p.downY);
     if (e.shiftKey && dist < 6) {
       triggerPoke();
     }
   };
+  canvas.onpointerup = endPointer;
+  canvas.onpointercancel = endPointer;
 
-  canvas.onmouseleave = () => { g_isDragging = false; };
+  canvas.addEventListener("wheel", (e) => {
+    e.preventDefault();
+    gOrbitGoal = null;
+    zoomOrbit(Math.exp(e.deltaY * 0.001));
+  }, { passive: false });
 
-  canvas.onmousemove = (e) => {
-    if (!g_isDragging) return;
-    const dx = e.clientX - g_lastMouseX;
-    const dy = e.clientY - g_lastMouseY;
-    g_lastMouseX = e.clientX;
-    g_lastMouseY = e.clientY;
+  canvas.ondblclick = (e) => focusPartAt(e.clientX, e.clientY);
+  document.getElementById("resetViewBtn").onclick = resetView;
+}
+
+function rotateOrbit(dYaw, dPitch) {
+  gAnimalGlobalRotation = wrapDegrees(gAnimalGlobalRotation + dYaw);
+  gElevationDeg = Math.max(-89, Math.min(89, gElevationDeg + dPitch));
+  syncOrbitSliders();
+}
+
+// Moves the target so the model follows the pointer: dx, dy in CSS pixels
+function panOrbit(dx, dy) {
+  const perPixel = 2 * gOrbitDist * Math.tan(ORBIT_FOV * Math.PI / 360) / (canvas.clientHeight || canvas.height);
+  const a = gAnimalGlobalRotation * Math.PI / 180;
+  const e = gElevationDeg * Math.PI / 180;
+  const right = [-Math.cos(a), 0, -Math.sin(a)];
+  const up = [-Math.sin(a) * Math.sin(e), Math.cos(e), Math.cos(a) * Math.sin(e)];
+  gOrbitGoal = null;
+  for (let i = 0; i < 3; i++) {
+    gOrbitTarget[i] += (-right[i] * dx + up[i] * dy) * perPixel;
+  }
+}
 
-    gAnimalGlobalRotation += dx * 0.5;
-    gElevationDeg += dy * 0.35;
+function zoomOrbit(factor) {
+  gOrbitDist = Math.max(ORBIT_MIN_DIST, Math.min(ORBIT_MAX_DIST, gOrbitDist * factor));
+}
+
+function wrapDegrees(a) {
+  return ((a + 180) % 360 + 360) % 360 - 180;
+}
 
-    // clamp pitch
-    if (gElevationDeg > 89) gElevationDeg = 89;
-    if (gElevationDeg < -89) gElevationDeg = -89;
+function syncOrbitSliders() {
+  const yawS = document.getElementById("globalRotSlider");
+  const yawV = document.getElementById("globalRotVal");
+  yawS.value = String(gAnimalGlobalRotation);
+  yawV.textContent = String(Math.round(gAnimalGlobalRotation));
 
-    // (optional) keep sliders visually synced
-    const yawS = document.getElementById("globalRotSlider");
-    const yawV = document.getElementById("globalRotVal");
-    yawS.value = String(gAnimalGlobalRotation);
-    yawV.textContent = String(Math.round(gAnimalGlobalRotation));
+  const pitchS = document.getElementById("elevationSlider");
+  const pitchV = document.getElementById("elevationVal");
+  pitchS.value = String(gElevationDeg);
+  pitchV.textContent = String(Math.round(gElevationDeg));
+}
 
-    const pitchS = document.getElementById("elevationSlider");
-    const pitchV = document.getElementById("elevationVal");
-    pitchS.value = String(gElevationDeg);
-    pitchV.textContent = String(Math.round(gElevationDeg));
+// The eye circles the target: yaw turns it around +y, starting behind the
+// peacock (-z, the view asgn2 always had), and pitch lifts it.
+function cameraEye() {
+  const a = gAnimalGlobalRotation * Math.PI / 180;
+  const e = gElevationDeg * Math.PI / 180;
+  return new Vector3([
+    gOrbitTarget[0] + gOrbitDist * Math.sin(a) * Math.cos(e),
+    gOrbitTarget[1] + gOrbitDist * Math.sin(e),
+    gOrbitTarget[2] - gOrbitDist * Math.cos(a) * Math.cos(e),
+  ]);
+}
 
-    renderScene();
+function viewProjMatrix() {
+  const eye = cameraEye().elements;
+  const t = gOrbitTarget;
+  return new Matrix4()
+    .setPerspective(ORBIT_FOV, canvas.width / canvas.height, 0.05, 50)
+    .lookAt(eye[0], eye[1], eye[2], t[0], t[1], t[2], 0, 1, 0);
+}
+
+// Glides to the body part under a pointer position, framing it; on empty space
+// it frames the whole peacock again
+function focusPartAt(clientX, clientY) {
+  if (!gPeacock) return;
+  const rect = canvas.getBoundingClientRect();
+  const ndcX = ((clientX - rect.left) / rect.width) * 2 - 1;
+  const ndcY = 1 - ((clientY - rect.top) / rect.height) * 2;
+  const ray = new Ray().setFromScreen(ndcX, ndcY, new Matrix4().setInverseOf(viewProjMatrix()));
+  const hit = gPeacock.pick(ray);
+  const label = document.getElementById("focusName");
+
+  if (!hit) {
+    gOrbitGoal = { target: ORBIT_DEFAULT.target.slice(), dist: ORBIT_DEFAULT.dist };
+    if (label) label.textContent = "whole peacock";
+    return;
+  }
+  // a mesh's world matrix maps the unit cube onto it: the columns give its size
+  const m = hit.node.worldMatrix.elements;
+  const size = Math.max(Math.hypot(m[0], m[1], m[2]), Math.hypot(m[4], m[5], m[6]), Math.hypot(m[8], m[9], m[10]));
+  const fit = 1.5 * size / Math.tan(ORBIT_FOV * Math.PI / 360);
+  gOrbitGoal = {
+    target: Array.from(hit.node.getWorldPosition().elements),
+    dist: Math.max(ORBIT_MIN_DIST, Math.min(ORBIT_MAX_DIST, fit)),
   };
+  if (label) label.textContent = hit.node.name.replace(/Mesh$/, "");
+}
 
+function resetView() {
+  gOrbitVel = { yaw: 0, pitch: 0 };
+  gOrbitGoal = {
+    target: ORBIT_DEFAULT.target.slice(), dist: ORBIT_DEFAULT.dist,
+    yaw: ORBIT_DEFAULT.yaw, pitch: ORBIT_DEFAULT.pitch,
+  };
+  const label = document.getElementById("focusName");
+  if (label) label.textContent = "whole peacock";
+}
+
+// Called every frame: flick inertia, then the glide toward gOrbitGoal
+function updateOrbit(dt) {
+  if (g_pointers.size === 0 && (gOrbitVel.yaw || gOrbitVel.pitch)) {
+    rotateOrbit(gOrbitVel.yaw * dt, gOrbitVel.pitch * dt);
+    const decay = Math.exp(-ORBIT_DAMPING * dt);
+    gOrbitVel.yaw *= decay;
+    gOrbitVel.pitch *= decay;
+    if (Math.abs(gOrbitVel.yaw) + Math.abs(gOrbitVel.pitch) < 1) gOrbitVel = { yaw: 0, pitch: 0 };
+  }
+
+  const goal = gOrbitGoal;
+  if (!goal) return;
+  const k = 1 - Math.exp(-ORBIT_GLIDE * dt); // share of the way to cover this frame
+  let left = Math.abs(goal.dist - gOrbitDist);
+  gOrbitDist += (goal.dist - gOrbitDist) * k;
+  for (let i = 0; i < 3; i++) {
+    left += Math.abs(goal.target[i] - gOrbitTarget[i]);
+    gOrbitTarget[i] += (goal.target[i] - gOrbitTarget[i]) * k;
+  }
+  if (goal.yaw !== undefined) {
+    const dYaw = wrapDegrees(goal.yaw - gAnimalGlobalRotation);
+    const dPitch = goal.pitch - gElevationDeg;
+    left += Math.abs(dYaw) / 90 + Math.abs(dPitch) / 90;
+    rotateOrbit(dYaw * k, dPitch * k);
+  }
+  if (left < 1e-3) {
+    gOrbitDist = goal.dist;
+    gOrbitTarget = goal.target.slice();
+    if (goal.yaw !== undefined) {
+      gAnimalGlobalRotation = goal.yaw;
+      gElevationDeg = goal.pitch;
+      syncOrbitSliders();
+    }
+    gOrbitGoal = null;
+  }
 }
 
 // =================== Cube Buffer ===================
@@ -259,16 +438,10 @@ function drawCube(M, colorRGBA) {
 function renderScene() {
   
   const t0 = performance.now();
-  const globalRot = new Matrix4();
 
   gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
-  // Order matters.
-  // Typical "camera orbit" feel: yaw around world Y, then pitch around world X.
-  globalRot.rotate(gAnimalGlobalRotation, 0, 1, 0);
-  globalRot.rotate(gElevationDeg, 1, 0, 0);
-
-  gl.uniformMatrix4fv(u_GlobalRotation, false, globalRot.elements);
+  gl.uniformMatrix4fv(u_ViewProjMatrix, false, viewProjMatrix().elements);
 
   // Draw your scene (animal)
   drawAnimal();
@@ -289,308 +462,337 @@ function renderScene() {
   if (msEl) msEl.innerText = `MS: ${(t1 - t0).toFixed(2)}`;
 }
 
+// The peacock itself is data (lib/peacock.json); lib/peacock.js maps the pose
+// gAnimator blended this frame onto its joints, then IK adjusts it.
 function drawAnimal() {
-  // Colors (tweak freely)
-  const bodyColor  = [0.10, 0.35, 0.55, 1.0]; // teal-blue
-  const neckColor  = [0.08, 0.30, 0.50, 1.0];
-  const headColor  = [0.12, 0.40, 0.65, 1.0];
-  const beakColor  = [0.90, 0.70, 0.15, 1.0];
-  const legColor   = [0.65, 0.55, 0.30, 1.0];
-  const wingColor  = [0.08, 0.30, 0.45, 1.0];
-  const tailColorA = [0.05, 0.45, 0.35, 1.0];
-  const tailColorB = [0.10, 0.55, 0.20, 1.0];
-  const crestColor = [0.20, 0.70, 0.95, 1.0];
-
-  const EPS = 0.002;
-
-  // Root/base (you can later translate the whole peacock if desired)
-  const root = new Matrix4();
-  root.translate(0, -gBodyDrop, 0);
-  root.rotate(gBodyPitch, 1, 0, 0);
-
-  // ---------------- BODY ----------------
-  const bodyBase = new Matrix4(root);
-  const body = new Matrix4(bodyBase);
-  body.scale(0.85, 0.40, 0.55);
-  drawCube(body, bodyColor);
-
-  // ---------------- NECK (attached to body) ----------------
-  const neckBase = new Matrix4(bodyBase);
-  neckBase.translate(0.0, 0.18, 0.20);     // top/front of body
-  neckBase.rotate(gNeckAngle, 1, 0, 0);
-
-  const NECK_LEN = 0.48;          // was 0.60
-  const NECK_CENTER_Y = 0.24;     // was 0.30
-
-  const neck = new Matrix4(neckBase);
-  neck.translate(0.0, NECK_CENTER_Y, 0.0);
-  neck.scale(0.14, NECK_LEN, 0.14);
-  drawCube(neck, neckColor);
-
-  // ---------------- HEAD (attached to neck tip) ----------------
-  // head should attach near the top of the neck
-  const headBase = new Matrix4(neckBase);
-  headBase.translate(0.0, NECK_LEN + 0.02, 0.00);  // was 0.62
-
-  const head = new Matrix4(headBase);
-  head.scale(0.26, 0.20, 0.22);
-  drawCube(head, headColor);
-
-  // ---------------- EYES (tiny cubes) ----------------
-  function drawEye(x, winkAmount) {
-    // winkAmount: 0..1 (1 = closed)
-    const eye = new Matrix4(headBase);
-    eye.translate(x, 0.03, 0.115);  // on face
-    // scale Y down as it closes (wink)
-    const openY = 0.045;
-    const y = openY * (1.0 - 0.92 * winkAmount); // never exactly 0 -> avoids weird artifacts
-    eye.scale(0.04, y, 0.04);
-    drawCube(eye, [0.05, 0.05, 0.05, 1.0]);
-  }
-
-  drawEye( 0.075, gWinkL);
-  drawEye(-0.075, gWinkR);
-
-  // ---------------- BEAK (small cube) ----------------
-  const beak = new Matrix4(headBase);
-  beak.translate(0.0, 0.00, 0.20);
-  beak.scale(0.10, 0.06, 0.22);
-  drawCube(beak, beakColor);
-
-  // ---------------- CREST (3 little sticks) ----------------
-  for (let i = -1; i <= 1; i++) {
-    const crest = new Matrix4(headBase);
-    crest.translate(0.05 * i, 0.18, 0.02);
-    crest.rotate(-25 + 10 * i, 0, 0, 1);
-    crest.scale(0.04, 0.18, 0.04);
-    drawCube(crest, crestColor);
-  }
+  if (!gPeacock) return; // still loading
+  const pose = gAnimator.pose;
+  gPeacock.pose(pose);
+  // the floor is where the soles rest in the slider-default pose
+  if (gPlantFeet) gPeacock.plantFeet(() => gPeacock.floorY);
+  if (gLookAtCamera) gPeacock.lookAt(cameraEye(), null, pose.look);
+  gPeacock.draw(drawPeacockMesh);
+}
 
-  // ---------------- WINGS (2 parts) ----------------
-  // Left wing
-  const leftWingBase = new Matrix4(bodyBase);
-  leftWingBase.translate(0.42, 0.05, 0.05);
-  leftWingBase.rotate(-gWingAngle, 0, 0, 1);
-
-  const leftWing = new Matrix4(leftWingBase);
-  leftWing.translate(0.22, 0.0, 0.0);
-  leftWing.scale(0.55, 0.10, 0.35);
-  drawCube(leftWing, wingColor);
-
-  // Right wing
-  const rightWingBase = new Matrix4(bodyBase);
-  rightWingBase.translate(-0.42, 0.05, 0.05);
-  rightWingBase.rotate(gWingAngle, 0, 0, 1);
-
-  const rightWing = new Matrix4(rightWingBase);
-  rightWing.translate(-0.22, 0.0, 0.0);
-  rightWing.scale(0.55, 0.10, 0.35);
-  drawCube(rightWing, wingColor);
-
-  // ---------------- LEGS (2 chains: thigh->calf->foot) ----------------
-  // Helper to draw a 3-link leg chain
-  function drawLeg(anchorX, anchorZ, thighAng, calfAng, footAng) {
-    let L = new Matrix4(bodyBase);
-    L.translate(anchorX, -0.05, anchorZ);
-
-    // THIGH
-    L.rotate(thighAng, 1, 0, 0);
-    {
-      const thigh = new Matrix4(L);
-      thigh.translate(0, -0.18, 0);
-      thigh.scale(0.10, 0.35, 0.10);
-      drawCube(thigh, legColor);
-    }
+function drawPeacockMesh(mesh, M, color) {
+  drawCube(M, color); // every part is a cube
+}
 
-    // Knee
-    L.translate(0, -0.35 - EPS, 0);
+// =================== Animation Loop ===================
+function tick() {
+  const prevSeconds = g_seconds;
+  g_seconds = (performance.now() - g_startTime) / 1000.0;
+  const dt = g_seconds - prevSeconds;
 
-    // CALF
-    L.rotate(calfAng, 1, 0, 0);
-    {
-      const calf = new Matrix4(L);
-      calf.translate(0, -0.16, 0);
-      calf.scale(0.09, 0.32, 0.09);
-      drawCube(calf, legColor);
-    }
+  updateOrbit(dt);
 
-    // Ankle
-    L.translate(0, -0.32 - EPS, 0);
+  // a playing timeline moves the sliders, which idle shows, so it replaces the walk
+  if (gTimelinePlaying) advanceTimeline(dt);
+  gAnimator.set("rest", capturePose());
+  gAnimator.set("walking", gAnimate && !gTimelinePlaying);
+  gAnimator.set("fan", gTailFan);
+  gAnimator.update(dt);
+  updateAnimStateLabel();
 
-    // FOOT
-    L.rotate(footAng, 1, 0, 0);
-    {
-      const foot = new Matrix4(L);
-      foot.translate(0, -0.05, 0.06);
-      foot.scale(0.14, 0.08, 0.24);
-      drawCube(foot, legColor);
-    }
-  }
+  renderScene();
+  requestAnimationFrame(tick);
+}
 
-  // Use your existing sliders as the "primary" leg, and mirror/phase the other a bit
-  const phase = (gAnimate ? Math.PI : 0.0);
-  const t = (gAnimate ? Math.sin(2 * Math.PI * 1.2 * g_seconds + phase) : 0);
-
-  // Left leg (slider-driven)
-  drawLeg(0.18, 0.10, gThighAngle, gCalfAngle, gFootAngle);
-
-  // Right leg (slightly offset when animating; otherwise matches)
-  const thighR = gAnimate ? -gThighAngle : gThighAngle;
-  const calfR  = gAnimate ? -gCalfAngle  : gCalfAngle;
-  const footR  = gAnimate ? -gFootAngle  : gFootAngle;
-  drawLeg(-0.18, 0.10, thighR, calfR, footR);
-
-  // ---------------- TAIL BASE + FAN (lots of parts) ----------------
-  const tailBase = new Matrix4(bodyBase);
-  tailBase.translate(0.0, 0.0, -0.30);
-  tailBase.rotate(-10, 1, 0, 0);
-
-  // Tail base chunk (counts as a part)
-  const tailChunk = new Matrix4(tailBase);
-  tailChunk.translate(0.0, 0.05, -0.06);
-  tailChunk.scale(0.20, 0.18, 0.18);
-  drawCube(tailChunk, tailColorA);
-
-  // Fan feathers (CONNECTED CHAIN + nicer "eye" spots)
-  const N = Math.max(3, Math.floor(gFeatherCount)); // safety clamp
-  const spread = gTailSpread;
-
-  const featherLen = 0.95;     // length of the feather in world-ish units
-  const featherThkX = 0.06;
-  const featherThkZ = 0.03;
-
-  // Where feathers attach relative to tailBase
-  const attachY = 0.10;
-  const attachZ = -0.02;
-
-  for (let i = 0; i < N; i++) {
-    const a = -spread * 0.5 + (spread * i) / (N - 1);
-
-    // 1) Pivot at tail base, then attach point
-    const featherPivot = new Matrix4(tailBase);
-    featherPivot.translate(0.0, attachY, attachZ);
-
-    // 2) Fan + tilt rotations happen at the attachment point
-    featherPivot.rotate(a, 0, 0, 1);
-    featherPivot.rotate(-35, 1, 0, 0);
-
-    // 3) Draw the long feather as a segment extending from the base
-    // Cube is centered, so move half the length along +Y to make its bottom touch attach point.
-    const feather = new Matrix4(featherPivot);
-    feather.translate(0.0, featherLen * 0.5, 0.0);
-    feather.scale(featherThkX, featherLen, featherThkZ);
-
-    const c = (i % 2 === 0) ? tailColorA : tailColorB;
-    drawCube(feather, c);
-
-    // 4) Eye spot at the feather TIP:
-    // Tip in pivot-space is at y = featherLen
-    const tip = new Matrix4(featherPivot);
-    tip.translate(0.0, featherLen, 0.0);
-
-    // Outer "gold" ring
-    const eyeOuter = new Matrix4(tip);
-    eyeOuter.translate(0.0, 0.04, 0.0);     // tiny lift above tip
-    eyeOuter.scale(0.18, 0.12, 0.06);
-    drawCube(eyeOuter, [0.90, 0.85, 0.15, 1.0]);
-
-    // Middle teal
-    const eyeMid = new Matrix4(tip);
-    eyeMid.translate(0.0, 0.04, 0.006);     // slight z offset to avoid z-fight
-    eyeMid.scale(0.13, 0.09, 0.05);
-    drawCube(eyeMid, [0.05, 0.60, 0.55, 1.0]);
-
-    // Inner dark center
-    const eyeCore = new Matrix4(tip);
-    eyeCore.translate(0.0, 0.04, 0.012);
-    eyeCore.scale(0.07, 0.05, 0.04);
-    drawCube(eyeCore, [0.05, 0.10, 0.12, 1.0]);
-  }
+function updateAnimStateLabel() {
+  const el = document.getElementById("animState");
+  const label = [gAnimator.state, ...Object.keys(gAnimator.playing)].join(" + ");
+  if (el && el.textContent !== label) el.textContent = label;
+}
 
+// =================== Keyframe Timeline ===================
+// Poses authored from the sliders: "Add Key" stores the slider joints at the
+// playhead, and playback eases each joint from key to key with its own curve.
+// Exported/imported as
+//   { format: "asgn2-timeline", version: 1, duration, loop,
+//     easing: { joint: curve, ... }, keys: [ { time, pose: { joint: value, ... } }, ... ] }
+// with keys sorted by time (seconds). A looping timeline eases from its last key
+// back to the first across the end.
+const TIMELINE_FORMAT = "asgn2-timeline";
+const TIMELINE_VERSION = 1;
+const KEY_SNAP_SECONDS = 0.02; // a key this close to the playhead is "under" it
+
+// the slider-driven joints a key stores
+const POSE_CHANNELS = [
+  { name: "thigh",        slider: "thighSlider",   val: "thighVal",   get: () => gThighAngle,   set: (x) => gThighAngle = x },
+  { name: "calf",         slider: "calfSlider",    val: "calfVal",    get: () => gCalfAngle,    set: (x) => gCalfAngle = x },
+  { name: "foot",         slider: "footSlider",    val: "footVal",    get: () => gFootAngle,    set: (x) => gFootAngle = x },
+  { name: "neck",         slider: "neckSlider",    val: "neckVal",    get: () => gNeckAngle,    set: (x) => gNeckAngle = x },
+  { name: "wing",         slider: "wingSlider",    val: "wingVal",    get: () => gWingAngle,    set: (x) => gWingAngle = x },
+  { name: "featherCount", slider: "featherSlider", val: "featherVal", get: () => gFeatherCount, set: (x) => gFeatherCount = x },
+  { name: "tailSpread",   slider: "tailSlider",    val: "tailVal",    get: () => gTailSpread,   set: (x) => gTailSpread = x },
+];
+
+// u in 0..1 between two keys -> how far the value has moved, 0..1
+const EASINGS = {
+  linear:    (u) => u,
+  easeIn:    (u) => u * u,
+  easeOut:   (u) => u * (2 - u),
+  easeInOut: (u) => u * u * (3 - 2 * u),
+  step:      (u) => (u < 1 ? 0 : 1), // hold until the next key
+};
+
+let gTimeline = newTimeline();
+let gTimelineTime = 0;
+let gTimelinePlaying = false;
+
+function newTimeline() {
+  const easing = {};
+  for (const c of POSE_CHANNELS) easing[c.name] = "easeInOut";
+  return { duration: 2, loop: true, easing, keys: [] };
 }
 
-// =================== Animation Loop ===================
-function tick() {
-  g_seconds = (performance.now() - g_startTime) / 1000.0;
+function capturePose() {
+  const pose = {};
+  for (const c of POSE_CHANNELS) pose[c.name] = c.get();
+  return pose;
+}
 
-  if (gAnimate || g_seconds < gPokeUntil) {
-    updateAnimationAngles();
+// Sets the joint globals and moves the sliders to match
+function applyPose(pose) {
+  for (const c of POSE_CHANNELS) {
+    c.set(pose[c.name]);
+    document.getElementById(c.slider).value = String(pose[c.name]);
+    document.getElementById(c.val).textContent = String(Math.round(pose[c.name]));
   }
-
-  renderScene();
-  requestAnimationFrame(tick);
 }
 
-function updateAnimationAngles() {
-  const w = 2 * Math.PI * 1.2;
+// The pose at time t (seconds), or null if there are no keys
+function evaluateTimeline(tl, t) {
+  const keys = tl.keys;
+  if (keys.length === 0) return null;
 
-  const inPoke = (g_seconds < gPokeUntil);
+  const [a, b, u] = keySpan(tl, t);
+  const pose = {};
+  for (const c of POSE_CHANNELS) {
+    const eased = EASINGS[tl.easing[c.name]](u);
+    pose[c.name] = a.pose[c.name] + (b.pose[c.name] - a.pose[c.name]) * eased;
+  }
+  return pose;
+}
 
-  if (!inPoke) {
-    // set these to 0
-    gBodyPitch = 0;
-    gBodyDrop  = 0;
-    gWinkL = 0;
-    gWinkR = 0;
+// The keys on either side of t and how far along t is between them (0..1)
+function keySpan(tl, t) {
+  const keys = tl.keys;
+  const first = keys[0], last = keys[keys.length - 1];
+  let i = 0;
+  while (i < keys.length && keys[i].time <= t) i++;
 
-    // walk-ish legs
-    gThighAngle = 25 * Math.sin(w * g_seconds);
-    gCalfAngle  = 20 * Math.sin(w * g_seconds + 1.1);
-    gFootAngle  = 12 * Math.sin(w * g_seconds + 2.0);
+  if (i > 0 && i < keys.length) {
+    const a = keys[i - 1], b = keys[i];
+    return [a, b, (t - a.time) / (b.time - a.time)];
+  }
+  if (!tl.loop || keys.length === 1) {
+    const k = (i === 0) ? first : last;
+    return [k, k, 0];
+  }
 
-    // peacock vibes
-    gNeckAngle  = 10 + 8 * Math.sin(w * g_seconds + 0.6);
-    gWingAngle  = 8 * Math.sin(w * g_seconds + 0.2);
-    // Big tail fan during normal animation
-    const s = 0.5 + 0.5 * Math.sin(0.7 * w * g_seconds); // 0..1
-    gTailSpread = 90 + 60 * s; // 90..150 degrees
+  // between the last key and the first one of the next loop
+  const gap = first.time + tl.duration - last.time;
+  const since = (i === 0) ? t + tl.duration - last.time : t - last.time;
+  return [last, first, (gap > 0) ? since / gap : 1];
+}
 
-  } else {
-    // POKE SEQUENCE: startle -> faint -> recover + flourish
-    const dur = gPokeDuration;
-    const u = Math.min(1, Math.max(0, (g_seconds - gPokeStart) / dur)); // 0..1
+function keyAt(tl, t) {
+  return tl.keys.findIndex((k) => Math.abs(k.time - t) <= KEY_SNAP_SECONDS);
+}
 
-    // helpers
-    const clamp01 = (x) => Math.max(0, Math.min(1, x));
-    const smooth = (x) => x * x * (3 - 2 * x); // smoothstep
+// Stores the slider pose at the playhead, replacing a key already there
+function addKey() {
+  const key = { time: gTimelineTime, pose: capturePose() };
+  const i = keyAt(gTimeline, gTimelineTime);
+  if (i >= 0) gTimeline.keys[i] = key;
+  else gTimeline.keys.push(key);
+  gTimeline.keys.sort((a, b) => a.time - b.time);
+  renderKeyTrack();
+}
 
-    // phase windows
-    const p0 = smooth(clamp01(u / 0.18));                // 0..~0.18  startle up
-    const p1 = smooth(clamp01((u - 0.18) / 0.42));       // ~0.18..0.60 faint
-    const p2 = smooth(clamp01((u - 0.60) / 0.40));       // ~0.60..1.00 recover
+function deleteKey() {
+  const i = keyAt(gTimeline, gTimelineTime);
+  if (i < 0) return;
+  gTimeline.keys.splice(i, 1);
+  renderKeyTrack();
+}
 
-    // STARTLE: wings snap up, tail clamps shut, quick neck jerk
-    const jitter = Math.sin(2 * Math.PI * 18 * g_seconds);
+// Moves the playhead and shows the pose there
+function seekTimeline(t) {
+  gTimelineTime = Math.max(0, Math.min(gTimeline.duration, t));
+  const pose = evaluateTimeline(gTimeline, gTimelineTime);
+  if (pose) applyPose(pose);
+  updateTimelineUI();
+}
 
-    gWingAngle = 65 * p0 + 12 * jitter * p0 * (1 - p1);
-    // during recovery, briefly over-fan the tail
-    gFeatherCount = 18 + 12 * Math.sin(Math.PI * p2);
+function playTimeline(on) {
+  gTimelinePlaying = on && gTimeline.keys.length > 0;
+  if (gTimelinePlaying && !gTimeline.loop && gTimelineTime >= gTimeline.duration) {
+    gTimelineTime = 0; // replay from the start
+  }
+  updateTimelineUI();
+}
 
-    gTailSpread = 30 + 15 * (1 - p0); // briefly closes
-    gNeckAngle = 25 * p0 - 10 * p1;
+// Called from tick() with the seconds since the last frame
+function advanceTimeline(dt) {
+  let t = gTimelineTime + dt;
+  if (t >= gTimeline.duration) {
+    if (gTimeline.loop) {
+      t %= gTimeline.duration;
+    } else {
+      t = gTimeline.duration;
+      gTimelinePlaying = false;
+    }
+  }
+  seekTimeline(t);
+}
 
-    // FAINT: body pitches forward + drops, legs go limp-ish
-    gBodyPitch = 55 * p1 * (1 - p2);
-    gBodyDrop  = 0.18 * p1 * (1 - p2);
+function timelineToJSON(tl) {
+  return { format: TIMELINE_FORMAT, version: TIMELINE_VERSION, duration: tl.duration, loop: tl.loop,
+           easing: { ...tl.easing }, keys: tl.keys.map((k) => ({ time: k.time, pose: { ...k.pose } })) };
+}
 
-    gThighAngle = -35 * p1;
-    gCalfAngle  =  25 * p1;
-    gFootAngle  =  15 * p1;
+// Throws on a document we can't read
+function timelineFromJSON(doc) {
+  if (!doc || doc.format !== TIMELINE_FORMAT) throw new Error("not an asgn2 timeline");
+  if (doc.version !== TIMELINE_VERSION) throw new Error(`unsupported timeline version ${doc.version}`);
+
+  const duration = Number(doc.duration);
+  if (!(duration > 0)) throw new Error(`bad duration ${doc.duration}`);
+
+  const tl = newTimeline();
+  tl.duration = duration;
+  tl.loop = doc.loop !== false;
+  for (const c of POSE_CHANNELS) {
+    const curve = (doc.easing || {})[c.name] || "linear";
+    if (!EASINGS[curve]) throw new Error(`unknown easing "${curve}" for ${c.name}`);
+    tl.easing[c.name] = curve;
+  }
+  tl.keys = (doc.keys || []).map((k) => {
+    const pose = {};
+    for (const c of POSE_CHANNELS) {
+      pose[c.name] = Number(k.pose[c.name]);
+      if (!Number.isFinite(pose[c.name])) throw new Error(`key at ${k.time}s has no ${c.name}`);
+    }
+    return { time: Math.max(0, Math.min(duration, Number(k.time) || 0)), pose };
+  }).sort((a, b) => a.time - b.time);
+  return tl;
+}
 
-    // WINK + RECOVER: one eye closes mid-way; tail does a flourish on recovery
-    // wink mostly during the middle, then opens
-    const winkMid = smooth(clamp01((u - 0.28) / 0.18)) * (1 - smooth(clamp01((u - 0.62) / 0.18)));
-    gWinkL = 0.0;
-    gWinkR = winkMid; // right eye winks
+function exportTimeline() {
+  const blob = new Blob([JSON.stringify(timelineToJSON(gTimeline), null, 1)], { type: "application/json" });
+  const a = document.createElement("a");
+  a.href = URL.createObjectURL(blob);
+  a.download = "timeline.json";
+  a.click();
+  // revoking right away can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(a.href), 0);
+}
 
-    // Recovery flourish: tail fans big + wings settle
-    gTailSpread = (1 - p2) * gTailSpread + p2 * (160 - 20 * Math.sin(2 * Math.PI * 3 * (u - 0.60)));
-    gWingAngle  = (1 - p2) * gWingAngle  + p2 * (10 * Math.sin(2 * Math.PI * 2.5 * (u - 0.60)));
+function importTimelineFile(file) {
+  file.text().then((text) => {
+    try {
+      gTimeline = timelineFromJSON(JSON.parse(text));
+    } catch (e) {
+      alert(`Could not open ${file.name}: ${e.message}`);
+      return;
+    }
+    playTimeline(false);
+    document.getElementById("timelineDuration").value = String(gTimeline.duration);
+    document.getElementById("timelineLoop").checked = gTimeline.loop;
+    showEasing();
+    renderKeyTrack();
+    seekTimeline(0);
+  }).catch((e) => alert(`Could not read ${file.name}: ${e.message}`));
+}
 
-    // as you recover, return body back to normal
-    gBodyPitch *= (1 - p2);
-    gBodyDrop  *= (1 - p2);
+function setupTimelineUI() {
+  const scrub = document.getElementById("timelineSlider");
+  const duration = document.getElementById("timelineDuration");
+  const loop = document.getElementById("timelineLoop");
+  const joint = document.getElementById("easingJoint");
+  const curve = document.getElementById("easingCurve");
+  const file = document.getElementById("timelineFile");
+
+  document.getElementById("keyAddBtn").onclick = addKey;
+  document.getElementById("keyDeleteBtn").onclick = deleteKey;
+  document.getElementById("timelinePlayBtn").onclick = () => playTimeline(!gTimelinePlaying);
+
+  scrub.addEventListener("input", () => {
+    playTimeline(false);
+    seekTimeline(Number(scrub.value));
+  });
+  duration.addEventListener("change", () => {
+    const d = Number(duration.value);
+    if (!(d > 0)) {
+      duration.value = String(gTimeline.duration);
+      return;
+    }
+    // keys keep their times; ones past the new end move onto it
+    gTimeline.duration = d;
+    for (const k of gTimeline.keys) k.time = Math.min(k.time, d);
+    gTimelineTime = Math.min(gTimelineTime, d);
+    renderKeyTrack();
+  });
+  loop.onchange = () => { gTimeline.loop = loop.checked; };
+
+  for (const c of POSE_CHANNELS) {
+    const o = document.createElement("option");
+    o.value = c.name;
+    o.textContent = c.name;
+    joint.appendChild(o);
   }
+  for (const name of Object.keys(EASINGS)) {
+    const o = document.createElement("option");
+    o.value = name;
+    o.textContent = name;
+    curve.appendChild(o);
+  }
+  joint.onchange = showEasing;
+  curve.onchange = () => { gTimeline.easing[joint.value] = curve.value; };
+
+  document.getElementById("timelineExportBtn").onclick = exportTimeline;
+  document.getElementById("timelineImportBtn").onclick = () => file.click();
+  file.onchange = () => {
+    if (file.files.length > 0) importTimelineFile(file.files[0]);
+    file.value = ""; // allow opening the same file twice
+  };
 
+  showEasing();
+  renderKeyTrack();
 }
 
+// Shows the curve of the joint picked in easingJoint
+function showEasing() {
+  const joint = document.getElementById("easingJoint");
+  document.getElementById("easingCurve").value = gTimeline.easing[joint.value];
+}
+
+// One marker per key along #keyTrack; clicking a marker jumps to it
+function renderKeyTrack() {
+  const track = document.getElementById("keyTrack");
+  track.innerHTML = "";
+  for (const k of gTimeline.keys) {
+    const m = document.createElement("span");
+    m.className = "key";
+    m.style.left = `${(k.time / gTimeline.duration) * 100}%`;
+    m.title = `${k.time.toFixed(2)} s`;
+    m.onclick = () => {
+      playTimeline(false);
+      seekTimeline(k.time);
+    };
+    track.appendChild(m);
+  }
+  updateTimelineUI();
+}
+
+function updateTimelineUI() {
+  const scrub = document.getElementById("timelineSlider");
+  scrub.max = String(gTimeline.duration);
+  scrub.value = String(gTimelineTime);
+  document.getElementById("timelineVal").textContent = gTimelineTime.toFixed(2);
+  document.getElementById("timelinePlayBtn").textContent = gTimelinePlaying ? "Pause" : "Play";
+  document.getElementById("keyCount").textContent =
+    `${gTimeline.keys.length} key${gTimeline.keys.length === 1 ? "" : "s"}`;
+}
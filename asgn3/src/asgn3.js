@@ -123,30 +123,18 @@ let g_seconds = 0;
 let g_startTime = performance.now();
 let gAnimateAnimal = true;
 
-// (same variables you used)
-let gThighAngle = 20;
-let gCalfAngle  = -20;
-let gFootAngle  = 10;
-let gNeckAngle = 15;
-let gWingAngle = 10;
-let gTailSpread = 180;
-let gFeatherCount = 10;
-
-// poke animation
-let gPokeUntil = 0;
-let gPokeStart = 0;
-let gPokeDuration = 1.25;
-
-// extras used in poke
-let gBodyPitch = 0;
-let gBodyDrop  = 0;
-let gWinkL = 0;
-let gWinkR = 0;
+let gTailFan = false;
+
+// idle / walk / tail fan / poke / wink, crossfaded (lib/anim-state-machine.js);
+// idle holds asgn2's default slider angles
+const gAnimator = PeacockRig.createAnimator(PeacockRig.DEFAULT_REST);
+
+// the rig shared with asgn2; null until lib/peacock.json has loaded
+const PEACOCK_URL = "../../lib/peacock.json";
+let gPeacock = null;
 
 function triggerPoke() {
-  gPokeStart = g_seconds;
-  gPokeDuration = 1.25;
-  gPokeUntil = gPokeStart + gPokeDuration;
+  gAnimator.trigger("poke");
 }
 
 
@@ -522,7 +510,7 @@ function drawColoredCube(M, rgba) {
 
 function drawColoredCubeCentered(M, rgba) {
   // Convert asgn2-style centered-cube transforms to work with a [0,1] cube mesh.
-  const Mc = new Matrix4(M);
+  const Mc = Matrix4.temp(M); // per-frame scratch, see Matrix4.pool.reset() in tick()
   Mc.translate(-0.5, -0.5, -0.5); // shift cube so its center is at origin
   cubeMesh.draw(Mc, {
     baseColor: rgba,
@@ -808,18 +796,21 @@ function resolveCeilingCollision() {
   }
 }
 
-function raycastGroundPlane(yPlane = 0.0, maxDist = 7.0) {
-  const o = camera.eye.elements;
-  const d = camera.forwardDir().elements;
+// Reused by raycastGroundPlane so picking doesn't allocate
+const g_pickRay = new Ray();
+const g_groundPlane = new Plane([0, 1, 0], 0);
+const g_pickHit = new Vector3();
 
-  const oy = o[1], dy = d[1];
-  if (Math.abs(dy) < 1e-6) return null; // parallel
+function raycastGroundPlane(yPlane = 0.0, maxDist = 7.0) {
+  g_pickRay.set(camera.eye, camera.forwardDir());
+  g_groundPlane.constant = -yPlane; // plane y = yPlane
 
-  const t = (yPlane - oy) / dy;
-  if (t < 0 || t > maxDist) return null;
+  const t = g_pickRay.intersectPlane(g_groundPlane);
+  if (t === null || t > maxDist) return null;
 
-  const px = o[0] + d[0] * t;
-  const pz = o[2] + d[2] * t;
+  const hit = g_pickRay.at(t, g_pickHit).elements;
+  const px = hit[0];
+  const pz = hit[2];
 
   const x = Math.floor(px);
   const z = Math.floor(pz);
@@ -1115,6 +1106,9 @@ function setupInput() {
     keys[k] = true;
 
     if (k === "f") triggerPoke();
+    if (k === "g") gAnimateAnimal = !gAnimateAnimal;
+    if (k === "v") gTailFan = !gTailFan;
+    if (k === "z") gAnimator.trigger("wink");
 
     // hotbar keys 1..3
     if (k === "1") setSelectedBlock(0);
@@ -1322,6 +1316,8 @@ function drawScene() {
 
       gl.uniform1f(u_Unlit, 1.0);
 
+      const starColor = [1.0, 1.0, 1.0, starAlpha];
+
       for (let i = 0; i < g_stars.length; i++) {
         const st = g_stars[i];
 
@@ -1337,7 +1333,7 @@ function drawScene() {
         Ms.scale(s, s, s);
 
         cubeMesh.draw(Ms, {
-          baseColor: [1.0, 1.0, 1.0, starAlpha],
+          baseColor: starColor,
           texWeight: 0.0,
           whichTex: 0
         });
@@ -1415,7 +1411,8 @@ function drawScene() {
     // face some direction (optional)
     M.rotate(180, 0, 1, 0);
 
-    drawAnimalInWorld(M);
+    // IK keeps its feet on the blocks under them and turns its head to the player
+    if (gPeacock) gPeacock.drawInWorld(gAnimator.pose, M, animalGroundHeight, camera.eye, drawPeacockMesh);
   }
 
 }
@@ -1430,15 +1427,19 @@ function tick(now = performance.now()) {
 
   const dtScale = dtMs / REF_DT; // 1.0 at 60fps
 
+  // scratch matrices/vectors from the previous frame are free again
+  Matrix4.pool.reset();
+  Vector3.pool.reset();
+
   updateDayNight(dtScale);
 
   handleKeys(dtScale);
   updateVerticalPhysics(dtScale);
 
   g_seconds = (now - g_startTime) / 1000.0;
-  if (gAnimateAnimal || g_seconds < gPokeUntil) {
-    updateAnimalAngles();
-  }
+  gAnimator.set("walking", gAnimateAnimal);
+  gAnimator.set("fan", gTailFan);
+  gAnimator.update(dtMs / 1000.0);
 
   drawScene();
   
@@ -1457,251 +1458,13 @@ function tick(now = performance.now()) {
   requestAnimationFrame(tick);
 }
 
-function updateAnimalAngles() {
-  const w = 2 * Math.PI * 1.2;
-  const inPoke = (g_seconds < gPokeUntil);
-
-  if (!inPoke) {
-    gBodyPitch = 0;
-    gBodyDrop  = 0;
-    gWinkL = 0;
-    gWinkR = 0;
-
-    gThighAngle = 25 * Math.sin(w * g_seconds);
-    gCalfAngle  = 20 * Math.sin(w * g_seconds + 1.1);
-    gFootAngle  = 12 * Math.sin(w * g_seconds + 2.0);
-
-    gNeckAngle  = 10 + 8 * Math.sin(w * g_seconds + 0.6);
-    gWingAngle  = 8 * Math.sin(w * g_seconds + 0.2);
-
-    const s = 0.5 + 0.5 * Math.sin(0.7 * w * g_seconds);
-    gTailSpread = 90 + 60 * s;
-  } else {
-    const dur = gPokeDuration;
-    const u = Math.min(1, Math.max(0, (g_seconds - gPokeStart) / dur));
-
-    const clamp01 = (x) => Math.max(0, Math.min(1, x));
-    const smooth = (x) => x * x * (3 - 2 * x);
-
-    const p0 = smooth(clamp01(u / 0.18));
-    const p1 = smooth(clamp01((u - 0.18) / 0.42));
-    const p2 = smooth(clamp01((u - 0.60) / 0.40));
-
-    const jitter = Math.sin(2 * Math.PI * 18 * g_seconds);
-
-    gWingAngle = 65 * p0 + 12 * jitter * p0 * (1 - p1);
-    gFeatherCount = 18 + 12 * Math.sin(Math.PI * p2);
-
-    gTailSpread = 30 + 15 * (1 - p0);
-    gNeckAngle = 25 * p0 - 10 * p1;
-
-    gBodyPitch = 55 * p1 * (1 - p2);
-    gBodyDrop  = 0.18 * p1 * (1 - p2);
-
-    gThighAngle = -35 * p1;
-    gCalfAngle  =  25 * p1;
-    gFootAngle  =  15 * p1;
-
-    const winkMid =
-      smooth(clamp01((u - 0.28) / 0.18)) *
-      (1 - smooth(clamp01((u - 0.62) / 0.18)));
-    gWinkL = 0.0;
-    gWinkR = winkMid;
-
-    gTailSpread = (1 - p2) * gTailSpread + p2 * (160 - 20 * Math.sin(2 * Math.PI * 3 * (u - 0.60)));
-    gWingAngle  = (1 - p2) * gWingAngle  + p2 * (10 * Math.sin(2 * Math.PI * 2.5 * (u - 0.60)));
-
-    gBodyPitch *= (1 - p2);
-    gBodyDrop  *= (1 - p2);
-  }
+// ground under the peacock's feet (PeacockRig.drawInWorld): the top of the column
+function animalGroundHeight(x, z) {
+  return groundLevelAt(Math.floor(x), Math.floor(z));
 }
 
-function drawAnimalInWorld(worldM) {
-  // Colors
-  const bodyColor  = [0.10, 0.35, 0.55, 1.0];
-  const neckColor  = [0.08, 0.30, 0.50, 1.0];
-  const headColor  = [0.12, 0.40, 0.65, 1.0];
-  const beakColor  = [0.90, 0.70, 0.15, 1.0];
-  const legColor   = [0.65, 0.55, 0.30, 1.0];
-  const wingColor  = [0.08, 0.30, 0.45, 1.0];
-  const tailColorA = [0.05, 0.45, 0.35, 1.0];
-  const tailColorB = [0.10, 0.55, 0.20, 1.0];
-  const crestColor = [0.20, 0.70, 0.95, 1.0];
-
-  const EPS = 0.002;
-
-  // Root/base
-  const root = new Matrix4(worldM);
-  root.translate(0, -gBodyDrop, 0);
-  root.rotate(gBodyPitch, 1, 0, 0);
-
-  // BODY
-  const bodyBase = new Matrix4(root);
-  const body = new Matrix4(bodyBase);
-  body.scale(0.85, 0.40, 0.55);
-  drawColoredCubeCentered(body, bodyColor);
-
-  // NECK
-  const neckBase = new Matrix4(bodyBase);
-  neckBase.translate(0.0, 0.18, 0.20);
-  neckBase.rotate(gNeckAngle, 1, 0, 0);
-
-  const NECK_LEN = 0.48;
-  const NECK_CENTER_Y = 0.24;
-
-  const neck = new Matrix4(neckBase);
-  neck.translate(0.0, NECK_CENTER_Y, 0.0);
-  neck.scale(0.14, NECK_LEN, 0.14);
-  drawColoredCubeCentered(neck, neckColor);
-
-  // HEAD
-  const headBase = new Matrix4(neckBase);
-  headBase.translate(0.0, NECK_LEN + 0.02, 0.00);
-
-  const head = new Matrix4(headBase);
-  head.scale(0.26, 0.20, 0.22);
-  drawColoredCubeCentered(head, headColor);
-
-  // EYES
-  function drawEye(x, winkAmount) {
-    const eye = new Matrix4(headBase);
-    eye.translate(x, 0.03, 0.115);
-    const openY = 0.045;
-    const y = openY * (1.0 - 0.92 * winkAmount);
-    eye.scale(0.04, y, 0.04);
-    drawColoredCubeCentered(eye, [0.05, 0.05, 0.05, 1.0]);
-  }
-  drawEye( 0.075, gWinkL);
-  drawEye(-0.075, gWinkR);
-
-  // BEAK
-  const beak = new Matrix4(headBase);
-  beak.translate(0.0, 0.00, 0.20);
-  beak.scale(0.10, 0.06, 0.22);
-  drawColoredCubeCentered(beak, beakColor);
-
-  // CREST
-  for (let i = -1; i <= 1; i++) {
-    const crest = new Matrix4(headBase);
-    crest.translate(0.05 * i, 0.18, 0.02);
-    crest.rotate(-25 + 10 * i, 0, 0, 1);
-    crest.scale(0.04, 0.18, 0.04);
-    drawColoredCubeCentered(crest, crestColor);
-  }
-
-  // WINGS
-  const leftWingBase = new Matrix4(bodyBase);
-  leftWingBase.translate(0.42, 0.05, 0.05);
-  leftWingBase.rotate(-gWingAngle, 0, 0, 1);
-
-  const leftWing = new Matrix4(leftWingBase);
-  leftWing.translate(0.22, 0.0, 0.0);
-  leftWing.scale(0.55, 0.10, 0.35);
-  drawColoredCubeCentered(leftWing, wingColor);
-
-  const rightWingBase = new Matrix4(bodyBase);
-  rightWingBase.translate(-0.42, 0.05, 0.05);
-  rightWingBase.rotate(gWingAngle, 0, 0, 1);
-
-  const rightWing = new Matrix4(rightWingBase);
-  rightWing.translate(-0.22, 0.0, 0.0);
-  rightWing.scale(0.55, 0.10, 0.35);
-  drawColoredCubeCentered(rightWing, wingColor);
-
-  // LEGS
-  function drawLeg(anchorX, anchorZ, thighAng, calfAng, footAng) {
-    let L = new Matrix4(bodyBase);
-    L.translate(anchorX, -0.05, anchorZ);
-
-    L.rotate(thighAng, 1, 0, 0);
-    {
-      const thigh = new Matrix4(L);
-      thigh.translate(0, -0.18, 0);
-      thigh.scale(0.10, 0.35, 0.10);
-      drawColoredCubeCentered(thigh, legColor);
-    }
-
-    L.translate(0, -0.35 - EPS, 0);
-
-    L.rotate(calfAng, 1, 0, 0);
-    {
-      const calf = new Matrix4(L);
-      calf.translate(0, -0.16, 0);
-      calf.scale(0.09, 0.32, 0.09);
-      drawColoredCubeCentered(calf, legColor);
-    }
-
-    L.translate(0, -0.32 - EPS, 0);
-
-    L.rotate(footAng, 1, 0, 0);
-    {
-      const foot = new Matrix4(L);
-      foot.translate(0, -0.05, 0.06);
-      foot.scale(0.14, 0.08, 0.24);
-      drawColoredCubeCentered(foot, legColor);
-    }
-  }
-
-  drawLeg(0.18, 0.10, gThighAngle, gCalfAngle, gFootAngle);
-
-  const thighR = gAnimateAnimal ? -gThighAngle : gThighAngle;
-  const calfR  = gAnimateAnimal ? -gCalfAngle  : gCalfAngle;
-  const footR  = gAnimateAnimal ? -gFootAngle  : gFootAngle;
-  drawLeg(-0.18, 0.10, thighR, calfR, footR);
-
-  // TAIL
-  const tailBase = new Matrix4(bodyBase);
-  tailBase.translate(0.0, 0.0, -0.30);
-  tailBase.rotate(-10, 1, 0, 0);
-
-  const tailChunk = new Matrix4(tailBase);
-  tailChunk.translate(0.0, 0.05, -0.06);
-  tailChunk.scale(0.20, 0.18, 0.18);
-  drawColoredCubeCentered(tailChunk, tailColorA);
-
-  const N = Math.max(3, Math.floor(gFeatherCount));
-  const spread = gTailSpread;
-
-  const featherLen = 0.95;
-  const featherThkX = 0.06;
-  const featherThkZ = 0.03;
-
-  const attachY = 0.10;
-  const attachZ = -0.02;
-
-  for (let i = 0; i < N; i++) {
-    const a = -spread * 0.5 + (spread * i) / (N - 1);
-
-    const featherPivot = new Matrix4(tailBase);
-    featherPivot.translate(0.0, attachY, attachZ);
-    featherPivot.rotate(a, 0, 0, 1);
-    featherPivot.rotate(-35, 1, 0, 0);
-
-    const feather = new Matrix4(featherPivot);
-    feather.translate(0.0, featherLen * 0.5, 0.0);
-    feather.scale(featherThkX, featherLen, featherThkZ);
-
-    const c = (i % 2 === 0) ? tailColorA : tailColorB;
-    drawColoredCubeCentered(feather, c);
-
-    const tip = new Matrix4(featherPivot);
-    tip.translate(0.0, featherLen, 0.0);
-
-    const eyeOuter = new Matrix4(tip);
-    eyeOuter.translate(0.0, 0.04, 0.0);
-    eyeOuter.scale(0.18, 0.12, 0.06);
-    drawColoredCubeCentered(eyeOuter, [0.90, 0.85, 0.15, 1.0]);
-
-    const eyeMid = new Matrix4(tip);
-    eyeMid.translate(0.0, 0.04, 0.006);
-    eyeMid.scale(0.13, 0.09, 0.05);
-    drawColoredCubeCentered(eyeMid, [0.05, 0.60, 0.55, 1.0]);
-
-    const eyeCore = new Matrix4(tip);
-    eyeCore.translate(0.0, 0.04, 0.012);
-    eyeCore.scale(0.07, 0.05, 0.04);
-    drawColoredCube(eyeCore, [0.05, 0.10, 0.12, 1.0]);
-  }
+function drawPeacockMesh(mesh, M, color) {
+  drawColoredCubeCentered(M, color);
 }
 
 // =================== Resize ===================
@@ -1778,6 +1541,9 @@ function main() {
   initTexture(gl.TEXTURE3, u_Sampler3, "./dirt.png",  "ready3");
 
   initVoxelsFromHeights();
+  PeacockRig.load(PEACOCK_URL)
+    .then((rig) => { gPeacock = rig; })
+    .catch((e) => console.log("Failed to load the peacock:", e.message));
 
   // Spawn on top of whatever column we start in
   const sx = 16;
@@ -0,0 +1,202 @@
+// anim-state-machine.js: named animation clips driven by a state machine, with
+// timed crossfades between them, plus overlays played on top of whatever state
+// is current. A pose is a plain object of numbers (joint angles and the like);
+// the machine knows nothing else about the model.
+// It needs nothing else from lib/.
+
+/**
+ * Constructor of AnimationStateMachine
+ * One state per clip. Every update(), the first transition (in list order) out
+ * of the current state whose conditions hold is taken, and the pose crossfades
+ * from the old clip to the new one over that transition's fade time. An
+ * overlay is a one-shot that changes a few keys of the state's pose (e.g. closes
+ * an eye) without taking over the rest; it starts when its condition holds and
+ * plays to its end whatever the states do meanwhile.
+ * @param def {
+ *   clips: { name: { sample(t, params, machine) -> pose,
+ *                    duration: seconds (one-shot clips; option) } },
+ *   initial: name of the first state,
+ *   transitions: [ { from: name, [names] or '*',
+ *                    to: name,
+ *                    when(params, machine) -> bool (option),
+ *                    atEnd: true to wait for the end of the from clip (option),
+ *                    fade: seconds (option; default 0) } ],
+ *   overlays: { name: { apply(t, pose, params, machine) -> pose (may change
+ *                                                          pose in place),
+ *                       duration: seconds,
+ *                       when(params, machine) -> bool } } (option),
+ *   params: initial parameter values (option) }
+ */
+var AnimationStateMachine = function(def) {
+  if (!def.clips[def.initial]) throw new Error('no clip for the initial state: ' + def.initial);
+  for (var i = 0; i < def.transitions.length; ++i) {
+    if (!def.clips[def.transitions[i].to]) {
+      throw new Error('no clip for the transition target: ' + def.transitions[i].to);
+    }
+  }
+  this.clips = def.clips;
+  this.transitions = def.transitions;
+  this.overlays = def.overlays || {};
+  this.playing = {};  // overlay name -> seconds it has played
+  this.params = Object.assign({}, def.params);
+  this.triggers = {};
+  this.state = def.initial;
+  this.time = 0;      // seconds spent in the current state
+  this.fade = null;   // the crossfade in progress, see _enter()
+  this.pose = this._sample(this.state, 0);
+  this._base = this.pose;  // this.pose before the overlays
+};
+
+/**
+ * Set a parameter the transition conditions read.
+ * @param name The parameter
+ * @param value Its value
+ * @return this
+ */
+AnimationStateMachine.prototype.set = function(name, value) {
+  this.params[name] = value;
+  return this;
+};
+
+/**
+ * Raise a trigger: a parameter that reads true for the next update() only,
+ * whether or not a transition used it.
+ * @param name The trigger
+ * @return this
+ */
+AnimationStateMachine.prototype.trigger = function(name) {
+  this.triggers[name] = true;
+  return this;
+};
+
+/**
+ * True once a one-shot clip has played to its end (never for looping clips).
+ * @return bool
+ */
+AnimationStateMachine.prototype.isClipDone = function() {
+  var d = this.clips[this.state].duration;
+  return d !== undefined && this.time >= d;
+};
+
+/**
+ * Advance by dt seconds: take at most one transition, start the overlays whose
+ * conditions hold, then sample the clips and apply the overlays playing.
+ * @param dt seconds since the last update
+ * @return the blended pose (also in this.pose; a new object every call)
+ */
+AnimationStateMachine.prototype.update = function(dt) {
+  this.time += dt;
+  if (this.fade) {
+    this.fade.elapsed += dt;
+    this.fade.fromTime += dt;
+  }
+
+  var p = Object.assign({}, this.params, this.triggers);
+  this.triggers = {};
+  for (var i = 0; i < this.transitions.length; ++i) {
+    var tr = this.transitions[i];
+    if (!this._leaves(tr.from)) continue;
+    if (tr.atEnd && !this.isClipDone()) continue;
+    if (tr.when && !tr.when(p, this)) continue;
+    this._enter(tr);
+    break;
+  }
+
+  var pose = this._sample(this.state, this.time);
+  var f = this.fade;
+  if (f) {
+    var from = f.from ? this._sample(f.from, f.fromTime) : f.pose;
+    var u = Math.min(1, f.elapsed / f.duration);
+    pose = AnimationStateMachine.blend(from, pose, u * u * (3 - 2 * u));
+    if (u >= 1) this.fade = null;
+  }
+
+  this._base = pose;
+  for (var name in this.overlays) {
+    var o = this.overlays[name];
+    if (name in this.playing) this.playing[name] += dt;
+    else if (o.when(p, this)) this.playing[name] = 0;
+    else continue;
+    if (pose === this._base) pose = Object.assign({}, pose);  // apply() may change it in place
+    pose = o.apply(Math.min(this.playing[name], o.duration), pose, this.params, this);
+    if (this.playing[name] >= o.duration) delete this.playing[name];
+  }
+  this.pose = pose;
+  return pose;
+};
+
+/**
+ * Jump straight to a state, without a transition or a crossfade, and stop the
+ * overlays.
+ * @param name The state
+ * @return this
+ */
+AnimationStateMachine.prototype.reset = function(name) {
+  this.state = name;
+  this.time = 0;
+  this.fade = null;
+  this.triggers = {};
+  this.playing = {};
+  this.pose = this._sample(name, 0);
+  this._base = this.pose;
+  return this;
+};
+
+AnimationStateMachine.prototype._leaves = function(from) {
+  if (from === '*') return true;
+  if (Array.isArray(from)) return from.indexOf(this.state) >= 0;
+  return from === this.state;
+};
+
+// Fading out of a clip keeps playing it; fading out of a fade (a transition
+// taken before the last one finished) freezes the pose it had reached instead,
+// so the blend never jumps. The frozen pose is the one before the overlays,
+// which keep being applied on top.
+AnimationStateMachine.prototype._enter = function(tr) {
+  if (tr.fade > 0) {
+    if (this.fade) {
+      this.fade = { from: null, pose: this._base, fromTime: 0, elapsed: 0, duration: tr.fade };
+    } else {
+      this.fade = { from: this.state, pose: null, fromTime: this.time, elapsed: 0, duration: tr.fade };
+    }
+  } else {
+    this.fade = null;
+  }
+  this.state = tr.to;
+  this.time = 0;
+};
+
+AnimationStateMachine.prototype._sample = function(name, t) {
+  var clip = this.clips[name];
+  if (clip.duration !== undefined) t = Math.min(t, clip.duration);
+  return clip.sample(t, this.params, this);
+};
+
+/**
+ * Blend two poses key by key: a at w = 0, b at w = 1. A key only one pose has
+ * is taken as is.
+ * @param a The pose to blend from
+ * @param b The pose to blend to
+ * @param w weight of b, 0..1
+ * @return new pose
+ */
+AnimationStateMachine.blend = function(a, b, w) {
+  var out = {};
+  var k;
+  for (k in a) out[k] = a[k];
+  for (k in b) out[k] = (k in a) ? a[k] + (b[k] - a[k]) * w : b[k];
+  return out;
+};
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    AnimationStateMachine: AnimationStateMachine
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
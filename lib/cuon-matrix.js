@@ -0,0 +1,2422 @@
+// cuon-matrix.js (c) 2012 kanda and matsuda
+/** 
+ * This is a class treating 4x4 matrix.
+ * This class contains the function that is equivalent to OpenGL matrix stack.
+ * The matrix after conversion is calculated by multiplying a conversion matrix from the right.
+ * The matrix is replaced by the calculated result.
+ */
+
+/**
+ * Constructor of Matrix4
+ * If opt_src is specified, new matrix is initialized by opt_src.
+ * Otherwise, new matrix is initialized by identity matrix.
+ * @param opt_src source matrix(option)
+ */
+var Matrix4 = function(opt_src) {
+  var i, s, d;
+  if (opt_src && typeof opt_src === 'object' && opt_src.hasOwnProperty('elements')) {
+    s = opt_src.elements;
+    d = new Float32Array(16);
+    for (i = 0; i < 16; ++i) {
+      d[i] = s[i];
+    }
+    this.elements = d;
+  } else {
+    this.elements = new Float32Array([1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]);
+  }
+};
+
+// Internal scratch storage so the methods below do not allocate per call.
+// Not reentrant: never hand these to user code.
+Matrix4._tmpElements = new Float32Array(16);
+Matrix4._tmpInverse = new Float32Array(16);
+Matrix4._tmpMatrix = new Matrix4();
+
+/**
+ * Set the identity matrix.
+ * @return this
+ */
+Matrix4.prototype.setIdentity = function() {
+  var e = this.elements;
+  e[0] = 1;   e[4] = 0;   e[8]  = 0;   e[12] = 0;
+  e[1] = 0;   e[5] = 1;   e[9]  = 0;   e[13] = 0;
+  e[2] = 0;   e[6] = 0;   e[10] = 1;   e[14] = 0;
+  e[3] = 0;   e[7] = 0;   e[11] = 0;   e[15] = 1;
+  return this;
+};
+
+/**
+ * Copy matrix.
+ * @param src source matrix
+ * @return this
+ */
+Matrix4.prototype.set = function(src) {
+  var i, s, d;
+
+  s = src.elements;
+  d = this.elements;
+
+  if (s === d) {
+    return this;
+  }
+    
+  for (i = 0; i < 16; ++i) {
+    d[i] = s[i];
+  }
+
+  return this;
+};
+
+/**
+ * Multiply the matrix from the right.
+ * @param other The multiply matrix
+ * @return this
+ */
+Matrix4.prototype.concat = function(other) {
+  var i, e, a, b, ai0, ai1, ai2, ai3;
+  
+  // Calculate e = a * b
+  e = this.elements;
+  a = this.elements;
+  b = other.elements;
+  
+  // If e equals b, copy b to temporary matrix.
+  if (e === b) {
+    b = Matrix4._tmpElements;
+    for (i = 0; i < 16; ++i) {
+      b[i] = e[i];
+    }
+  }
+  
+  for (i = 0; i < 4; i++) {
+    ai0=a[i];  ai1=a[i+4];  ai2=a[i+8];  ai3=a[i+12];
+    e[i]    = ai0 * b[0]  + ai1 * b[1]  + ai2 * b[2]  + ai3 * b[3];
+    e[i+4]  = ai0 * b[4]  + ai1 * b[5]  + ai2 * b[6]  + ai3 * b[7];
+    e[i+8]  = ai0 * b[8]  + ai1 * b[9]  + ai2 * b[10] + ai3 * b[11];
+    e[i+12] = ai0 * b[12] + ai1 * b[13] + ai2 * b[14] + ai3 * b[15];
+  }
+  
+  return this;
+};
+Matrix4.prototype.multiply = Matrix4.prototype.concat;
+
+/**
+ * Multiply the three-dimensional vector.
+ * @param pos  The multiply vector
+ * @param opt_out Vector3 to write the result into (option, may be pos)
+ * @return The result of multiplication(Vector3)
+ */
+Matrix4.prototype.multiplyVector3 = function(pos, opt_out) {
+  var e = this.elements;
+  var p = pos.elements;
+  var v = opt_out || new Vector3();
+  var result = v.elements;
+  var p0 = p[0], p1 = p[1], p2 = p[2];
+
+  result[0] = p0 * e[0] + p1 * e[4] + p2 * e[ 8] + e[12];
+  result[1] = p0 * e[1] + p1 * e[5] + p2 * e[ 9] + e[13];
+  result[2] = p0 * e[2] + p1 * e[6] + p2 * e[10] + e[14];
+
+  return v;
+};
+
+/**
+ * Multiply the four-dimensional vector.
+ * @param pos  The multiply vector
+ * @param opt_out Vector4 to write the result into (option, may be pos)
+ * @return The result of multiplication(Vector4)
+ */
+Matrix4.prototype.multiplyVector4 = function(pos, opt_out) {
+  var e = this.elements;
+  var p = pos.elements;
+  var v = opt_out || new Vector4();
+  var result = v.elements;
+  var p0 = p[0], p1 = p[1], p2 = p[2], p3 = p[3];
+
+  result[0] = p0 * e[0] + p1 * e[4] + p2 * e[ 8] + p3 * e[12];
+  result[1] = p0 * e[1] + p1 * e[5] + p2 * e[ 9] + p3 * e[13];
+  result[2] = p0 * e[2] + p1 * e[6] + p2 * e[10] + p3 * e[14];
+  result[3] = p0 * e[3] + p1 * e[7] + p2 * e[11] + p3 * e[15];
+
+  return v;
+};
+
+/**
+ * Calculate a * b and write it into out, without allocating.
+ * out may be a or b.
+ * @param a The left matrix
+ * @param b The right matrix
+ * @param opt_out Matrix4 to write the result into (option)
+ * @return out
+ */
+Matrix4.multiply = function(a, b, opt_out) {
+  var out = opt_out || new Matrix4();
+  if (out === b) {
+    // out = a * out; copy b aside so it is not overwritten while reading
+    Matrix4._tmpMatrix.set(b);
+    return out.set(a).concat(Matrix4._tmpMatrix);
+  }
+  return out.set(a).concat(b);
+};
+
+/**
+ * Set the normal matrix (inverse-transpose) of a model matrix.
+ * @param other The model matrix
+ * @return this
+ */
+Matrix4.prototype.setNormalMatrixOf = function(other) {
+  return this.setInverseOf(other).transpose();
+};
+
+/**
+ * Transpose the matrix.
+ * @return this
+ */
+Matrix4.prototype.transpose = function() {
+  var e, t;
+
+  e = this.elements;
+
+  t = e[ 1];  e[ 1] = e[ 4];  e[ 4] = t;
+  t = e[ 2];  e[ 2] = e[ 8];  e[ 8] = t;
+  t = e[ 3];  e[ 3] = e[12];  e[12] = t;
+  t = e[ 6];  e[ 6] = e[ 9];  e[ 9] = t;
+  t = e[ 7];  e[ 7] = e[13];  e[13] = t;
+  t = e[11];  e[11] = e[14];  e[14] = t;
+
+  return this;
+};
+
+/**
+ * Calculate the inverse matrix of specified matrix, and set to this.
+ * @param other The source matrix
+ * @return this
+ */
+Matrix4.prototype.setInverseOf = function(other) {
+  var i, s, d, inv, det;
+
+  s = other.elements;
+  d = this.elements;
+  inv = Matrix4._tmpInverse;
+
+  inv[0]  =   s[5]*s[10]*s[15] - s[5] *s[11]*s[14] - s[9] *s[6]*s[15]
+            + s[9]*s[7] *s[14] + s[13]*s[6] *s[11] - s[13]*s[7]*s[10];
+  inv[4]  = - s[4]*s[10]*s[15] + s[4] *s[11]*s[14] + s[8] *s[6]*s[15]
+            - s[8]*s[7] *s[14] - s[12]*s[6] *s[11] + s[12]*s[7]*s[10];
+  inv[8]  =   s[4]*s[9] *s[15] - s[4] *s[11]*s[13] - s[8] *s[5]*s[15]
+            + s[8]*s[7] *s[13] + s[12]*s[5] *s[11] - s[12]*s[7]*s[9];
+  inv[12] = - s[4]*s[9] *s[14] + s[4] *s[10]*s[13] + s[8] *s[5]*s[14]
+            - s[8]*s[6] *s[13] - s[12]*s[5] *s[10] + s[12]*s[6]*s[9];
+
+  inv[1]  = - s[1]*s[10]*s[15] + s[1] *s[11]*s[14] + s[9] *s[2]*s[15]
+            - s[9]*s[3] *s[14] - s[13]*s[2] *s[11] + s[13]*s[3]*s[10];
+  inv[5]  =   s[0]*s[10]*s[15] - s[0] *s[11]*s[14] - s[8] *s[2]*s[15]
+            + s[8]*s[3] *s[14] + s[12]*s[2] *s[11] - s[12]*s[3]*s[10];
+  inv[9]  = - s[0]*s[9] *s[15] + s[0] *s[11]*s[13] + s[8] *s[1]*s[15]
+            - s[8]*s[3] *s[13] - s[12]*s[1] *s[11] + s[12]*s[3]*s[9];
+  inv[13] =   s[0]*s[9] *s[14] - s[0] *s[10]*s[13] - s[8] *s[1]*s[14]
+            + s[8]*s[2] *s[13] + s[12]*s[1] *s[10] - s[12]*s[2]*s[9];
+
+  inv[2]  =   s[1]*s[6]*s[15] - s[1] *s[7]*s[14] - s[5] *s[2]*s[15]
+            + s[5]*s[3]*s[14] + s[13]*s[2]*s[7]  - s[13]*s[3]*s[6];
+  inv[6]  = - s[0]*s[6]*s[15] + s[0] *s[7]*s[14] + s[4] *s[2]*s[15]
+            - s[4]*s[3]*s[14] - s[12]*s[2]*s[7]  + s[12]*s[3]*s[6];
+  inv[10] =   s[0]*s[5]*s[15] - s[0] *s[7]*s[13] - s[4] *s[1]*s[15]
+            + s[4]*s[3]*s[13] + s[12]*s[1]*s[7]  - s[12]*s[3]*s[5];
+  inv[14] = - s[0]*s[5]*s[14] + s[0] *s[6]*s[13] + s[4] *s[1]*s[14]
+            - s[4]*s[2]*s[13] - s[12]*s[1]*s[6]  + s[12]*s[2]*s[5];
+
+  inv[3]  = - s[1]*s[6]*s[11] + s[1]*s[7]*s[10] + s[5]*s[2]*s[11]
+            - s[5]*s[3]*s[10] - s[9]*s[2]*s[7]  + s[9]*s[3]*s[6];
+  inv[7]  =   s[0]*s[6]*s[11] - s[0]*s[7]*s[10] - s[4]*s[2]*s[11]
+            + s[4]*s[3]*s[10] + s[8]*s[2]*s[7]  - s[8]*s[3]*s[6];
+  inv[11] = - s[0]*s[5]*s[11] + s[0]*s[7]*s[9]  + s[4]*s[1]*s[11]
+            - s[4]*s[3]*s[9]  - s[8]*s[1]*s[7]  + s[8]*s[3]*s[5];
+  inv[15] =   s[0]*s[5]*s[10] - s[0]*s[6]*s[9]  - s[4]*s[1]*s[10]
+            + s[4]*s[2]*s[9]  + s[8]*s[1]*s[6]  - s[8]*s[2]*s[5];
+
+  det = s[0]*inv[0] + s[1]*inv[4] + s[2]*inv[8] + s[3]*inv[12];
+  if (det === 0) {
+    return this;
+  }
+
+  det = 1 / det;
+  for (i = 0; i < 16; i++) {
+    d[i] = inv[i] * det;
+  }
+
+  return this;
+};
+
+/**
+ * Calculate the inverse matrix of this, and set to this.
+ * @return this
+ */
+Matrix4.prototype.invert = function() {
+  return this.setInverseOf(this);
+};
+
+/**
+ * Set the orthographic projection matrix.
+ * @param left The coordinate of the left of clipping plane.
+ * @param right The coordinate of the right of clipping plane.
+ * @param bottom The coordinate of the bottom of clipping plane.
+ * @param top The coordinate of the top top clipping plane.
+ * @param near The distances to the nearer depth clipping plane. This value is minus if the plane is to be behind the viewer.
+ * @param far The distances to the farther depth clipping plane. This value is minus if the plane is to be behind the viewer.
+ * @return this
+ */
+Matrix4.prototype.setOrtho = function(left, right, bottom, top, near, far) {
+  var e, rw, rh, rd;
+
+  if (left === right || bottom === top || near === far) {
+    throw 'null frustum';
+  }
+
+  rw = 1 / (right - left);
+  rh = 1 / (top - bottom);
+  rd = 1 / (far - near);
+
+  e = this.elements;
+
+  e[0]  = 2 * rw;
+  e[1]  = 0;
+  e[2]  = 0;
+  e[3]  = 0;
+
+  e[4]  = 0;
+  e[5]  = 2 * rh;
+  e[6]  = 0;
+  e[7]  = 0;
+
+  e[8]  = 0;
+  e[9]  = 0;
+  e[10] = -2 * rd;
+  e[11] = 0;
+
+  e[12] = -(right + left) * rw;
+  e[13] = -(top + bottom) * rh;
+  e[14] = -(far + near) * rd;
+  e[15] = 1;
+
+  return this;
+};
+
+/**
+ * Multiply the orthographic projection matrix from the right.
+ * @param left The coordinate of the left of clipping plane.
+ * @param right The coordinate of the right of clipping plane.
+ * @param bottom The coordinate of the bottom of clipping plane.
+ * @param top The coordinate of the top top clipping plane.
+ * @param near The distances to the nearer depth clipping plane. This value is minus if the plane is to be behind the viewer.
+ * @param far The distances to the farther depth clipping plane. This value is minus if the plane is to be behind the viewer.
+ * @return this
+ */
+Matrix4.prototype.ortho = function(left, right, bottom, top, near, far) {
+  return this.concat(Matrix4._tmpMatrix.setOrtho(left, right, bottom, top, near, far));
+};
+
+/**
+ * Set the perspective projection matrix.
+ * @param left The coordinate of the left of clipping plane.
+ * @param right The coordinate of the right of clipping plane.
+ * @param bottom The coordinate of the bottom of clipping plane.
+ * @param top The coordinate of the top top clipping plane.
+ * @param near The distances to the nearer depth clipping plane. This value must be plus value.
+ * @param far The distances to the farther depth clipping plane. This value must be plus value.
+ * @return this
+ */
+Matrix4.prototype.setFrustum = function(left, right, bottom, top, near, far) {
+  var e, rw, rh, rd;
+
+  if (left === right || top === bottom || near === far) {
+    throw 'null frustum';
+  }
+  if (near <= 0) {
+    throw 'near <= 0';
+  }
+  if (far <= 0) {
+    throw 'far <= 0';
+  }
+
+  rw = 1 / (right - left);
+  rh = 1 / (top - bottom);
+  rd = 1 / (far - near);
+
+  e = this.elements;
+
+  e[ 0] = 2 * near * rw;
+  e[ 1] = 0;
+  e[ 2] = 0;
+  e[ 3] = 0;
+
+  e[ 4] = 0;
+  e[ 5] = 2 * near * rh;
+  e[ 6] = 0;
+  e[ 7] = 0;
+
+  e[ 8] = (right + left) * rw;
+  e[ 9] = (top + bottom) * rh;
+  e[10] = -(far + near) * rd;
+  e[11] = -1;
+
+  e[12] = 0;
+  e[13] = 0;
+  e[14] = -2 * near * far * rd;
+  e[15] = 0;
+
+  return this;
+};
+
+/**
+ * Multiply the perspective projection matrix from the right.
+ * @param left The coordinate of the left of clipping plane.
+ * @param right The coordinate of the right of clipping plane.
+ * @param bottom The coordinate of the bottom of clipping plane.
+ * @param top The coordinate of the top top clipping plane.
+ * @param near The distances to the nearer depth clipping plane. This value must be plus value.
+ * @param far The distances to the farther depth clipping plane. This value must be plus value.
+ * @return this
+ */
+Matrix4.prototype.frustum = function(left, right, bottom, top, near, far) {
+  return this.concat(Matrix4._tmpMatrix.setFrustum(left, right, bottom, top, near, far));
+};
+
+/**
+ * Set the perspective projection matrix by fovy and aspect.
+ * @param fovy The angle between the upper and lower sides of the frustum.
+ * @param aspect The aspect ratio of the frustum. (width/height)
+ * @param near The distances to the nearer depth clipping plane. This value must be plus value.
+ * @param far The distances to the farther depth clipping plane. This value must be plus value.
+ * @return this
+ */
+Matrix4.prototype.setPerspective = function(fovy, aspect, near, far) {
+  var e, rd, s, ct;
+
+  if (near === far || aspect === 0) {
+    throw 'null frustum';
+  }
+  if (near <= 0) {
+    throw 'near <= 0';
+  }
+  if (far <= 0) {
+    throw 'far <= 0';
+  }
+
+  fovy = Math.PI * fovy / 180 / 2;
+  s = Math.sin(fovy);
+  if (s === 0) {
+    throw 'null frustum';
+  }
+
+  rd = 1 / (far - near);
+  ct = Math.cos(fovy) / s;
+
+  e = this.elements;
+
+  e[0]  = ct / aspect;
+  e[1]  = 0;
+  e[2]  = 0;
+  e[3]  = 0;
+
+  e[4]  = 0;
+  e[5]  = ct;
+  e[6]  = 0;
+  e[7]  = 0;
+
+  e[8]  = 0;
+  e[9]  = 0;
+  e[10] = -(far + near) * rd;
+  e[11] = -1;
+
+  e[12] = 0;
+  e[13] = 0;
+  e[14] = -2 * near * far * rd;
+  e[15] = 0;
+
+  return this;
+};
+
+/**
+ * Multiply the perspective projection matrix from the right.
+ * @param fovy The angle between the upper and lower sides of the frustum.
+ * @param aspect The aspect ratio of the frustum. (width/height)
+ * @param near The distances to the nearer depth clipping plane. This value must be plus value.
+ * @param far The distances to the farther depth clipping plane. This value must be plus value.
+ * @return this
+ */
+Matrix4.prototype.perspective = function(fovy, aspect, near, far) {
+  return this.concat(Matrix4._tmpMatrix.setPerspective(fovy, aspect, near, far));
+};
+
+/**
+ * Set the matrix for scaling.
+ * @param x The scale factor along the X axis
+ * @param y The scale factor along the Y axis
+ * @param z The scale factor along the Z axis
+ * @return this
+ */
+Matrix4.prototype.setScale = function(x, y, z) {
+  var e = this.elements;
+  e[0] = x;  e[4] = 0;  e[8]  = 0;  e[12] = 0;
+  e[1] = 0;  e[5] = y;  e[9]  = 0;  e[13] = 0;
+  e[2] = 0;  e[6] = 0;  e[10] = z;  e[14] = 0;
+  e[3] = 0;  e[7] = 0;  e[11] = 0;  e[15] = 1;
+  return this;
+};
+
+/**
+ * Multiply the matrix for scaling from the right.
+ * @param x The scale factor along the X axis
+ * @param y The scale factor along the Y axis
+ * @param z The scale factor along the Z axis
+ * @return this
+ */
+Matrix4.prototype.scale = function(x, y, z) {
+  var e = this.elements;
+  e[0] *= x;  e[4] *= y;  e[8]  *= z;
+  e[1] *= x;  e[5] *= y;  e[9]  *= z;
+  e[2] *= x;  e[6] *= y;  e[10] *= z;
+  e[3] *= x;  e[7] *= y;  e[11] *= z;
+  return this;
+};
+
+/**
+ * Set the matrix for translation.
+ * @param x The X value of a translation.
+ * @param y The Y value of a translation.
+ * @param z The Z value of a translation.
+ * @return this
+ */
+Matrix4.prototype.setTranslate = function(x, y, z) {
+  var e = this.elements;
+  e[0] = 1;  e[4] = 0;  e[8]  = 0;  e[12] = x;
+  e[1] = 0;  e[5] = 1;  e[9]  = 0;  e[13] = y;
+  e[2] = 0;  e[6] = 0;  e[10] = 1;  e[14] = z;
+  e[3] = 0;  e[7] = 0;  e[11] = 0;  e[15] = 1;
+  return this;
+};
+
+/**
+ * Multiply the matrix for translation from the right.
+ * @param x The X value of a translation.
+ * @param y The Y value of a translation.
+ * @param z The Z value of a translation.
+ * @return this
+ */
+Matrix4.prototype.translate = function(x, y, z) {
+  var e = this.elements;
+  e[12] += e[0] * x + e[4] * y + e[8]  * z;
+  e[13] += e[1] * x + e[5] * y + e[9]  * z;
+  e[14] += e[2] * x + e[6] * y + e[10] * z;
+  e[15] += e[3] * x + e[7] * y + e[11] * z;
+  return this;
+};
+
+/**
+ * Set the matrix for rotation.
+ * The vector of rotation axis may not be normalized.
+ * @param angle The angle of rotation (degrees)
+ * @param x The X coordinate of vector of rotation axis.
+ * @param y The Y coordinate of vector of rotation axis.
+ * @param z The Z coordinate of vector of rotation axis.
+ * @return this
+ */
+Matrix4.prototype.setRotate = function(angle, x, y, z) {
+  var e, s, c, len, rlen, nc, xy, yz, zx, xs, ys, zs;
+
+  angle = Math.PI * angle / 180;
+  e = this.elements;
+
+  s = Math.sin(angle);
+  c = Math.cos(angle);
+
+  if (0 !== x && 0 === y && 0 === z) {
+    // Rotation around X axis
+    if (x < 0) {
+      s = -s;
+    }
+    e[0] = 1;  e[4] = 0;  e[ 8] = 0;  e[12] = 0;
+    e[1] = 0;  e[5] = c;  e[ 9] =-s;  e[13] = 0;
+    e[2] = 0;  e[6] = s;  e[10] = c;  e[14] = 0;
+    e[3] = 0;  e[7] = 0;  e[11] = 0;  e[15] = 1;
+  } else if (0 === x && 0 !== y && 0 === z) {
+    // Rotation around Y axis
+    if (y < 0) {
+      s = -s;
+    }
+    e[0] = c;  e[4] = 0;  e[ 8] = s;  e[12] = 0;
+    e[1] = 0;  e[5] = 1;  e[ 9] = 0;  e[13] = 0;
+    e[2] =-s;  e[6] = 0;  e[10] = c;  e[14] = 0;
+    e[3] = 0;  e[7] = 0;  e[11] = 0;  e[15] = 1;
+  } else if (0 === x && 0 === y && 0 !== z) {
+    // Rotation around Z axis
+    if (z < 0) {
+      s = -s;
+    }
+    e[0] = c;  e[4] =-s;  e[ 8] = 0;  e[12] = 0;
+    e[1] = s;  e[5] = c;  e[ 9] = 0;  e[13] = 0;
+    e[2] = 0;  e[6] = 0;  e[10] = 1;  e[14] = 0;
+    e[3] = 0;  e[7] = 0;  e[11] = 0;  e[15] = 1;
+  } else {
+    // Rotation around another axis
+    len = Math.sqrt(x*x + y*y + z*z);
+    if (len !== 1) {
+      rlen = 1 / len;
+      x *= rlen;
+      y *= rlen;
+      z *= rlen;
+    }
+    nc = 1 - c;
+    xy = x * y;
+    yz = y * z;
+    zx = z * x;
+    xs = x * s;
+    ys = y * s;
+    zs = z * s;
+
+    e[ 0] = x*x*nc +  c;
+    e[ 1] = xy *nc + zs;
+    e[ 2] = zx *nc - ys;
+    e[ 3] = 0;
+
+    e[ 4] = xy *nc - zs;
+    e[ 5] = y*y*nc +  c;
+    e[ 6] = yz *nc + xs;
+    e[ 7] = 0;
+
+    e[ 8] = zx *nc + ys;
+    e[ 9] = yz *nc - xs;
+    e[10] = z*z*nc +  c;
+    e[11] = 0;
+
+    e[12] = 0;
+    e[13] = 0;
+    e[14] = 0;
+    e[15] = 1;
+  }
+
+  return this;
+};
+
+/**
+ * Multiply the matrix for rotation from the right.
+ * The vector of rotation axis may not be normalized.
+ * @param angle The angle of rotation (degrees)
+ * @param x The X coordinate of vector of rotation axis.
+ * @param y The Y coordinate of vector of rotation axis.
+ * @param z The Z coordinate of vector of rotation axis.
+ * @return this
+ */
+Matrix4.prototype.rotate = function(angle, x, y, z) {
+  return this.concat(Matrix4._tmpMatrix.setRotate(angle, x, y, z));
+};
+
+/**
+ * Set the viewing matrix.
+ * @param eyeX, eyeY, eyeZ The position of the eye point.
+ * @param centerX, centerY, centerZ The position of the reference point.
+ * @param upX, upY, upZ The direction of the up vector.
+ * @return this
+ */
+Matrix4.prototype.setLookAt = function(eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ) {
+  var e, fx, fy, fz, rlf, sx, sy, sz, rls, ux, uy, uz;
+
+  fx = centerX - eyeX;
+  fy = centerY - eyeY;
+  fz = centerZ - eyeZ;
+
+  // Normalize f.
+  rlf = 1 / Math.sqrt(fx*fx + fy*fy + fz*fz);
+  fx *= rlf;
+  fy *= rlf;
+  fz *= rlf;
+
+  // Calculate cross product of f and up.
+  sx = fy * upZ - fz * upY;
+  sy = fz * upX - fx * upZ;
+  sz = fx * upY - fy * upX;
+
+  // Normalize s.
+  rls = 1 / Math.sqrt(sx*sx + sy*sy + sz*sz);
+  sx *= rls;
+  sy *= rls;
+  sz *= rls;
+
+  // Calculate cross product of s and f.
+  ux = sy * fz - sz * fy;
+  uy = sz * fx - sx * fz;
+  uz = sx * fy - sy * fx;
+
+  // Set to this.
+  e = this.elements;
+  e[0] = sx;
+  e[1] = ux;
+  e[2] = -fx;
+  e[3] = 0;
+
+  e[4] = sy;
+  e[5] = uy;
+  e[6] = -fy;
+  e[7] = 0;
+
+  e[8] = sz;
+  e[9] = uz;
+  e[10] = -fz;
+  e[11] = 0;
+
+  e[12] = 0;
+  e[13] = 0;
+  e[14] = 0;
+  e[15] = 1;
+
+  // Translate.
+  return this.translate(-eyeX, -eyeY, -eyeZ);
+};
+
+/**
+ * Multiply the viewing matrix from the right.
+ * @param eyeX, eyeY, eyeZ The position of the eye point.
+ * @param centerX, centerY, centerZ The position of the reference point.
+ * @param upX, upY, upZ The direction of the up vector.
+ * @return this
+ */
+Matrix4.prototype.lookAt = function(eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ) {
+  return this.concat(Matrix4._tmpMatrix.setLookAt(eyeX, eyeY, eyeZ, centerX, centerY, centerZ, upX, upY, upZ));
+};
+
+/**
+ * Multiply the matrix for project vertex to plane from the right.
+ * @param plane The array[A, B, C, D] of the equation of plane "Ax + By + Cz + D = 0".
+ * @param light The array which stored coordinates of the light. if light[3]=0, treated as parallel light.
+ * @return this
+ */
+Matrix4.prototype.dropShadow = function(plane, light) {
+  var mat = new Matrix4();
+  var e = mat.elements;
+
+  var dot = plane[0] * light[0] + plane[1] * light[1] + plane[2] * light[2] + plane[3] * light[3];
+
+  e[ 0] = dot - light[0] * plane[0];
+  e[ 1] =     - light[1] * plane[0];
+  e[ 2] =     - light[2] * plane[0];
+  e[ 3] =     - light[3] * plane[0];
+
+  e[ 4] =     - light[0] * plane[1];
+  e[ 5] = dot - light[1] * plane[1];
+  e[ 6] =     - light[2] * plane[1];
+  e[ 7] =     - light[3] * plane[1];
+
+  e[ 8] =     - light[0] * plane[2];
+  e[ 9] =     - light[1] * plane[2];
+  e[10] = dot - light[2] * plane[2];
+  e[11] =     - light[3] * plane[2];
+
+  e[12] =     - light[0] * plane[3];
+  e[13] =     - light[1] * plane[3];
+  e[14] =     - light[2] * plane[3];
+  e[15] = dot - light[3] * plane[3];
+
+  return this.concat(mat);
+}
+
+/**
+ * Multiply the matrix for project vertex to plane from the right.(Projected by parallel light.)
+ * @param normX, normY, normZ The normal vector of the plane.(Not necessary to be normalized.)
+ * @param planeX, planeY, planeZ The coordinate of arbitrary points on a plane.
+ * @param lightX, lightY, lightZ The vector of the direction of light.(Not necessary to be normalized.)
+ * @return this
+ */
+Matrix4.prototype.dropShadowDirectionally = function(normX, normY, normZ, planeX, planeY, planeZ, lightX, lightY, lightZ) {
+  var a = planeX * normX + planeY * normY + planeZ * normZ;
+  return this.dropShadow([normX, normY, normZ, -a], [lightX, lightY, lightZ, 0]);
+};
+
+/**
+ * Constructor of Vector3
+ * If opt_src is specified, new vector is initialized by opt_src.
+ * @param opt_src source vector(option)
+ */
+var Vector3 = function(opt_src) {
+  var v = new Float32Array(3);
+  if (opt_src && typeof opt_src === 'object') {
+    v[0] = opt_src[0]; v[1] = opt_src[1]; v[2] = opt_src[2];
+  } 
+  this.elements = v;
+}
+
+/**
+  * Normalize.
+  * @return this
+  */
+Vector3.prototype.normalize = function() {
+  var v = this.elements;
+  var c = v[0], d = v[1], e = v[2], g = Math.sqrt(c*c+d*d+e*e);
+  if(g){
+    if(g == 1)
+        return this;
+   } else {
+     v[0] = 0; v[1] = 0; v[2] = 0;
+     return this;
+   }
+   g = 1/g;
+   v[0] = c*g; v[1] = d*g; v[2] = e*g;
+   return this;
+};
+
+// ======= Add-on helpers for Vector3 (needed for ASG3 camera) =======
+
+Vector3.prototype.set = function(v) {
+  const e = this.elements;
+  const a = v.elements || v; // allow Vector3 or raw array
+  e[0] = a[0]; e[1] = a[1]; e[2] = a[2];
+  return this;
+};
+
+Vector3.prototype.add = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] += a[0]; e[1] += a[1]; e[2] += a[2];
+  return this;
+};
+
+Vector3.prototype.sub = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] -= a[0]; e[1] -= a[1]; e[2] -= a[2];
+  return this;
+};
+
+Vector3.prototype.mul = function(s) {
+  const e = this.elements;
+  e[0] *= s; e[1] *= s; e[2] *= s;
+  return this;
+};
+
+Vector3.cross = function(a, b, out = new Vector3()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  const x = ae[1] * be[2] - ae[2] * be[1];
+  const y = ae[2] * be[0] - ae[0] * be[2];
+  const z = ae[0] * be[1] - ae[1] * be[0];
+  o[0] = x; o[1] = y; o[2] = z;
+  return out;
+};
+
+Vector3.prototype.clone = function() {
+  return new Vector3(this.elements);
+};
+
+Vector3.prototype.div = function(s) {
+  const e = this.elements;
+  e[0] /= s; e[1] /= s; e[2] /= s;
+  return this;
+};
+
+Vector3.prototype.negate = function() {
+  return this.mul(-1);
+};
+
+Vector3.prototype.dot = function(v) {
+  return Vector3.dot(this, v);
+};
+
+// in-place: this = this x v
+Vector3.prototype.cross = function(v) {
+  return Vector3.cross(this, v, this);
+};
+
+Vector3.prototype.magnitude = function() {
+  const e = this.elements;
+  return Math.sqrt(e[0] * e[0] + e[1] * e[1] + e[2] * e[2]);
+};
+
+Vector3.prototype.distance = function(v) {
+  return Vector3.distance(this, v);
+};
+
+// move toward v by t (0 = this, 1 = v)
+Vector3.prototype.lerp = function(v, t) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] += (a[0] - e[0]) * t; e[1] += (a[1] - e[1]) * t; e[2] += (a[2] - e[2]) * t;
+  return this;
+};
+
+// reflect about a normalized normal n: v - 2(v.n)n
+Vector3.prototype.reflect = function(n) {
+  const e = this.elements;
+  const a = n.elements || n;
+  const k = 2 * (e[0] * a[0] + e[1] * a[1] + e[2] * a[2]);
+  e[0] -= k * a[0]; e[1] -= k * a[1]; e[2] -= k * a[2];
+  return this;
+};
+
+// project onto v (zero vector if v is zero)
+Vector3.prototype.project = function(v) {
+  const len2 = Vector3.dot(v, v);
+  const k = (len2 === 0) ? 0 : Vector3.dot(this, v) / len2;
+  return this.set(v).mul(k);
+};
+
+Vector3.prototype.equals = function(v, eps = 1e-6) {
+  return Vector3.equals(this, v, eps);
+};
+
+// static variants leave their inputs alone and write into out
+// (a new Vector3 if omitted); out may be one of the inputs
+Vector3.mul = (v, s, out = new Vector3()) => out.set(v).mul(s);
+Vector3.div = (v, s, out = new Vector3()) => out.set(v).div(s);
+Vector3.negate = (v, out = new Vector3()) => out.set(v).negate();
+Vector3.normalize = (v, out = new Vector3()) => out.set(v).normalize();
+
+Vector3.add = function(a, b, out = new Vector3()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] + be[0]; o[1] = ae[1] + be[1]; o[2] = ae[2] + be[2];
+  return out;
+};
+
+Vector3.sub = function(a, b, out = new Vector3()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] - be[0]; o[1] = ae[1] - be[1]; o[2] = ae[2] - be[2];
+  return out;
+};
+
+Vector3.lerp = function(a, b, t, out = new Vector3()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] + (be[0] - ae[0]) * t;
+  o[1] = ae[1] + (be[1] - ae[1]) * t;
+  o[2] = ae[2] + (be[2] - ae[2]) * t;
+  return out;
+};
+
+Vector3.reflect = function(v, n, out = new Vector3()) {
+  const ve = v.elements, ne = n.elements, o = out.elements;
+  const k = 2 * Vector3.dot(v, n);
+  o[0] = ve[0] - k * ne[0]; o[1] = ve[1] - k * ne[1]; o[2] = ve[2] - k * ne[2];
+  return out;
+};
+
+Vector3.project = function(v, onto, out = new Vector3()) {
+  const len2 = Vector3.dot(onto, onto);
+  const k = (len2 === 0) ? 0 : Vector3.dot(v, onto) / len2;
+  return out.set(onto).mul(k);
+};
+
+Vector3.dot = function(a, b) {
+  const ae = a.elements || a, be = b.elements || b;
+  return ae[0] * be[0] + ae[1] * be[1] + ae[2] * be[2];
+};
+
+Vector3.distance = function(a, b) {
+  const ae = a.elements, be = b.elements;
+  return Math.hypot(ae[0] - be[0], ae[1] - be[1], ae[2] - be[2]);
+};
+
+Vector3.equals = function(a, b, eps = 1e-6) {
+  const ae = a.elements, be = b.elements;
+  return Math.abs(ae[0] - be[0]) <= eps &&
+         Math.abs(ae[1] - be[1]) <= eps &&
+         Math.abs(ae[2] - be[2]) <= eps;
+};
+
+// degrees; NaN if either vector is zero
+Vector3.angleBetween = function(a, b) {
+  const denom = a.magnitude() * b.magnitude();
+  if (denom === 0) return NaN;
+  const cosA = Math.max(-1, Math.min(1, Vector3.dot(a, b) / denom));
+  return Math.acos(cosA) * 180 / Math.PI;
+};
+
+Vector3.areaTriangle = function(a, b) {
+  return Vector3.cross(a, b).magnitude() / 2;
+};
+
+// ======= Vector2 (2D canvas / clip-space helpers) =======
+
+/**
+ * Constructor of Vector2
+ * If opt_src is specified, new vector is initialized by opt_src.
+ * @param opt_src source vector(option)
+ */
+var Vector2 = function(opt_src) {
+  var v = new Float32Array(2);
+  if (opt_src && typeof opt_src === 'object') {
+    v[0] = opt_src[0]; v[1] = opt_src[1];
+  }
+  this.elements = v;
+};
+
+Vector2.prototype.set = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] = a[0]; e[1] = a[1];
+  return this;
+};
+
+Vector2.prototype.clone = function() {
+  return new Vector2(this.elements);
+};
+
+Vector2.prototype.add = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] += a[0]; e[1] += a[1];
+  return this;
+};
+
+Vector2.prototype.sub = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] -= a[0]; e[1] -= a[1];
+  return this;
+};
+
+Vector2.prototype.mul = function(s) {
+  const e = this.elements;
+  e[0] *= s; e[1] *= s;
+  return this;
+};
+
+Vector2.prototype.div = function(s) {
+  const e = this.elements;
+  e[0] /= s; e[1] /= s;
+  return this;
+};
+
+Vector2.prototype.negate = function() {
+  return this.mul(-1);
+};
+
+Vector2.prototype.dot = function(v) {
+  return Vector2.dot(this, v);
+};
+
+Vector2.prototype.magnitude = function() {
+  const e = this.elements;
+  return Math.sqrt(e[0] * e[0] + e[1] * e[1]);
+};
+
+Vector2.prototype.normalize = function() {
+  const m = this.magnitude();
+  if (m !== 0) this.div(m);
+  return this;
+};
+
+Vector2.prototype.distance = function(v) {
+  return Vector2.distance(this, v);
+};
+
+Vector2.prototype.lerp = function(v, t) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] += (a[0] - e[0]) * t; e[1] += (a[1] - e[1]) * t;
+  return this;
+};
+
+Vector2.prototype.reflect = function(n) {
+  const e = this.elements;
+  const a = n.elements || n;
+  const k = 2 * (e[0] * a[0] + e[1] * a[1]);
+  e[0] -= k * a[0]; e[1] -= k * a[1];
+  return this;
+};
+
+Vector2.prototype.project = function(v) {
+  const len2 = Vector2.dot(v, v);
+  const k = (len2 === 0) ? 0 : Vector2.dot(this, v) / len2;
+  return this.set(v).mul(k);
+};
+
+Vector2.prototype.equals = function(v, eps = 1e-6) {
+  return Vector2.equals(this, v, eps);
+};
+
+Vector2.mul = (v, s, out = new Vector2()) => out.set(v).mul(s);
+Vector2.div = (v, s, out = new Vector2()) => out.set(v).div(s);
+Vector2.negate = (v, out = new Vector2()) => out.set(v).negate();
+Vector2.normalize = (v, out = new Vector2()) => out.set(v).normalize();
+
+Vector2.add = function(a, b, out = new Vector2()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] + be[0]; o[1] = ae[1] + be[1];
+  return out;
+};
+
+Vector2.sub = function(a, b, out = new Vector2()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] - be[0]; o[1] = ae[1] - be[1];
+  return out;
+};
+
+Vector2.lerp = function(a, b, t, out = new Vector2()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  o[0] = ae[0] + (be[0] - ae[0]) * t;
+  o[1] = ae[1] + (be[1] - ae[1]) * t;
+  return out;
+};
+
+Vector2.reflect = function(v, n, out = new Vector2()) {
+  const ve = v.elements, ne = n.elements, o = out.elements;
+  const k = 2 * Vector2.dot(v, n);
+  o[0] = ve[0] - k * ne[0]; o[1] = ve[1] - k * ne[1];
+  return out;
+};
+
+Vector2.project = function(v, onto, out = new Vector2()) {
+  const len2 = Vector2.dot(onto, onto);
+  const k = (len2 === 0) ? 0 : Vector2.dot(v, onto) / len2;
+  return out.set(onto).mul(k);
+};
+
+Vector2.dot = function(a, b) {
+  const ae = a.elements || a, be = b.elements || b;
+  return ae[0] * be[0] + ae[1] * be[1];
+};
+
+// z component of the 3D cross product (signed parallelogram area)
+Vector2.cross = function(a, b) {
+  const ae = a.elements, be = b.elements;
+  return ae[0] * be[1] - ae[1] * be[0];
+};
+
+Vector2.distance = function(a, b) {
+  const ae = a.elements, be = b.elements;
+  return Math.hypot(ae[0] - be[0], ae[1] - be[1]);
+};
+
+Vector2.equals = function(a, b, eps = 1e-6) {
+  const ae = a.elements, be = b.elements;
+  return Math.abs(ae[0] - be[0]) <= eps && Math.abs(ae[1] - be[1]) <= eps;
+};
+
+
+/**
+ * Constructor of Vector4
+ * If opt_src is specified, new vector is initialized by opt_src.
+ * @param opt_src source vector(option)
+ */
+var Vector4 = function(opt_src) {
+  var v = new Float32Array(4);
+  if (opt_src && typeof opt_src === 'object') {
+    v[0] = opt_src[0]; v[1] = opt_src[1]; v[2] = opt_src[2]; v[3] = opt_src[3];
+  } 
+  this.elements = v;
+}
+
+// ======= Add-on helpers for Vector4 =======
+
+Vector4.prototype.set = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] = a[0]; e[1] = a[1]; e[2] = a[2]; e[3] = a[3];
+  return this;
+};
+
+Vector4.prototype.clone = function() {
+  return new Vector4(this.elements);
+};
+
+Vector4.prototype.add = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] += a[0]; e[1] += a[1]; e[2] += a[2]; e[3] += a[3];
+  return this;
+};
+
+Vector4.prototype.sub = function(v) {
+  const e = this.elements;
+  const a = v.elements || v;
+  e[0] -= a[0]; e[1] -= a[1]; e[2] -= a[2]; e[3] -= a[3];
+  return this;
+};
+
+Vector4.prototype.mul = function(s) {
+  const e = this.elements;
+  e[0] *= s; e[1] *= s; e[2] *= s; e[3] *= s;
+  return this;
+};
+
+Vector4.prototype.div = function(s) {
+  const e = this.elements;
+  e[0] /= s; e[1] /= s; e[2] /= s; e[3] /= s;
+  return this;
+};
+
+Vector4.prototype.negate = function() {
+  return this.mul(-1);
+};
+
+Vector4.prototype.dot = function(v) {
+  return Vector4.dot(this, v);
+};
+
+Vector4.prototype.magnitude = function() {
+  return Math.sqrt(this.dot(this));
+};
+
+Vector4.prototype.normalize = function() {
+  const m = this.magnitude();
+  if (m !== 0) this.div(m);
+  return this;
+};
+
+Vector4.prototype.distance = function(v) {
+  return Vector4.distance(this, v);
+};
+
+Vector4.prototype.lerp = function(v, t) {
+  const e = this.elements;
+  const a = v.elements || v;
+  for (let i = 0; i < 4; i++) e[i] += (a[i] - e[i]) * t;
+  return this;
+};
+
+Vector4.prototype.equals = function(v, eps = 1e-6) {
+  return Vector4.equals(this, v, eps);
+};
+
+Vector4.mul = (v, s, out = new Vector4()) => out.set(v).mul(s);
+Vector4.div = (v, s, out = new Vector4()) => out.set(v).div(s);
+Vector4.negate = (v, out = new Vector4()) => out.set(v).negate();
+Vector4.normalize = (v, out = new Vector4()) => out.set(v).normalize();
+
+Vector4.add = function(a, b, out = new Vector4()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  for (let i = 0; i < 4; i++) o[i] = ae[i] + be[i];
+  return out;
+};
+
+Vector4.sub = function(a, b, out = new Vector4()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  for (let i = 0; i < 4; i++) o[i] = ae[i] - be[i];
+  return out;
+};
+
+Vector4.lerp = function(a, b, t, out = new Vector4()) {
+  const ae = a.elements, be = b.elements, o = out.elements;
+  for (let i = 0; i < 4; i++) o[i] = ae[i] + (be[i] - ae[i]) * t;
+  return out;
+};
+
+Vector4.dot = function(a, b) {
+  const ae = a.elements || a, be = b.elements || b;
+  return ae[0] * be[0] + ae[1] * be[1] + ae[2] * be[2] + ae[3] * be[3];
+};
+
+Vector4.distance = function(a, b) {
+  const ae = a.elements, be = b.elements;
+  return Math.hypot(ae[0] - be[0], ae[1] - be[1], ae[2] - be[2], ae[3] - be[3]);
+};
+
+Vector4.equals = function(a, b, eps = 1e-6) {
+  const ae = a.elements, be = b.elements;
+  for (let i = 0; i < 4; i++) {
+    if (Math.abs(ae[i] - be[i]) > eps) return false;
+  }
+  return true;
+};
+
+/**
+ * Set the rotation matrix represented by a quaternion.
+ * The quaternion is expected to be normalized.
+ * @param q The quaternion (Quaternion)
+ * @return this
+ */
+Matrix4.prototype.setFromQuaternion = function(q) {
+  var e = this.elements;
+  var qe = q.elements;
+  var x = qe[0], y = qe[1], z = qe[2], w = qe[3];
+  var x2 = x + x, y2 = y + y, z2 = z + z;
+  var xx = x * x2, xy = x * y2, xz = x * z2;
+  var yy = y * y2, yz = y * z2, zz = z * z2;
+  var wx = w * x2, wy = w * y2, wz = w * z2;
+
+  e[0] = 1 - (yy + zz);  e[4] = xy - wz;        e[ 8] = xz + wy;        e[12] = 0;
+  e[1] = xy + wz;        e[5] = 1 - (xx + zz);  e[ 9] = yz - wx;        e[13] = 0;
+  e[2] = xz - wy;        e[6] = yz + wx;        e[10] = 1 - (xx + yy);  e[14] = 0;
+  e[3] = 0;              e[7] = 0;              e[11] = 0;              e[15] = 1;
+  return this;
+};
+
+/**
+ * Set the matrix from translation, rotation and scale (this = T * R * S).
+ * This is the same result as translate(), then rotating by the quaternion, then scale().
+ * @param translation The translation (Vector3 or array)
+ * @param rotation The rotation (Quaternion)
+ * @param scale The scale factors (Vector3 or array)
+ * @return this
+ */
+Matrix4.prototype.compose = function(translation, rotation, scale) {
+  var e = this.elements;
+  var t = translation.elements || translation;
+  var s = scale.elements || scale;
+
+  this.setFromQuaternion(rotation);
+
+  e[0] *= s[0];  e[4] *= s[1];  e[ 8] *= s[2];  e[12] = t[0];
+  e[1] *= s[0];  e[5] *= s[1];  e[ 9] *= s[2];  e[13] = t[1];
+  e[2] *= s[0];  e[6] *= s[1];  e[10] *= s[2];  e[14] = t[2];
+  return this;
+};
+
+/**
+ * Split an affine matrix into translation, rotation and scale, the inverse of compose().
+ * A mirrored matrix (negative determinant) is reported as a negative X scale.
+ * Shear cannot be represented and is lost.
+ * @param opt_out { translation, rotation, scale } object to fill in (option)
+ * @return { translation: Vector3, rotation: Quaternion, scale: Vector3 }
+ */
+Matrix4.prototype.decompose = function(opt_out) {
+  var e = this.elements;
+  var sx = Math.sqrt(e[0]*e[0] + e[1]*e[1] + e[2]*e[2]);
+  var sy = Math.sqrt(e[4]*e[4] + e[5]*e[5] + e[6]*e[6]);
+  var sz = Math.sqrt(e[8]*e[8] + e[9]*e[9] + e[10]*e[10]);
+  var out = opt_out || {
+    translation: new Vector3(),
+    rotation: new Quaternion(),
+    scale: new Vector3()
+  };
+  var det, r, re, rsx, rsy, rsz;
+
+  // determinant of the upper 3x3
+  det = e[0] * (e[5] * e[10] - e[9] * e[6])
+      - e[4] * (e[1] * e[10] - e[9] * e[2])
+      + e[8] * (e[1] * e[6]  - e[5] * e[2]);
+  if (det < 0) {
+    sx = -sx;
+  }
+
+  r = Matrix4._tmpMatrix;
+  r.set(this);
+  re = r.elements;
+  rsx = (sx === 0) ? 0 : 1 / sx;
+  rsy = (sy === 0) ? 0 : 1 / sy;
+  rsz = (sz === 0) ? 0 : 1 / sz;
+  re[0] *= rsx;  re[4] *= rsy;  re[ 8] *= rsz;
+  re[1] *= rsx;  re[5] *= rsy;  re[ 9] *= rsz;
+  re[2] *= rsx;  re[6] *= rsy;  re[10] *= rsz;
+
+  out.translation.set([e[12], e[13], e[14]]);
+  out.rotation.setFromRotationMatrix(r).normalize();
+  out.scale.set([sx, sy, sz]);
+  return out;
+};
+
+/**
+ * Interpolate two transforms component-wise: translation and scale are lerped,
+ * rotation is slerped. Unlike lerping the 16 elements, this keeps the result rigid.
+ * @param a The start matrix (Matrix4)
+ * @param b The end matrix (Matrix4)
+ * @param t The interpolation factor (0 = a, 1 = b)
+ * @param opt_out Matrix4 to write the result into (option, may be a or b)
+ * @return out
+ */
+Matrix4.lerpTRS = function(a, b, t, opt_out) {
+  var da = a.decompose(Matrix4._tmpTRS[0]);
+  var db = b.decompose(Matrix4._tmpTRS[1]);
+  return (opt_out || new Matrix4()).compose(
+    da.translation.lerp(db.translation, t),
+    da.rotation.slerp(db.rotation, t),
+    da.scale.lerp(db.scale, t)
+  );
+};
+
+/**
+ * Constructor of Quaternion
+ * Stored as elements [x, y, z, w]; w is the scalar part.
+ * If opt_src is specified (Quaternion or array), new quaternion is initialized by opt_src.
+ * Otherwise, new quaternion is initialized by the identity rotation.
+ * @param opt_src source quaternion(option)
+ */
+var Quaternion = function(opt_src) {
+  var q = new Float32Array([0, 0, 0, 1]);
+  var s = opt_src && (opt_src.elements || opt_src);
+  if (s && typeof s === 'object') {
+    q[0] = s[0]; q[1] = s[1]; q[2] = s[2]; q[3] = s[3];
+  }
+  this.elements = q;
+};
+
+/**
+ * Set the identity rotation.
+ * @return this
+ */
+Quaternion.prototype.setIdentity = function() {
+  var q = this.elements;
+  q[0] = 0; q[1] = 0; q[2] = 0; q[3] = 1;
+  return this;
+};
+
+/**
+ * Copy quaternion.
+ * @param src source quaternion
+ * @return this
+ */
+Quaternion.prototype.set = function(src) {
+  var q = this.elements;
+  var s = src.elements || src;
+  q[0] = s[0]; q[1] = s[1]; q[2] = s[2]; q[3] = s[3];
+  return this;
+};
+
+/**
+ * Set the rotation around an axis.
+ * The vector of rotation axis may not be normalized.
+ * @param angle The angle of rotation (degrees)
+ * @param x The X coordinate of vector of rotation axis.
+ * @param y The Y coordinate of vector of rotation axis.
+ * @param z The Z coordinate of vector of rotation axis.
+ * @return this
+ */
+Quaternion.prototype.setFromAxisAngle = function(angle, x, y, z) {
+  var q = this.elements;
+  var len = Math.sqrt(x*x + y*y + z*z);
+  var half, s;
+
+  if (len === 0) {
+    return this.setIdentity();
+  }
+
+  half = Math.PI * angle / 360;
+  s = Math.sin(half) / len;
+  q[0] = x * s;
+  q[1] = y * s;
+  q[2] = z * s;
+  q[3] = Math.cos(half);
+  return this;
+};
+
+/**
+ * Set the rotation from Euler angles.
+ * The order names the axes in the order Matrix4.rotate() would be called,
+ * so setFromEuler(x, y, z, 'XYZ') matches new Matrix4().rotate(x,1,0,0).rotate(y,0,1,0).rotate(z,0,0,1).
+ * @param x The angle around the X axis (degrees)
+ * @param y The angle around the Y axis (degrees)
+ * @param z The angle around the Z axis (degrees)
+ * @param opt_order One of 'XYZ', 'XZY', 'YXZ', 'YZX', 'ZXY', 'ZYX' (default 'XYZ')
+ * @return this
+ */
+Quaternion.prototype.setFromEuler = function(x, y, z, opt_order) {
+  var order = opt_order || 'XYZ';
+  var angles = { X: x, Y: y, Z: z };
+  var axis = new Quaternion();
+  var i, c;
+
+  if (!/^(XYZ|XZY|YXZ|YZX|ZXY|ZYX)$/.test(order)) {
+    throw 'invalid euler order';
+  }
+
+  this.setIdentity();
+  for (i = 0; i < 3; ++i) {
+    c = order.charAt(i);
+    axis.setFromAxisAngle(angles[c], c === 'X' ? 1 : 0, c === 'Y' ? 1 : 0, c === 'Z' ? 1 : 0);
+    this.multiply(axis);
+  }
+  return this;
+};
+
+/**
+ * Set the rotation from the upper 3x3 part of a matrix.
+ * The matrix must be a pure rotation (no scale or shear).
+ * @param m The source matrix (Matrix4)
+ * @return this
+ */
+Quaternion.prototype.setFromRotationMatrix = function(m) {
+  var e = m.elements;
+  var q = this.elements;
+  var m00 = e[0], m01 = e[4], m02 = e[8];
+  var m10 = e[1], m11 = e[5], m12 = e[9];
+  var m20 = e[2], m21 = e[6], m22 = e[10];
+  var trace = m00 + m11 + m22;
+  var s;
+
+  if (trace > 0) {
+    s = 0.5 / Math.sqrt(trace + 1);
+    q[3] = 0.25 / s;
+    q[0] = (m21 - m12) * s;
+    q[1] = (m02 - m20) * s;
+    q[2] = (m10 - m01) * s;
+  } else if (m00 > m11 && m00 > m22) {
+    s = 2 * Math.sqrt(1 + m00 - m11 - m22);
+    q[3] = (m21 - m12) / s;
+    q[0] = 0.25 * s;
+    q[1] = (m01 + m10) / s;
+    q[2] = (m02 + m20) / s;
+  } else if (m11 > m22) {
+    s = 2 * Math.sqrt(1 + m11 - m00 - m22);
+    q[3] = (m02 - m20) / s;
+    q[0] = (m01 + m10) / s;
+    q[1] = 0.25 * s;
+    q[2] = (m12 + m21) / s;
+  } else {
+    s = 2 * Math.sqrt(1 + m22 - m00 - m11);
+    q[3] = (m10 - m01) / s;
+    q[0] = (m02 + m20) / s;
+    q[1] = (m12 + m21) / s;
+    q[2] = 0.25 * s;
+  }
+  return this;
+};
+
+/**
+ * Multiply the quaternion from the right (this = this * other).
+ * Like Matrix4.concat, the rotation of other is applied first.
+ * @param other The multiply quaternion
+ * @return this
+ */
+Quaternion.prototype.multiply = function(other) {
+  var a = this.elements;
+  var b = other.elements;
+  var ax = a[0], ay = a[1], az = a[2], aw = a[3];
+  var bx = b[0], by = b[1], bz = b[2], bw = b[3];
+
+  a[0] = aw * bx + ax * bw + ay * bz - az * by;
+  a[1] = aw * by - ax * bz + ay * bw + az * bx;
+  a[2] = aw * bz + ax * by - ay * bx + az * bw;
+  a[3] = aw * bw - ax * bx - ay * by - az * bz;
+  return this;
+};
+Quaternion.prototype.concat = Quaternion.prototype.multiply;
+
+/**
+ * Calculate the dot product with other.
+ * @param other The other quaternion
+ * @return scalar
+ */
+Quaternion.prototype.dot = function(other) {
+  var a = this.elements;
+  var b = other.elements;
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+};
+
+/**
+ * Calculate the length of the quaternion.
+ * @return scalar
+ */
+Quaternion.prototype.length = function() {
+  return Math.sqrt(this.dot(this));
+};
+
+/**
+ * Normalize. A zero quaternion becomes the identity.
+ * @return this
+ */
+Quaternion.prototype.normalize = function() {
+  var q = this.elements;
+  var len = this.length();
+  if (len === 0) {
+    return this.setIdentity();
+  }
+  len = 1 / len;
+  q[0] *= len; q[1] *= len; q[2] *= len; q[3] *= len;
+  return this;
+};
+
+/**
+ * Conjugate (the inverse rotation for a normalized quaternion).
+ * @return this
+ */
+Quaternion.prototype.conjugate = function() {
+  var q = this.elements;
+  q[0] = -q[0]; q[1] = -q[1]; q[2] = -q[2];
+  return this;
+};
+
+/**
+ * Calculate the inverse of this, and set to this.
+ * @return this
+ */
+Quaternion.prototype.invert = function() {
+  var q = this.elements;
+  var d = this.dot(this);
+  if (d === 0) {
+    return this;
+  }
+  d = 1 / d;
+  q[0] *= -d; q[1] *= -d; q[2] *= -d; q[3] *= d;
+  return this;
+};
+
+/**
+ * Spherical linear interpolation from this toward other, and set to this.
+ * Takes the shorter arc; falls back to normalized lerp when the two are nearly equal.
+ * @param other The target quaternion
+ * @param t The interpolation factor (0 = this, 1 = other)
+ * @return this
+ */
+Quaternion.prototype.slerp = function(other, t) {
+  var a = this.elements;
+  var b = other.elements;
+  var bx = b[0], by = b[1], bz = b[2], bw = b[3];
+  var cosHalf = this.dot(other);
+  var half, sinHalf, ra, rb;
+
+  // q and -q are the same rotation; flip to take the shorter arc
+  if (cosHalf < 0) {
+    cosHalf = -cosHalf;
+    bx = -bx; by = -by; bz = -bz; bw = -bw;
+  }
+
+  if (cosHalf > 0.9995) {
+    ra = 1 - t;
+    rb = t;
+  } else {
+    half = Math.acos(cosHalf);
+    sinHalf = Math.sin(half);
+    ra = Math.sin((1 - t) * half) / sinHalf;
+    rb = Math.sin(t * half) / sinHalf;
+  }
+
+  a[0] = a[0] * ra + bx * rb;
+  a[1] = a[1] * ra + by * rb;
+  a[2] = a[2] * ra + bz * rb;
+  a[3] = a[3] * ra + bw * rb;
+  return this.normalize();
+};
+
+/**
+ * Spherical linear interpolation between two quaternions.
+ * @param a The start quaternion
+ * @param b The end quaternion
+ * @param t The interpolation factor (0 = a, 1 = b)
+ * @param opt_out Quaternion to write the result into (option, may be a or b)
+ * @return out
+ */
+Quaternion.slerp = function(a, b, t, opt_out) {
+  var out = opt_out || new Quaternion();
+  if (out === b) {
+    // slerp is symmetric, so interpolate backwards from b instead of overwriting it
+    return out.slerp(a, 1 - t);
+  }
+  return out.set(a).slerp(b, t);
+};
+
+/**
+ * Rotate the three-dimensional vector.
+ * @param pos The vector to rotate
+ * @param opt_out Vector3 to write the result into (option, may be pos)
+ * @return The rotated vector (Vector3)
+ */
+Quaternion.prototype.multiplyVector3 = function(pos, opt_out) {
+  var q = this.elements;
+  var p = pos.elements;
+  var v = opt_out || new Vector3();
+  var result = v.elements;
+  var qx = q[0], qy = q[1], qz = q[2], qw = q[3];
+  var px = p[0], py = p[1], pz = p[2];
+
+  // t = 2 * cross(q.xyz, p); result = p + w * t + cross(q.xyz, t)
+  var tx = 2 * (qy * pz - qz * py);
+  var ty = 2 * (qz * px - qx * pz);
+  var tz = 2 * (qx * py - qy * px);
+
+  result[0] = px + qw * tx + (qy * tz - qz * ty);
+  result[1] = py + qw * ty + (qz * tx - qx * tz);
+  result[2] = pz + qw * tz + (qx * ty - qy * tx);
+  return v;
+};
+
+/**
+ * Convert to a rotation matrix.
+ * @return new matrix (Matrix4)
+ */
+Quaternion.prototype.toMatrix4 = function() {
+  return new Matrix4().setFromQuaternion(this);
+};
+
+// ======= Allocation-free helpers (matrix stack, scratch pools) =======
+
+Matrix4._tmpTRS = [
+  { translation: new Vector3(), rotation: new Quaternion(), scale: new Vector3() },
+  { translation: new Vector3(), rotation: new Quaternion(), scale: new Vector3() }
+];
+
+/**
+ * Constructor of MatrixStack
+ * A push/pop stack of Matrix4 whose slots are allocated up front and reused,
+ * so hierarchical drawing does not create a new Matrix4 per push.
+ * The stack grows (allocating) only if it ever gets deeper than its capacity.
+ * @param opt_capacity number of preallocated slots (option, default 32)
+ */
+var MatrixStack = function(opt_capacity) {
+  var i, n = opt_capacity || 32;
+  this.slots = [];
+  for (i = 0; i < n; ++i) {
+    this.slots.push(new Matrix4());
+  }
+  this.depth = 0;
+};
+
+/**
+ * Push a copy of the matrix.
+ * @param m The matrix to save
+ * @return the saved copy (owned by the stack)
+ */
+MatrixStack.prototype.push = function(m) {
+  if (this.depth === this.slots.length) {
+    this.slots.push(new Matrix4());
+  }
+  var slot = this.slots[this.depth++];
+  slot.set(m);
+  return slot;
+};
+
+/**
+ * Pop the last pushed matrix.
+ * Without opt_out the returned matrix belongs to the stack and is only valid
+ * until the next push; pass opt_out to copy it somewhere safe.
+ * @param opt_out Matrix4 to copy the popped matrix into (option)
+ * @return the popped matrix, or null if the stack is empty
+ */
+MatrixStack.prototype.pop = function(opt_out) {
+  if (this.depth === 0) {
+    return null;
+  }
+  var slot = this.slots[--this.depth];
+  if (opt_out) {
+    opt_out.set(slot);
+    return opt_out;
+  }
+  return slot;
+};
+
+/**
+ * Look at the last pushed matrix without removing it.
+ * @return the top matrix, or null if the stack is empty
+ */
+MatrixStack.prototype.peek = function() {
+  return (this.depth === 0) ? null : this.slots[this.depth - 1];
+};
+
+/**
+ * Empty the stack (slots stay allocated).
+ * @return this
+ */
+MatrixStack.prototype.clear = function() {
+  this.depth = 0;
+  return this;
+};
+
+/**
+ * Constructor of ScratchPool
+ * Hands out preallocated temporaries during a frame; call reset() once per frame
+ * (or restore(mark) after a block) to make them all available again.
+ * Objects from acquire() must not be kept past the next reset.
+ * @param factory function returning a new pooled object
+ * @param opt_size number of objects to preallocate (option, default 64)
+ */
+var ScratchPool = function(factory, opt_size) {
+  var i, n = opt_size || 64;
+  this.factory = factory;
+  this.items = [];
+  for (i = 0; i < n; ++i) {
+    this.items.push(factory());
+  }
+  this.used = 0;
+};
+
+/**
+ * Take the next free object. Its contents are whatever was left in it.
+ * @return pooled object
+ */
+ScratchPool.prototype.acquire = function() {
+  if (this.used === this.items.length) {
+    this.items.push(this.factory());
+  }
+  return this.items[this.used++];
+};
+
+/**
+ * Remember the current position so a nested block can give back what it used.
+ * @return mark for restore()
+ */
+ScratchPool.prototype.mark = function() {
+  return this.used;
+};
+
+/**
+ * Give back every object acquired since mark.
+ * @param mark value from mark()
+ * @return this
+ */
+ScratchPool.prototype.restore = function(mark) {
+  this.used = mark;
+  return this;
+};
+
+/**
+ * Give back every object.
+ * @return this
+ */
+ScratchPool.prototype.reset = function() {
+  this.used = 0;
+  return this;
+};
+
+// Shared per-frame pools; reset them once per frame (e.g. at the top of tick()).
+Matrix4.pool = new ScratchPool(function() { return new Matrix4(); });
+Vector3.pool = new ScratchPool(function() { return new Vector3(); });
+
+/**
+ * Take a scratch matrix from Matrix4.pool, optionally copying src into it.
+ * @param opt_src source matrix (option; otherwise the contents are undefined)
+ * @return pooled Matrix4
+ */
+Matrix4.temp = function(opt_src) {
+  var m = Matrix4.pool.acquire();
+  return opt_src ? m.set(opt_src) : m;
+};
+
+/**
+ * Take a scratch vector from Vector3.pool, optionally copying src into it.
+ * @param opt_src source vector or array (option; otherwise the contents are undefined)
+ * @return pooled Vector3
+ */
+Vector3.temp = function(opt_src) {
+  var v = Vector3.pool.acquire();
+  return opt_src ? v.set(opt_src) : v;
+};
+
+// ======= Bounding volumes and intersection tests (picking, collision, culling) =======
+
+/**
+ * Constructor of AABB (axis-aligned bounding box)
+ * If opt_min/opt_max are specified (Vector3 or array), the box spans them.
+ * Otherwise the box is empty (min = +Infinity, max = -Infinity), ready for expandByPoint.
+ * @param opt_min minimum corner(option)
+ * @param opt_max maximum corner(option)
+ */
+var AABB = function(opt_min, opt_max) {
+  this.min = new Vector3([Infinity, Infinity, Infinity]);
+  this.max = new Vector3([-Infinity, -Infinity, -Infinity]);
+  if (opt_min && opt_max) {
+    this.set(opt_min, opt_max);
+  }
+};
+
+/**
+ * Set the corners.
+ * @param min minimum corner (Vector3 or array)
+ * @param max maximum corner (Vector3 or array)
+ * @return this
+ */
+AABB.prototype.set = function(min, max) {
+  this.min.set(min);
+  this.max.set(max);
+  return this;
+};
+
+/**
+ * Copy another box.
+ * @param box source box
+ * @return this
+ */
+AABB.prototype.copy = function(box) {
+  return this.set(box.min, box.max);
+};
+
+/**
+ * @return new box with the same corners
+ */
+AABB.prototype.clone = function() {
+  return new AABB(this.min, this.max);
+};
+
+/**
+ * Set the box from its center and full size along each axis.
+ * @param center center (Vector3 or array)
+ * @param size width, height, depth (Vector3 or array)
+ * @return this
+ */
+AABB.prototype.setFromCenterAndSize = function(center, size) {
+  var c = center.elements || center, s = size.elements || size;
+  var mn = this.min.elements, mx = this.max.elements;
+  for (var i = 0; i < 3; ++i) {
+    mn[i] = c[i] - s[i] * 0.5;
+    mx[i] = c[i] + s[i] * 0.5;
+  }
+  return this;
+};
+
+/**
+ * Make the box empty.
+ * @return this
+ */
+AABB.prototype.makeEmpty = function() {
+  var mn = this.min.elements, mx = this.max.elements;
+  mn[0] = mn[1] = mn[2] = Infinity;
+  mx[0] = mx[1] = mx[2] = -Infinity;
+  return this;
+};
+
+/**
+ * @return true if the box contains no points
+ */
+AABB.prototype.isEmpty = function() {
+  var mn = this.min.elements, mx = this.max.elements;
+  return mx[0] < mn[0] || mx[1] < mn[1] || mx[2] < mn[2];
+};
+
+/**
+ * Grow the box to include a point.
+ * @param p point (Vector3 or array)
+ * @return this
+ */
+AABB.prototype.expandByPoint = function(p) {
+  var q = p.elements || p;
+  var mn = this.min.elements, mx = this.max.elements;
+  for (var i = 0; i < 3; ++i) {
+    if (q[i] < mn[i]) mn[i] = q[i];
+    if (q[i] > mx[i]) mx[i] = q[i];
+  }
+  return this;
+};
+
+/**
+ * Set the box to the bounds of a list of points.
+ * @param points array of points (Vector3 or array)
+ * @return this
+ */
+AABB.prototype.setFromPoints = function(points) {
+  this.makeEmpty();
+  for (var i = 0; i < points.length; ++i) {
+    this.expandByPoint(points[i]);
+  }
+  return this;
+};
+
+/**
+ * @param opt_out Vector3 to write into (option)
+ * @return center of the box
+ */
+AABB.prototype.getCenter = function(opt_out) {
+  var out = opt_out || new Vector3();
+  var mn = this.min.elements, mx = this.max.elements, o = out.elements;
+  o[0] = (mn[0] + mx[0]) * 0.5;
+  o[1] = (mn[1] + mx[1]) * 0.5;
+  o[2] = (mn[2] + mx[2]) * 0.5;
+  return out;
+};
+
+/**
+ * @param opt_out Vector3 to write into (option)
+ * @return width, height, depth of the box
+ */
+AABB.prototype.getSize = function(opt_out) {
+  var out = opt_out || new Vector3();
+  var mn = this.min.elements, mx = this.max.elements, o = out.elements;
+  o[0] = mx[0] - mn[0];
+  o[1] = mx[1] - mn[1];
+  o[2] = mx[2] - mn[2];
+  return out;
+};
+
+/**
+ * @param p point (Vector3 or array)
+ * @return true if p is inside or on the box
+ */
+AABB.prototype.containsPoint = function(p) {
+  var q = p.elements || p;
+  var mn = this.min.elements, mx = this.max.elements;
+  return q[0] >= mn[0] && q[0] <= mx[0] &&
+         q[1] >= mn[1] && q[1] <= mx[1] &&
+         q[2] >= mn[2] && q[2] <= mx[2];
+};
+
+/**
+ * Box-box overlap test. Touching boxes count as intersecting.
+ * @param box other box
+ * @return true if the boxes overlap
+ */
+AABB.prototype.intersectsAABB = function(box) {
+  var amn = this.min.elements, amx = this.max.elements;
+  var bmn = box.min.elements, bmx = box.max.elements;
+  return amn[0] <= bmx[0] && amx[0] >= bmn[0] &&
+         amn[1] <= bmx[1] && amx[1] >= bmn[1] &&
+         amn[2] <= bmx[2] && amx[2] >= bmn[2];
+};
+
+/**
+ * Box-sphere overlap test.
+ * @param sphere the sphere
+ * @return true if they overlap
+ */
+AABB.prototype.intersectsSphere = function(sphere) {
+  return sphere.intersectsAABB(this);
+};
+
+/**
+ * @param p point (Vector3 or array)
+ * @return squared distance from p to the box (0 if inside)
+ */
+AABB.prototype.distanceSqToPoint = function(p) {
+  var q = p.elements || p;
+  var mn = this.min.elements, mx = this.max.elements;
+  var d, sum = 0;
+  for (var i = 0; i < 3; ++i) {
+    d = (q[i] < mn[i]) ? mn[i] - q[i] : (q[i] > mx[i]) ? q[i] - mx[i] : 0;
+    sum += d * d;
+  }
+  return sum;
+};
+
+/**
+ * Replace the box with the axis-aligned bounds of itself transformed by m.
+ * The result may be looser than the transformed geometry, never tighter.
+ * @param m The transform (Matrix4)
+ * @return this
+ */
+AABB.prototype.applyMatrix4 = function(m) {
+  if (this.isEmpty()) {
+    return this;
+  }
+  var e = m.elements;
+  var mn = this.min.elements, mx = this.max.elements;
+  var cx = (mn[0] + mx[0]) * 0.5, cy = (mn[1] + mx[1]) * 0.5, cz = (mn[2] + mx[2]) * 0.5;
+  var hx = (mx[0] - mn[0]) * 0.5, hy = (mx[1] - mn[1]) * 0.5, hz = (mx[2] - mn[2]) * 0.5;
+  var i, c, h;
+
+  // new half extent along axis i is the sum of |row i| times the old extents
+  for (i = 0; i < 3; ++i) {
+    c = e[i] * cx + e[i + 4] * cy + e[i + 8] * cz + e[i + 12];
+    h = Math.abs(e[i]) * hx + Math.abs(e[i + 4]) * hy + Math.abs(e[i + 8]) * hz;
+    mn[i] = c - h;
+    mx[i] = c + h;
+  }
+  return this;
+};
+
+/**
+ * Constructor of Sphere
+ * @param opt_center center (option, Vector3 or array; default origin)
+ * @param opt_radius radius (option, default 0)
+ */
+var Sphere = function(opt_center, opt_radius) {
+  this.center = new Vector3(opt_center && (opt_center.elements || opt_center));
+  this.radius = opt_radius || 0;
+};
+
+/**
+ * Set center and radius.
+ * @param center center (Vector3 or array)
+ * @param radius radius
+ * @return this
+ */
+Sphere.prototype.set = function(center, radius) {
+  this.center.set(center);
+  this.radius = radius;
+  return this;
+};
+
+/**
+ * @return new sphere with the same center and radius
+ */
+Sphere.prototype.clone = function() {
+  return new Sphere(this.center, this.radius);
+};
+
+/**
+ * @param p point (Vector3 or array)
+ * @return true if p is inside or on the sphere
+ */
+Sphere.prototype.containsPoint = function(p) {
+  var q = p.elements || p, c = this.center.elements;
+  var dx = q[0] - c[0], dy = q[1] - c[1], dz = q[2] - c[2];
+  return dx * dx + dy * dy + dz * dz <= this.radius * this.radius;
+};
+
+/**
+ * Sphere-sphere overlap test.
+ * @param sphere other sphere
+ * @return true if they overlap
+ */
+Sphere.prototype.intersectsSphere = function(sphere) {
+  var r = this.radius + sphere.radius;
+  var c = this.center.elements, o = sphere.center.elements;
+  var dx = c[0] - o[0], dy = c[1] - o[1], dz = c[2] - o[2];
+  return dx * dx + dy * dy + dz * dz <= r * r;
+};
+
+/**
+ * Sphere-box overlap test.
+ * @param box the box
+ * @return true if they overlap
+ */
+Sphere.prototype.intersectsAABB = function(box) {
+  return box.distanceSqToPoint(this.center) <= this.radius * this.radius;
+};
+
+/**
+ * Transform the sphere. The radius is scaled by the largest axis scale of m,
+ * so the result still bounds the transformed geometry.
+ * @param m The transform (Matrix4)
+ * @return this
+ */
+Sphere.prototype.applyMatrix4 = function(m) {
+  var e = m.elements;
+  var sx = e[0] * e[0] + e[1] * e[1] + e[2] * e[2];
+  var sy = e[4] * e[4] + e[5] * e[5] + e[6] * e[6];
+  var sz = e[8] * e[8] + e[9] * e[9] + e[10] * e[10];
+  m.multiplyVector3(this.center, this.center);
+  this.radius *= Math.sqrt(Math.max(sx, sy, sz));
+  return this;
+};
+
+/**
+ * Constructor of Plane
+ * The plane is the set of points p with dot(normal, p) + constant = 0.
+ * @param opt_normal normal (option, Vector3 or array; default +Y)
+ * @param opt_constant signed offset (option, default 0)
+ */
+var Plane = function(opt_normal, opt_constant) {
+  this.normal = new Vector3(opt_normal ? (opt_normal.elements || opt_normal) : [0, 1, 0]);
+  this.constant = opt_constant || 0;
+};
+
+Plane._tmpVector = new Vector3();
+
+/**
+ * Set the plane ax + by + cz + d = 0.
+ * @return this
+ */
+Plane.prototype.setComponents = function(a, b, c, d) {
+  var n = this.normal.elements;
+  n[0] = a; n[1] = b; n[2] = c;
+  this.constant = d;
+  return this;
+};
+
+/**
+ * Set the plane through a point with the given normal.
+ * @param normal unit normal (Vector3 or array)
+ * @param point point on the plane (Vector3 or array)
+ * @return this
+ */
+Plane.prototype.setFromNormalAndPoint = function(normal, point) {
+  this.normal.set(normal);
+  this.constant = -Vector3.dot(this.normal, point);
+  return this;
+};
+
+/**
+ * Set the plane through three points. The normal follows counter-clockwise winding.
+ * @param a first point (Vector3)
+ * @param b second point (Vector3)
+ * @param c third point (Vector3)
+ * @return this
+ */
+Plane.prototype.setFromPoints = function(a, b, c) {
+  var ab = Vector3.sub(b, a, Plane._tmpVector);
+  var ac = Vector3.sub(c, a, this.normal);
+  Vector3.cross(ab, ac, this.normal).normalize();
+  this.constant = -Vector3.dot(this.normal, a);
+  return this;
+};
+
+/**
+ * Scale normal and constant so the normal has unit length.
+ * @return this
+ */
+Plane.prototype.normalize = function() {
+  var len = this.normal.magnitude();
+  if (len === 0) {
+    return this;
+  }
+  this.normal.div(len);
+  this.constant /= len;
+  return this;
+};
+
+/**
+ * @param p point (Vector3 or array)
+ * @return signed distance from the plane to p (positive on the normal side)
+ */
+Plane.prototype.distanceToPoint = function(p) {
+  return Vector3.dot(this.normal, p) + this.constant;
+};
+
+/**
+ * Constructor of Ray
+ * @param opt_origin origin (option, Vector3 or array; default origin)
+ * @param opt_direction direction (option, Vector3 or array; default -Z)
+ */
+var Ray = function(opt_origin, opt_direction) {
+  this.origin = new Vector3(opt_origin && (opt_origin.elements || opt_origin));
+  this.direction = new Vector3(opt_direction ? (opt_direction.elements || opt_direction) : [0, 0, -1]);
+};
+
+/**
+ * Set origin and direction.
+ * @param origin origin (Vector3 or array)
+ * @param direction direction (Vector3 or array); distances returned by the
+ *   intersect methods are in units of its length
+ * @return this
+ */
+Ray.prototype.set = function(origin, direction) {
+  this.origin.set(origin);
+  this.direction.set(direction);
+  return this;
+};
+
+/**
+ * @param t distance along the ray
+ * @param opt_out Vector3 to write into (option)
+ * @return origin + direction * t
+ */
+Ray.prototype.at = function(t, opt_out) {
+  var out = opt_out || new Vector3();
+  var o = this.origin.elements, d = this.direction.elements, r = out.elements;
+  r[0] = o[0] + d[0] * t;
+  r[1] = o[1] + d[1] * t;
+  r[2] = o[2] + d[2] * t;
+  return out;
+};
+
+/**
+ * Set the ray through a point on screen, for mouse picking.
+ * @param ndcX x in normalized device coordinates (-1 left .. 1 right)
+ * @param ndcY y in normalized device coordinates (-1 bottom .. 1 top)
+ * @param invViewProj inverse of projection * view (Matrix4)
+ * @return this
+ */
+Ray.prototype.setFromScreen = function(ndcX, ndcY, invViewProj) {
+  var e = invViewProj.elements;
+  var o = this.origin.elements, d = this.direction.elements;
+  var i, w0, w1, near = [0, 0, 0], far = [0, 0, 0];
+  w0 = e[3] * ndcX + e[7] * ndcY - e[11] + e[15];
+  w1 = e[3] * ndcX + e[7] * ndcY + e[11] + e[15];
+  for (i = 0; i < 3; ++i) {
+    near[i] = (e[i] * ndcX + e[i + 4] * ndcY - e[i + 8] + e[i + 12]) / w0;
+    far[i]  = (e[i] * ndcX + e[i + 4] * ndcY + e[i + 8] + e[i + 12]) / w1;
+  }
+  for (i = 0; i < 3; ++i) {
+    o[i] = near[i];
+    d[i] = far[i] - near[i];
+  }
+  this.direction.normalize();
+  return this;
+};
+
+/**
+ * Ray-plane test.
+ * @param plane the plane
+ * @return distance t to the hit, or null if the ray is parallel to or points away from the plane
+ */
+Ray.prototype.intersectPlane = function(plane) {
+  var denom = Vector3.dot(plane.normal, this.direction);
+  if (Math.abs(denom) < 1e-8) {
+    return null;
+  }
+  var t = -plane.distanceToPoint(this.origin) / denom;
+  return (t >= 0) ? t : null;
+};
+
+/**
+ * Ray-box test (slab method).
+ * @param box the box
+ * @return distance t to the nearest hit in front of the origin (the exit point
+ *   if the origin is inside the box), or null on a miss
+ */
+Ray.prototype.intersectAABB = function(box) {
+  var o = this.origin.elements, d = this.direction.elements;
+  var mn = box.min.elements, mx = box.max.elements;
+  var tmin = -Infinity, tmax = Infinity;
+  var i, inv, t0, t1, tmp;
+
+  for (i = 0; i < 3; ++i) {
+    if (Math.abs(d[i]) < 1e-12) {
+      // parallel to this slab: miss unless the origin is between its planes
+      if (o[i] < mn[i] || o[i] > mx[i]) {
+        return null;
+      }
+      continue;
+    }
+    inv = 1 / d[i];
+    t0 = (mn[i] - o[i]) * inv;
+    t1 = (mx[i] - o[i]) * inv;
+    if (t0 > t1) { tmp = t0; t0 = t1; t1 = tmp; }
+    if (t0 > tmin) tmin = t0;
+    if (t1 < tmax) tmax = t1;
+    if (tmin > tmax) {
+      return null;
+    }
+  }
+  if (tmax < 0) {
+    return null;
+  }
+  return (tmin >= 0) ? tmin : tmax;
+};
+
+/**
+ * Ray-sphere test.
+ * @param sphere the sphere
+ * @return distance t to the nearest hit in front of the origin (the exit point
+ *   if the origin is inside the sphere), or null on a miss
+ */
+Ray.prototype.intersectSphere = function(sphere) {
+  var o = this.origin.elements, d = this.direction.elements, c = sphere.center.elements;
+  var lx = o[0] - c[0], ly = o[1] - c[1], lz = o[2] - c[2];
+  var a = d[0] * d[0] + d[1] * d[1] + d[2] * d[2];
+  var b = lx * d[0] + ly * d[1] + lz * d[2];
+  var cc = lx * lx + ly * ly + lz * lz - sphere.radius * sphere.radius;
+  var disc = b * b - a * cc;
+  if (a === 0 || disc < 0) {
+    return null;
+  }
+  var s = Math.sqrt(disc);
+  var t0 = (-b - s) / a, t1 = (-b + s) / a;
+  if (t1 < 0) {
+    return null;
+  }
+  return (t0 >= 0) ? t0 : t1;
+};
+
+/**
+ * Ray-triangle test (Moller-Trumbore).
+ * @param a first vertex (Vector3 or array)
+ * @param b second vertex (Vector3 or array)
+ * @param c third vertex (Vector3 or array)
+ * @param opt_cullBack if true, ignore hits on the clockwise (back) side
+ * @return distance t to the hit, or null on a miss
+ */
+Ray.prototype.intersectTriangle = function(a, b, c, opt_cullBack) {
+  var pa = a.elements || a, pb = b.elements || b, pc = c.elements || c;
+  var o = this.origin.elements, d = this.direction.elements;
+  var e1x = pb[0] - pa[0], e1y = pb[1] - pa[1], e1z = pb[2] - pa[2];
+  var e2x = pc[0] - pa[0], e2y = pc[1] - pa[1], e2z = pc[2] - pa[2];
+
+  // p = d x e2, det = e1 . p
+  var px = d[1] * e2z - d[2] * e2y;
+  var py = d[2] * e2x - d[0] * e2z;
+  var pz = d[0] * e2y - d[1] * e2x;
+  var det = e1x * px + e1y * py + e1z * pz;
+  if (opt_cullBack ? det < 1e-12 : Math.abs(det) < 1e-12) {
+    return null;
+  }
+  var inv = 1 / det;
+
+  var sx = o[0] - pa[0], sy = o[1] - pa[1], sz = o[2] - pa[2];
+  var u = (sx * px + sy * py + sz * pz) * inv;
+  if (u < 0 || u > 1) {
+    return null;
+  }
+
+  // q = s x e1
+  var qx = sy * e1z - sz * e1y;
+  var qy = sz * e1x - sx * e1z;
+  var qz = sx * e1y - sy * e1x;
+  var v = (d[0] * qx + d[1] * qy + d[2] * qz) * inv;
+  if (v < 0 || u + v > 1) {
+    return null;
+  }
+
+  var t = (e2x * qx + e2y * qy + e2z * qz) * inv;
+  return (t >= 0) ? t : null;
+};
+
+/**
+ * Constructor of Frustum
+ * Six planes (left, right, bottom, top, near, far) with normals pointing inward.
+ * If opt_viewProj is specified, the planes are extracted from it.
+ * @param opt_viewProj projection * view matrix (option)
+ */
+var Frustum = function(opt_viewProj) {
+  this.planes = [new Plane(), new Plane(), new Plane(), new Plane(), new Plane(), new Plane()];
+  if (opt_viewProj) {
+    this.setFromMatrix(opt_viewProj);
+  }
+};
+
+/**
+ * Extract the planes from a projection * view matrix (Gribb-Hartmann).
+ * Pass projection * view * model to get the frustum in that model's local space.
+ * @param m The combined matrix
+ * @return this
+ */
+Frustum.prototype.setFromMatrix = function(m) {
+  var e = m.elements;
+  var p = this.planes;
+  // row i of the matrix is (e[i], e[i+4], e[i+8], e[i+12])
+  p[0].setComponents(e[3] + e[0], e[7] + e[4], e[11] + e[ 8], e[15] + e[12]).normalize();
+  p[1].setComponents(e[3] - e[0], e[7] - e[4], e[11] - e[ 8], e[15] - e[12]).normalize();
+  p[2].setComponents(e[3] + e[1], e[7] + e[5], e[11] + e[ 9], e[15] + e[13]).normalize();
+  p[3].setComponents(e[3] - e[1], e[7] - e[5], e[11] - e[ 9], e[15] - e[13]).normalize();
+  p[4].setComponents(e[3] + e[2], e[7] + e[6], e[11] + e[10], e[15] + e[14]).normalize();
+  p[5].setComponents(e[3] - e[2], e[7] - e[6], e[11] - e[10], e[15] - e[14]).normalize();
+  return this;
+};
+
+/**
+ * @param p point (Vector3 or array)
+ * @return true if p is inside the frustum
+ */
+Frustum.prototype.containsPoint = function(p) {
+  for (var i = 0; i < 6; ++i) {
+    if (this.planes[i].distanceToPoint(p) < 0) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Frustum-sphere test.
+ * @param sphere the sphere
+ * @return true if any part of the sphere may be inside
+ */
+Frustum.prototype.intersectsSphere = function(sphere) {
+  for (var i = 0; i < 6; ++i) {
+    if (this.planes[i].distanceToPoint(sphere.center) < -sphere.radius) {
+      return false;
+    }
+  }
+  return true;
+};
+
+/**
+ * Frustum-box test, for culling. Conservative: a box near a frustum corner
+ * may be reported as intersecting when it is just outside.
+ * @param box the box
+ * @return true if any part of the box may be inside
+ */
+Frustum.prototype.intersectsAABB = function(box) {
+  var mn = box.min.elements, mx = box.max.elements;
+  var i, n, pl;
+  for (i = 0; i < 6; ++i) {
+    pl = this.planes[i];
+    n = pl.normal.elements;
+    // test the corner furthest along the plane normal
+    if (n[0] * (n[0] > 0 ? mx[0] : mn[0]) +
+        n[1] * (n[1] > 0 ? mx[1] : mn[1]) +
+        n[2] * (n[2] > 0 ? mx[2] : mn[2]) + pl.constant < 0) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Classic <script> tags get the declarations above as globals. When this file is
+// loaded as an ES module (see lib/cuon.mjs) or required from Node, they are
+// module-scoped instead, so publish them explicitly.
+(function(root) {
+  var api = {
+    Matrix4: Matrix4,
+    Vector2: Vector2,
+    Vector3: Vector3,
+    Vector4: Vector4,
+    Quaternion: Quaternion,
+    MatrixStack: MatrixStack,
+    ScratchPool: ScratchPool,
+    AABB: AABB,
+    Sphere: Sphere,
+    Plane: Plane,
+    Ray: Ray,
+    Frustum: Frustum
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
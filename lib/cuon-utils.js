@@ -111,3 +111,19 @@ function getWebGLContext(canvas, opt_debug) {
 
   return gl;
 }
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    initShaders: initShaders,
+    createProgram: createProgram,
+    loadShader: loadShader,
+    getWebGLContext: getWebGLContext
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,31 @@
+// ES module entry point for the shared course libraries.
+//
+//   import { Matrix4, Vector3, getWebGLContext, initShaders } from '../../lib/cuon.mjs';
+//
+// The .js files stay classic scripts so plain <script src="../../lib/cuon-matrix.js">
+// tags keep working; imported here, each one publishes its API on globalThis and
+// this module re-exports it. Order matters: cuon-utils looks up WebGLUtils and
+// WebGLDebugUtils when getWebGLContext is called, scene-graph/peacock use
+// cuon-matrix types as they load, and peacock builds on anim-state-machine and ik.
+import './webgl-utils.js';
+import './webgl-debug.js';
+import './cuon-utils.js';
+import './cuon-matrix.js';
+import './scene-graph.js';
+import './anim-state-machine.js';
+import './ik.js';
+import './peacock.js';
+
+const g = globalThis;
+
+export const {
+  // cuon-matrix.js
+  Matrix4, Vector2, Vector3, Vector4, Quaternion,
+  MatrixStack, ScratchPool, AABB, Sphere, Plane, Ray, Frustum,
+  // scene-graph.js / anim-state-machine.js / ik.js / peacock.js
+  SceneNode, AnimationStateMachine, IK, PeacockRig,
+  // cuon-utils.js
+  initShaders, createProgram, loadShader, getWebGLContext,
+  // webgl-utils.js / webgl-debug.js
+  WebGLUtils, WebGLDebugUtils,
+} = g;
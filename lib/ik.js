@@ -0,0 +1,87 @@
+// ik.js: analytic inverse kinematics for jointed models (see peacock.js for the
+// legs and neck of the peacock). Plain math on numbers; angles are in degrees.
+// It needs nothing else from lib/.
+
+var IK = {};
+
+/**
+ * Two-bone IK in a plane, by the law of cosines: the angles that put the end of
+ * the second bone on (x, y), measured from the first joint. Angles are
+ * counterclockwise from the plane's +x axis. A target out of reach leaves the
+ * chain stretched (or folded) toward it, as close as it can get; angles past the
+ * limits are clamped to them.
+ * @param upperLength length of the first bone
+ * @param lowerLength length of the second bone
+ * @param x, y The target
+ * @param opt_bend 1 to put the middle joint counterclockwise of the line to the
+ *                 target, -1 for clockwise (option; default 1)
+ * @param opt_limits { upper: [min, max], lower: [min, max] }, in degrees, for
+ *                   the returned angles (option; either may be left out)
+ * @return { upper: direction of the first bone,
+ *           lower: angle of the second bone relative to the first,
+ *           reached: false if the target was out of reach, or the limits kept
+ *                    the chain from it }
+ */
+IK.solveTwoBone = function(upperLength, lowerLength, x, y, opt_bend, opt_limits) {
+  var bend = (opt_bend === undefined) ? 1 : opt_bend;
+  var minD = Math.abs(upperLength - lowerLength) + 1e-6;
+  var maxD = upperLength + lowerLength - 1e-6;
+  var d = Math.sqrt(x * x + y * y);
+  var reached = d >= minD && d <= maxD;
+  var toTarget = Math.atan2(y, x);
+  var deg = 180 / Math.PI;
+
+  var out = { upper: toTarget * deg, lower: 0, reached: reached };
+  if (d < maxD) {
+    d = Math.max(minD, d);
+    var clampCos = function(c) { return Math.max(-1, Math.min(1, c)); };
+    // interior angles of the triangle at the first joint and at the target
+    var a = Math.acos(clampCos((upperLength * upperLength + d * d - lowerLength * lowerLength) / (2 * upperLength * d)));
+    var c = Math.acos(clampCos((lowerLength * lowerLength + d * d - upperLength * upperLength) / (2 * lowerLength * d)));
+    out.upper = (toTarget + bend * a) * deg;
+    out.lower = -bend * (a + c) * deg;
+  }
+  if (opt_limits) {
+    IK._limit(out, 'upper', opt_limits.upper);
+    IK._limit(out, 'lower', opt_limits.lower);
+  }
+  return out;
+};
+
+// Clamp out[key] to range ([min, max], or undefined for none); a clamped angle
+// means the target is missed.
+IK._limit = function(out, key, range) {
+  if (!range) return;
+  var v = Math.max(range[0], Math.min(range[1], out[key]));
+  if (v !== out[key]) {
+    out[key] = v;
+    out.reached = false;
+  }
+};
+
+/**
+ * The yaw (around +y) and pitch (up, around -x) that turn a part facing +z
+ * toward the direction (x, y, z).
+ * @param x, y, z The direction
+ * @return { yaw, pitch }
+ */
+IK.yawPitch = function(x, y, z) {
+  var deg = 180 / Math.PI;
+  return {
+    yaw: Math.atan2(x, z) * deg,
+    pitch: Math.atan2(y, Math.sqrt(x * x + z * z)) * deg
+  };
+};
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    IK: IK
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
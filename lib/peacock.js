@@ -0,0 +1,526 @@
+// peacock.js: the asgn2 peacock as a SceneNode rig, shared by asgn2-asgn4.
+// The model itself is data (peacock.json next to this file); this file poses it
+// from the angles the sliders and animations set, builds the tail fan, whose
+// feather count changes at runtime, and holds the peacock's animation clips, its
+// IK (feet planted on the ground, head turned toward a point) and drawInWorld(),
+// which puts the two together for the asgn3/asgn4 worlds.
+// Load it after cuon-matrix.js, scene-graph.js, anim-state-machine.js and ik.js.
+
+/**
+ * Constructor of PeacockRig
+ * @param desc parsed peacock.json ({ format: "scene-graph", version: 1, root,
+ *             feather: template node for the tail fan, featherColors: [rgba, ...] })
+ */
+var PeacockRig = function(desc) {
+  if (!desc || desc.format !== 'scene-graph' || desc.version !== 1) {
+    throw new Error('not a version 1 scene-graph description');
+  }
+  var parts = {};
+  this.name = desc.name;
+  this.root = SceneNode.fromJSON(desc.root);
+  this.root.traverse(function(node) { parts[node.name] = node; });
+  this.parts = parts;    // every node of the body by name (not the feathers)
+  this.featherTemplate = desc.feather;
+  this.featherColors = desc.featherColors;
+  this.openEyeHeight = parts.leftEye.scale.elements[1];
+
+  // for plantFeet: bone lengths, the middle of the sole in the foot's frame, and
+  // how low the soles are in the pose peacock.json is written in (the floor)
+  var sole = parts.leftFootMesh;
+  this.legs = [
+    { thigh: parts.leftThigh, calf: parts.leftCalf, foot: parts.leftFoot },
+    { thigh: parts.rightThigh, calf: parts.rightCalf, foot: parts.rightFoot }
+  ];
+  this.thighLength = parts.leftCalf.translation.magnitude();
+  this.calfLength = parts.leftFoot.translation.magnitude();
+  this.soleOffset = new Vector3([sole.translation.elements[0],
+                                 sole.translation.elements[1] - sole.scale.elements[1] / 2,
+                                 sole.translation.elements[2]]);
+  this.root.updateWorldMatrix();
+  this.floorY = parts.leftFoot.worldMatrix.multiplyVector3(this.soleOffset).elements[1];
+  this.restNeck = parts.neck.angle;
+};
+
+PeacockRig._tmpMatrix = new Matrix4();
+PeacockRig._tmpInverse = new Matrix4();
+PeacockRig._tmpPoint = new Vector3();
+PeacockRig._tmpTarget = new Vector3();
+
+/**
+ * Fetch and build a rig.
+ * @param url where peacock.json is, relative to the page
+ * @return Promise of PeacockRig
+ */
+PeacockRig.load = function(url) {
+  return fetch(url).then(function(res) {
+    if (!res.ok) throw new Error(url + ': ' + res.status + ' ' + res.statusText);
+    return res.json();
+  }).then(function(desc) {
+    return new PeacockRig(desc);
+  });
+};
+
+/**
+ * Set every joint from one pose (angles in degrees):
+ *   { thigh, calf, foot,             left leg
+ *     thighR, calfR, footR,          right leg (default: same as the left)
+ *     neck, headYaw, wing, tailSpread, featherCount,
+ *     bodyPitch, bodyDrop,           whole body, for the poke
+ *     winkL, winkR }                 0..1, 1 = eye closed
+ * @param p The pose
+ * @return this
+ */
+PeacockRig.prototype.pose = function(p) {
+  var j = this.parts;
+  var pick = function(v, fallback) { return (v === undefined) ? fallback : v; };
+
+  this.root.translation.elements[1] = -(p.bodyDrop || 0);
+  this.root.angle = p.bodyPitch || 0;
+  j.neck.angle = p.neck;
+  j.head.angle = p.headYaw || 0;
+  j.leftWing.angle = p.wing;
+  j.rightWing.angle = p.wing;
+
+  j.leftThigh.angle = p.thigh;
+  j.leftCalf.angle = p.calf;
+  j.leftFoot.angle = p.foot;
+  j.rightThigh.angle = pick(p.thighR, p.thigh);
+  j.rightCalf.angle = pick(p.calfR, p.calf);
+  j.rightFoot.angle = pick(p.footR, p.foot);
+
+  // a closed eye keeps a sliver of height so it never degenerates
+  j.leftEye.scale.elements[1] = this.openEyeHeight * (1 - 0.92 * (p.winkL || 0));
+  j.rightEye.scale.elements[1] = this.openEyeHeight * (1 - 0.92 * (p.winkR || 0));
+
+  this.setTailFan(p.featherCount, p.tailSpread);
+  return this;
+};
+
+/**
+ * Fan count feathers (at least 3) evenly over spread degrees, rebuilding the
+ * feathers from the template only when the count changes.
+ * @param count number of feathers
+ * @param spread fan angle (degrees)
+ * @return this
+ */
+PeacockRig.prototype.setTailFan = function(count, spread) {
+  var fan = this.parts.tailFan;
+  var n = Math.max(3, Math.floor(count));
+  var i;
+
+  if (fan.children.length !== n) {
+    fan.clear();
+    for (i = 0; i < n; ++i) {
+      var feather = fan.add(SceneNode.fromJSON(this.featherTemplate));
+      feather.name = 'feather' + i;
+      feather.find('featherMesh').color = this.featherColors[i % this.featherColors.length].slice();
+    }
+  }
+  for (i = 0; i < n; ++i) {
+    fan.children[i].angle = -spread * 0.5 + (spread * i) / (n - 1);
+  }
+  return this;
+};
+
+/**
+ * Find a node by name, feathers included.
+ * @param name The name to look for
+ * @return SceneNode, or null
+ */
+PeacockRig.prototype.find = function(name) {
+  return this.root.find(name);
+};
+
+/**
+ * Draw the current pose; see SceneNode.draw.
+ * @param drawMesh callback(mesh, worldMatrix, color, node); every mesh is "cube",
+ *                 a unit cube centered on the origin
+ * @param opt_parentMatrix matrix placing the peacock in the world (option)
+ * @return this
+ */
+PeacockRig.prototype.draw = function(drawMesh, opt_parentMatrix) {
+  this.root.draw(drawMesh, opt_parentMatrix);
+  return this;
+};
+
+PeacockRig._unitCube = new AABB([-0.5, -0.5, -0.5], [0.5, 0.5, 0.5]);
+PeacockRig._tmpRay = new Ray();
+
+/**
+ * The visible mesh a ray hits first, as of the last draw() (or world matrix
+ * update). A hidden node hides its subtree, as in draw(). The ray is taken into
+ * each mesh's own frame, where it is the unit cube.
+ * @param ray Ray in world space
+ * @return { node, t: distance along the ray }, or null
+ */
+PeacockRig.prototype.pick = function(ray) {
+  return PeacockRig._pickSubtree(this.root, ray, null);
+};
+
+PeacockRig._pickSubtree = function(node, ray, best) {
+  if (!node.visible) return best;
+  if (node.mesh) {
+    var toLocal = PeacockRig._tmpInverse;
+    var local = PeacockRig._tmpRay;
+    toLocal.setInverseOf(node.worldMatrix);
+    toLocal.multiplyVector3(ray.origin, local.origin);
+    // not normalized, so t is the same distance along the world ray
+    toLocal.multiplyVector3(ray.at(1, local.direction), local.direction).sub(local.origin);
+    var t = local.intersectAABB(PeacockRig._unitCube);
+    if (t !== null && (!best || t < best.t)) best = { node: node, t: t };
+  }
+  for (var i = 0; i < node.children.length; ++i) {
+    best = PeacockRig._pickSubtree(node.children[i], ray, best);
+  }
+  return best;
+};
+
+// =================== IK ===================
+// Both run on the posed rig, after pose() and before draw(), and leave their
+// result in the joint angles. opt_parentMatrix is the matrix draw() will get; it
+// may move, turn around +y and scale the peacock, but should keep up pointing up.
+
+PeacockRig.LOOK_MAX_YAW = 70;    // degrees the head turns either way
+PeacockRig.LOOK_FADE_YAW = 40;   // past the limit, look away over this many degrees
+PeacockRig.LOOK_MIN_NECK = -45;
+PeacockRig.LOOK_MAX_NECK = 60;
+PeacockRig.PLANT_MAX_DROP = 0.45;   // how far plantFeet lowers the body (peacock units)
+PeacockRig.PLANT_MIN_THIGH = -90;
+PeacockRig.PLANT_MAX_THIGH = 90;
+PeacockRig.PLANT_MIN_CALF = -150;
+PeacockRig.PLANT_MAX_CALF = 0;      // the knee only bends back
+
+/**
+ * Keep the feet on the ground: each sole is moved up or down to
+ * groundHeight(x, z) plus however far the pose lifts it above the floor (so a
+ * walk still swings its feet), and the thigh and calf are solved to reach it.
+ * The foot keeps its pitch. A leg is nearly straight in most poses, so a sole
+ * that has to go down gets there by lowering the whole body (at most
+ * PLANT_MAX_DROP, and no further than the leg with the highest ground can still
+ * bend), and the other legs bend to make up for it. A leg that can't reach its
+ * target within the PLANT_ joint limits keeps the pose's angles.
+ * @param groundHeight function(x, z) -> height of the ground, in world space
+ * @param opt_parentMatrix see above (option)
+ * @return this
+ */
+PeacockRig.prototype.plantFeet = function(groundHeight, opt_parentMatrix) {
+  var toModel = PeacockRig._tmpInverse;
+  var p = PeacockRig._tmpPoint.elements;
+  var t = PeacockRig._tmpTarget.elements;
+  var root = this.root;
+  var legs = this.legs;
+  var rise = [];
+  var i;
+
+  if (opt_parentMatrix) toModel.setInverseOf(opt_parentMatrix);
+  else toModel.setIdentity();
+
+  // how far each sole has to go up (down if negative), in the peacock's own frame
+  root.updateWorldMatrix(opt_parentMatrix);
+  for (i = 0; i < legs.length; ++i) {
+    legs[i].foot.worldMatrix.multiplyVector3(this.soleOffset, PeacockRig._tmpPoint);
+    t[0] = p[0]; t[1] = groundHeight(p[0], p[2]); t[2] = p[2];
+    toModel.multiplyVector3(PeacockRig._tmpPoint, PeacockRig._tmpPoint);
+    toModel.multiplyVector3(PeacockRig._tmpTarget, PeacockRig._tmpTarget);
+    rise.push(t[1] + Math.max(0, p[1] - this.floorY) - p[1]);
+  }
+
+  // how far to lower the body: down to the lowest ground, unless that bends the
+  // leg with the highest ground past its limits, then as far as it will go
+  var self = this;
+  var bodyY = root.translation.elements[1];
+  var highest = rise.indexOf(Math.max.apply(null, rise));
+  var crouch = function(drop) {
+    root.translation.elements[1] = bodyY - drop;
+    root.updateWorldMatrix(opt_parentMatrix);
+    var r = rise[highest] + drop;
+    return Math.abs(r) < 1e-6 || self._solveLeg(legs[highest], r, toModel, opt_parentMatrix) !== null;
+  };
+  var lo = 0;
+  var hi = Math.min(PeacockRig.PLANT_MAX_DROP, Math.max(0, -Math.min.apply(null, rise)));
+  var drop = hi;
+  if (hi > 0 && !crouch(hi)) {
+    for (i = 0; i < 12; ++i) {
+      drop = (lo + hi) / 2;
+      if (crouch(drop)) lo = drop;
+      else hi = drop;
+    }
+    drop = lo;
+  }
+  crouch(drop);
+
+  for (i = 0; i < legs.length; ++i) {
+    var leg = legs[i];
+    var r = rise[i] + drop;
+    if (Math.abs(r) < 1e-6) continue;
+    var ik = this._solveLeg(leg, r, toModel, opt_parentMatrix);
+    if (!ik) continue;
+    var footPitch = leg.thigh.angle + leg.calf.angle + leg.foot.angle;
+    leg.thigh.angle = ik.upper;
+    leg.calf.angle = ik.lower;
+    leg.foot.angle = footPitch - ik.upper - ik.lower;
+  }
+  return this;
+};
+
+// The thigh and calf angles that move leg's ankle up by rise (peacock units) from
+// where the last world matrix update put it; null if out of reach or limits.
+PeacockRig.prototype._solveLeg = function(leg, rise, toModel, opt_parentMatrix) {
+  var t = PeacockRig._tmpTarget.elements;
+
+  // where the ankle has to go, in the body's frame (the thigh's parent)
+  leg.foot.getWorldPosition(PeacockRig._tmpTarget);
+  toModel.multiplyVector3(PeacockRig._tmpTarget, PeacockRig._tmpTarget);
+  t[1] += rise;
+  if (opt_parentMatrix) opt_parentMatrix.multiplyVector3(PeacockRig._tmpTarget, PeacockRig._tmpTarget);
+  PeacockRig._tmpMatrix.setInverseOf(this.root.worldMatrix).multiplyVector3(PeacockRig._tmpTarget, PeacockRig._tmpTarget);
+
+  // a joint angle turns the leg from straight down toward -z, so solve in the
+  // plane (down, back)
+  var hip = leg.thigh.translation.elements;
+  var ik = IK.solveTwoBone(this.thighLength, this.calfLength, hip[1] - t[1], hip[2] - t[2], 1, {
+    upper: [PeacockRig.PLANT_MIN_THIGH, PeacockRig.PLANT_MAX_THIGH],
+    lower: [PeacockRig.PLANT_MIN_CALF, PeacockRig.PLANT_MAX_CALF]
+  });
+  return ik.reached ? ik : null;
+};
+
+/**
+ * Turn the head toward a point: the neck pitches, the head yaws. Past
+ * LOOK_MAX_YAW the head gives up and goes back to the pose, so a target behind
+ * the peacock doesn't flip it from side to side.
+ * @param target Vector3 in world space (e.g. the camera's eye)
+ * @param opt_parentMatrix see above (option)
+ * @param opt_weight 0..1, how much of the look-at replaces the pose (option; default 1)
+ * @return this
+ */
+PeacockRig.prototype.lookAt = function(target, opt_parentMatrix, opt_weight) {
+  var neck = this.parts.neck, head = this.parts.head;
+  var weight = (opt_weight === undefined) ? 1 : opt_weight;
+  var toLocal = PeacockRig._tmpInverse;
+  var p = PeacockRig._tmpPoint.elements;
+  var t = PeacockRig._tmpTarget.elements;
+  var clamp = function(x, lo, hi) { return Math.max(lo, Math.min(hi, x)); };
+
+  // pitch: seen from the head, in the body's frame
+  this.root.updateWorldMatrix(opt_parentMatrix);
+  toLocal.setInverseOf(this.root.worldMatrix);
+  toLocal.multiplyVector3(head.getWorldPosition(PeacockRig._tmpPoint), PeacockRig._tmpPoint);
+  toLocal.multiplyVector3(target, PeacockRig._tmpTarget);
+  var look = IK.yawPitch(t[0] - p[0], t[1] - p[1], t[2] - p[2]);
+  var over = Math.abs(look.yaw) - PeacockRig.LOOK_MAX_YAW;
+  if (over > 0) weight *= Math.max(0, 1 - over / PeacockRig.LOOK_FADE_YAW);
+  if (weight <= 0) return this;
+
+  var neckAngle = clamp(this.restNeck - look.pitch, PeacockRig.LOOK_MIN_NECK, PeacockRig.LOOK_MAX_NECK);
+  neck.angle += (neckAngle - neck.angle) * weight;
+
+  // yaw: in the frame the head turns in, now that the neck has moved
+  neck.updateWorldMatrix(this.root.worldMatrix);
+  toLocal.setInverseOf(neck.worldMatrix).multiplyVector3(target, PeacockRig._tmpTarget);
+  p = head.translation.elements;
+  look = IK.yawPitch(t[0] - p[0], t[1] - p[1], t[2] - p[2]);
+  var yaw = clamp(look.yaw, -PeacockRig.LOOK_MAX_YAW, PeacockRig.LOOK_MAX_YAW);
+  head.angle += (yaw - head.angle) * weight;
+  return this;
+};
+
+// =================== In a world ===================
+
+PeacockRig.LOOK_RANGE = 10;          // world units; the head turns to a viewer inside this
+PeacockRig.LOOK_RANGE_FADE = 3;      // and stops turning over the last this many
+PeacockRig._origin = new Vector3();
+
+/**
+ * Pose, plant and draw the peacock somewhere in a world: its feet stand on
+ * groundHeight, and its head turns to the viewer when they come within
+ * LOOK_RANGE (as much as pose.look lets it).
+ * @param pose The pose, e.g. the pose of createAnimator()'s machine
+ * @param worldM matrix placing the peacock in the world (see IK above)
+ * @param groundHeight see plantFeet
+ * @param eye Vector3, where the viewer is
+ * @param drawMesh see draw
+ * @return this
+ */
+PeacockRig.prototype.drawInWorld = function(pose, worldM, groundHeight, eye, drawMesh) {
+  var dist = worldM.multiplyVector3(PeacockRig._origin, PeacockRig._tmpPoint).distance(eye);
+  var near = (PeacockRig.LOOK_RANGE - dist) / PeacockRig.LOOK_RANGE_FADE;
+  var look = (pose.look === undefined ? 1 : pose.look) * Math.max(0, Math.min(1, near));
+  return this.pose(pose)
+    .plantFeet(groundHeight, worldM)
+    .lookAt(eye, worldM, look)
+    .draw(drawMesh, worldM);
+};
+
+// =================== Animation ===================
+// The clips below read the pose the page wants when nothing is playing from
+// params.rest (slider values, or fixed angles), so every clip returns every
+// key of a pose and any two of them crossfade cleanly.
+
+// asgn2's default slider angles: the rest pose for a peacock without sliders
+PeacockRig.DEFAULT_REST = {
+  thigh: 20, calf: -20, foot: 10,
+  neck: 15, wing: 10,
+  tailSpread: 180, featherCount: 10
+};
+
+PeacockRig._smooth = function(x) {
+  x = Math.min(1, Math.max(0, x));
+  return x * x * (3 - 2 * x);
+};
+
+/**
+ * params.rest filled out to a full pose. Besides the joints, a clip's pose has
+ * look: how much lookAt() should turn the head (0..1), which crossfades with the
+ * rest, so a clip that needs the neck to itself can switch it off smoothly.
+ * @param rest { thigh, calf, foot, neck, wing, tailSpread, featherCount }
+ * @return new pose
+ */
+PeacockRig.restPose = function(rest) {
+  return {
+    thigh: rest.thigh, calf: rest.calf, foot: rest.foot,
+    thighR: rest.thigh, calfR: rest.calf, footR: rest.foot,
+    neck: rest.neck, headYaw: 0, wing: rest.wing,
+    tailSpread: rest.tailSpread, featherCount: rest.featherCount,
+    bodyPitch: 0, bodyDrop: 0, winkL: 0, winkR: 0,
+    look: 1
+  };
+};
+
+/**
+ * The clips for AnimationStateMachine: idle, walk, tailFan (loops) and poke
+ * (a one-shot). They need params.rest.
+ */
+PeacockRig.clips = {
+  idle: {
+    sample: function(t, params) {
+      return PeacockRig.restPose(params.rest);
+    }
+  },
+
+  walk: {
+    sample: function(t, params) {
+      var w = 2 * Math.PI * 1.2;
+      var p = PeacockRig.restPose(params.rest);
+      p.thigh = 25 * Math.sin(w * t);
+      p.calf = 20 * Math.sin(w * t + 1.1);
+      p.foot = 12 * Math.sin(w * t + 2.0);
+      p.thighR = -p.thigh;     // legs alternate
+      p.calfR = -p.calf;
+      p.footR = -p.foot;
+      p.neck = 10 + 8 * Math.sin(w * t + 0.6);
+      p.wing = 8 * Math.sin(w * t + 0.2);
+      p.tailSpread = 90 + 60 * (0.5 + 0.5 * Math.sin(0.7 * w * t));
+      return p;
+    }
+  },
+
+  // full display: tail wide open and shimmering, wings dropped
+  tailFan: {
+    sample: function(t, params) {
+      var p = PeacockRig.restPose(params.rest);
+      p.tailSpread = 200 + 8 * Math.sin(2 * Math.PI * 3 * t);
+      p.featherCount = Math.max(p.featherCount, 24);
+      p.wing = 22;
+      p.neck = params.rest.neck + 8;
+      return p;
+    }
+  },
+
+  // startle -> faint -> recover + flourish
+  poke: {
+    duration: 1.25,
+    sample: function(t, params) {
+      var smooth = PeacockRig._smooth;
+      var u = t / 1.25;
+      var p0 = smooth(u / 0.18);            // startle up
+      var p1 = smooth((u - 0.18) / 0.42);   // faint
+      var p2 = smooth((u - 0.60) / 0.40);   // recover
+      var p = PeacockRig.restPose(params.rest);
+      p.look = 0;
+
+      // startle: wings snap up, tail clamps shut, quick neck jerk
+      var jitter = Math.sin(2 * Math.PI * 18 * t);
+      p.wing = 65 * p0 + 12 * jitter * p0 * (1 - p1);
+      p.featherCount = 18 + 12 * Math.sin(Math.PI * p2);   // over-fans on recovery
+      p.tailSpread = 30 + 15 * (1 - p0);
+      p.neck = 25 * p0 - 10 * p1;
+
+      // faint: body pitches forward and drops, legs go limp-ish
+      p.bodyPitch = 55 * p1 * (1 - p2);
+      p.bodyDrop = 0.18 * p1 * (1 - p2);
+      p.thigh = p.thighR = -35 * p1;
+      p.calf = p.calfR = 25 * p1;
+      p.foot = p.footR = 15 * p1;
+
+      // the right eye winks mid-way
+      p.winkR = smooth((u - 0.28) / 0.18) * (1 - smooth((u - 0.62) / 0.18));
+
+      // recovery flourish: tail fans big, wings settle
+      p.tailSpread = (1 - p2) * p.tailSpread + p2 * (160 - 20 * Math.sin(2 * Math.PI * 3 * (u - 0.60)));
+      p.wing = (1 - p2) * p.wing + p2 * (10 * Math.sin(2 * Math.PI * 2.5 * (u - 0.60)));
+      return p;
+    }
+  }
+};
+
+/**
+ * The overlays for AnimationStateMachine: wink, which only touches winkL and the
+ * neck, so the legs and tail keep doing what the state below asks.
+ */
+PeacockRig.overlays = {
+  // left eye closes and opens again, head cocked
+  wink: {
+    duration: 0.6,
+    apply: function(t, pose) {
+      var smooth = PeacockRig._smooth;
+      var closed = smooth(t / 0.15) * (1 - smooth((t - 0.4) / 0.2));
+      pose.winkL = Math.max(pose.winkL, closed);
+      pose.neck += 10 * closed;
+      return pose;
+    }
+  }
+};
+
+/**
+ * The peacock's state machine. Parameters: rest (see restPose), walking and fan
+ * (bools, set every frame); triggers: poke, wink. Poke cuts in from anywhere
+ * and hands back to whatever walking and fan ask for when it ends; wink is an
+ * overlay that starts over idle, walk and tailFan and leaves the state alone.
+ * @param rest The pose for idle
+ * @return AnimationStateMachine
+ */
+PeacockRig.createAnimator = function(rest) {
+  var settled = ['idle', 'walk', 'tailFan'];
+  var wink = Object.assign({
+    when: function(p, machine) { return p.wink && settled.indexOf(machine.state) >= 0; }
+  }, PeacockRig.overlays.wink);
+  return new AnimationStateMachine({
+    clips: PeacockRig.clips,
+    overlays: { wink: wink },
+    initial: 'idle',
+    params: { rest: rest, walking: false, fan: false },
+    transitions: [
+      { from: '*', to: 'poke', when: function(p) { return p.poke; }, fade: 0.1 },
+      { from: ['idle', 'walk'], to: 'tailFan', when: function(p) { return p.fan; }, fade: 0.5 },
+      { from: ['idle', 'tailFan'], to: 'walk', when: function(p) { return p.walking && !p.fan; }, fade: 0.4 },
+      { from: ['walk', 'tailFan'], to: 'idle', when: function(p) { return !p.walking && !p.fan; }, fade: 0.4 },
+      { from: 'poke', to: 'tailFan', atEnd: true, when: function(p) { return p.fan; }, fade: 0.3 },
+      { from: 'poke', to: 'walk', atEnd: true, when: function(p) { return p.walking; }, fade: 0.3 },
+      { from: 'poke', to: 'idle', atEnd: true, fade: 0.3 }
+    ]
+  });
+};
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    PeacockRig: PeacockRig
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -0,0 +1,248 @@
+// scene-graph.js: a transform hierarchy for jointed models, on top of cuon-matrix.js.
+// Load it after cuon-matrix.js.
+
+/**
+ * Constructor of SceneNode
+ * One transform in a hierarchy, optionally drawing a mesh. (Not called Node so
+ * it doesn't replace the DOM's Node in the page.)
+ * The local matrix is T * R * S, where R is the joint rotation (angle degrees
+ * around jointAxis) applied after the rest rotation. Scale applies to the
+ * children too, so a part that shouldn't stretch what hangs off it is usually
+ * a child node of its own.
+ * @param opt_name name used by find() (option)
+ */
+var SceneNode = function(opt_name) {
+  this.name = opt_name || '';
+  this.translation = new Vector3();
+  this.rotation = new Quaternion();   // rest rotation
+  this.scale = new Vector3([1, 1, 1]);
+  this.jointAxis = null;              // [x, y, z] if the node is posed by angle
+  this.angle = 0;
+  this.mesh = null;                   // mesh name passed to the draw callback
+  this.color = null;                  // [r, g, b, a]
+  this.visible = true;
+  this.parent = null;
+  this.children = [];
+  this.localMatrix = new Matrix4();
+  this.worldMatrix = new Matrix4();
+};
+
+SceneNode._tmpRotation = new Quaternion();
+SceneNode._tmpStep = new Quaternion();
+
+/**
+ * Attach a child, detaching it from its old parent first.
+ * @param child The node to attach
+ * @return child
+ */
+SceneNode.prototype.add = function(child) {
+  if (child.parent) child.parent.remove(child);
+  child.parent = this;
+  this.children.push(child);
+  return child;
+};
+
+/**
+ * Detach a child.
+ * @param child The node to detach
+ * @return this
+ */
+SceneNode.prototype.remove = function(child) {
+  var i = this.children.indexOf(child);
+  if (i >= 0) {
+    this.children.splice(i, 1);
+    child.parent = null;
+  }
+  return this;
+};
+
+/**
+ * Detach every child.
+ * @return this
+ */
+SceneNode.prototype.clear = function() {
+  for (var i = 0; i < this.children.length; ++i) {
+    this.children[i].parent = null;
+  }
+  this.children.length = 0;
+  return this;
+};
+
+/**
+ * Call fn(node) on this node and every descendant, parents before children.
+ * @param fn The callback
+ * @return this
+ */
+SceneNode.prototype.traverse = function(fn) {
+  fn(this);
+  for (var i = 0; i < this.children.length; ++i) {
+    this.children[i].traverse(fn);
+  }
+  return this;
+};
+
+/**
+ * Find the first node with the given name (this node or a descendant).
+ * @param name The name to look for
+ * @return SceneNode, or null
+ */
+SceneNode.prototype.find = function(name) {
+  if (this.name === name) return this;
+  for (var i = 0; i < this.children.length; ++i) {
+    var found = this.children[i].find(name);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Recompute localMatrix from translation, rotation, joint angle and scale.
+ * @return this
+ */
+SceneNode.prototype.updateLocalMatrix = function() {
+  var r = SceneNode._tmpRotation.set(this.rotation);
+  var a = this.jointAxis;
+  if (a && this.angle) {
+    r.set(SceneNode._tmpStep.setFromAxisAngle(this.angle, a[0], a[1], a[2])).multiply(this.rotation);
+  }
+  this.localMatrix.compose(this.translation, r, this.scale);
+  return this;
+};
+
+/**
+ * Recompute localMatrix and worldMatrix for this node and its descendants.
+ * @param opt_parentMatrix world matrix of the parent (option; default identity)
+ * @return this
+ */
+SceneNode.prototype.updateWorldMatrix = function(opt_parentMatrix) {
+  this.updateLocalMatrix();
+  if (opt_parentMatrix) {
+    Matrix4.multiply(opt_parentMatrix, this.localMatrix, this.worldMatrix);
+  } else {
+    this.worldMatrix.set(this.localMatrix);
+  }
+  for (var i = 0; i < this.children.length; ++i) {
+    this.children[i].updateWorldMatrix(this.worldMatrix);
+  }
+  return this;
+};
+
+/**
+ * Update the world matrices, then call drawMesh(mesh, worldMatrix, color, node)
+ * for every visible node that has a mesh. A hidden node hides its subtree.
+ * @param drawMesh The callback that draws one mesh
+ * @param opt_parentMatrix matrix placing this node in the world (option)
+ * @return this
+ */
+SceneNode.prototype.draw = function(drawMesh, opt_parentMatrix) {
+  this.updateWorldMatrix(opt_parentMatrix);
+  this._drawSubtree(drawMesh);
+  return this;
+};
+
+SceneNode.prototype._drawSubtree = function(drawMesh) {
+  if (!this.visible) return;
+  if (this.mesh) drawMesh(this.mesh, this.worldMatrix, this.color, this);
+  for (var i = 0; i < this.children.length; ++i) {
+    this.children[i]._drawSubtree(drawMesh);
+  }
+};
+
+/**
+ * The node's origin in world space, as of the last updateWorldMatrix()/draw().
+ * @param opt_out Vector3 to write into (option)
+ * @return Vector3
+ */
+SceneNode.prototype.getWorldPosition = function(opt_out) {
+  var out = opt_out || new Vector3();
+  var e = this.worldMatrix.elements;
+  out.elements[0] = e[12];
+  out.elements[1] = e[13];
+  out.elements[2] = e[14];
+  return out;
+};
+
+/**
+ * Deep copy (the copy has no parent).
+ * @return SceneNode
+ */
+SceneNode.prototype.clone = function() {
+  return SceneNode.fromJSON(this.toJSON());
+};
+
+/**
+ * Describe the subtree as plain JSON (see SceneNode.fromJSON for the fields).
+ * Defaults are left out; the rest rotation is written as one axis-angle step.
+ * @return object
+ */
+SceneNode.prototype.toJSON = function() {
+  var round = function(v) { return +v.toFixed(6); };
+  var list = function(a) { return Array.prototype.map.call(a, round); };
+  var t = this.translation.elements, s = this.scale.elements, q = this.rotation.elements;
+  var o = { name: this.name };
+
+  if (t[0] || t[1] || t[2]) o.translate = list(t);
+  if (Math.abs(q[3]) < 1) {
+    var w = Math.max(-1, Math.min(1, q[3]));
+    var sin = Math.sqrt(1 - w * w);
+    o.rotate = [[round(360 * Math.acos(w) / Math.PI), round(q[0] / sin), round(q[1] / sin), round(q[2] / sin)]];
+  }
+  if (s[0] !== 1 || s[1] !== 1 || s[2] !== 1) o.scale = list(s);
+  if (this.jointAxis) {
+    o.joint = this.jointAxis.slice();
+    if (this.angle) o.angle = this.angle;
+  }
+  if (this.mesh) o.mesh = this.mesh;
+  if (this.color) o.color = this.color.slice();
+  if (!this.visible) o.visible = false;
+  if (this.children.length) o.children = this.children.map(function(c) { return c.toJSON(); });
+  return o;
+};
+
+/**
+ * Build a subtree from its JSON description:
+ *   { name, translate: [x, y, z], rotate: [[angle, x, y, z], ...], scale: [x, y, z],
+ *     joint: [x, y, z], angle, mesh, color: [r, g, b, a], visible, children: [...] }
+ * Every field is optional. rotate lists rotations in the order rotate() would be
+ * called, so a hard-coded translate/rotate/scale chain copies over as is.
+ * @param o The description
+ * @return SceneNode
+ */
+SceneNode.fromJSON = function(o) {
+  var node = new SceneNode(o.name);
+  var i;
+  if (o.translate) node.translation = new Vector3(o.translate);
+  if (o.rotate) {
+    for (i = 0; i < o.rotate.length; ++i) {
+      var r = o.rotate[i];
+      node.rotation.multiply(SceneNode._tmpStep.setFromAxisAngle(r[0], r[1], r[2], r[3]));
+    }
+  }
+  if (o.scale) node.scale = new Vector3(o.scale);
+  if (o.joint) {
+    node.jointAxis = o.joint.slice(0, 3);
+    node.angle = o.angle || 0;
+  }
+  if (o.mesh) node.mesh = o.mesh;
+  if (o.color) node.color = o.color.slice();
+  if (o.visible === false) node.visible = false;
+  if (o.children) {
+    for (i = 0; i < o.children.length; ++i) {
+      node.add(SceneNode.fromJSON(o.children[i]));
+    }
+  }
+  return node;
+};
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    SceneNode: SceneNode
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
@@ -57,7 +57,7 @@
  * visible.
  */
 
-WebGLUtils = function() {
+var WebGLUtils = function() {
 
 /**
  * Creates the HTLM for a failure message
@@ -169,7 +169,7 @@ return {
  * Provides requestAnimationFrame in a cross browser
  * way.
  */
-if (!window.requestAnimationFrame) {
+if (typeof window !== 'undefined' && !window.requestAnimationFrame) {
   window.requestAnimationFrame = (function() {
     return window.requestAnimationFrame ||
            window.webkitRequestAnimationFrame ||
@@ -187,11 +187,24 @@ if (!window.requestAnimationFrame) {
  * Cancels an animation frame request. 
  * Checks for cross-browser support, falls back to clearTimeout. 
  * @param {number}  Animation frame request. */
-if (!window.cancelAnimationFrame) {
+if (typeof window !== 'undefined' && !window.cancelAnimationFrame) {
   window.cancelAnimationFrame = (window.cancelRequestAnimationFrame ||
                                  window.webkitCancelAnimationFrame || window.webkitCancelRequestAnimationFrame ||
                                  window.mozCancelAnimationFrame || window.mozCancelRequestAnimationFrame ||
                                  window.msCancelAnimationFrame || window.msCancelRequestAnimationFrame ||
                                  window.oCancelAnimationFrame || window.oCancelRequestAnimationFrame ||
                                  window.clearTimeout);
-}
\ No newline at end of file
+}
+
+// Globals for ES module / Node loading (see the note at the end of cuon-matrix.js).
+(function(root) {
+  var api = {
+    WebGLUtils: WebGLUtils
+  };
+  for (var name in api) {
+    root[name] = api[name];
+  }
+  if (typeof module === 'object' && module.exports) {
+    module.exports = api;
+  }
+})(typeof globalThis !== 'undefined' ? globalThis : this);
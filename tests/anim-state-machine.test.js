@@ -0,0 +1,191 @@
+// Checks for lib/anim-state-machine.js and the peacock's clips in lib/peacock.js.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./load-cuon');
+
+const { AnimationStateMachine, PeacockRig } = loadScripts(
+  ['lib/cuon-matrix.js', 'lib/scene-graph.js', 'lib/anim-state-machine.js', 'lib/ik.js', 'lib/peacock.js'],
+  ['AnimationStateMachine', 'PeacockRig']);
+
+function near(actual, expected, msg, eps = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= eps, `${msg}: ${actual}, expected ${expected}`);
+}
+
+// Two constant clips and a one-shot that ramps x from 0 to 10 over 1 s
+function machine() {
+  return new AnimationStateMachine({
+    clips: {
+      low: { sample: () => ({ x: 0 }) },
+      high: { sample: () => ({ x: 100 }) },
+      ramp: { duration: 1, sample: (t) => ({ x: 10 * t }) },
+    },
+    initial: 'low',
+    params: { up: false },
+    transitions: [
+      { from: '*', to: 'ramp', when: (p) => p.go },
+      { from: 'low', to: 'high', when: (p) => p.up, fade: 1 },
+      { from: 'high', to: 'low', when: (p) => !p.up, fade: 1 },
+      { from: 'ramp', to: 'low', atEnd: true },
+    ],
+  });
+}
+
+test('AnimationStateMachine: a condition starts a smoothstep crossfade', () => {
+  const m = machine();
+  assert.equal(m.update(0.1).x, 0);
+  m.set('up', true);
+  assert.equal(m.update(0).x, 0, 'fade starts at the old clip');
+  assert.equal(m.state, 'high');
+  near(m.update(0.5).x, 50, 'half way');
+  near(m.update(0.25).x, 100 * 0.75 * 0.75 * (3 - 1.5), 'smoothstep');
+  assert.equal(m.update(0.25).x, 100);
+  assert.equal(m.fade, null, 'fade done');
+});
+
+test('AnimationStateMachine: retargeting mid-fade blends from the pose reached', () => {
+  const m = machine();
+  m.set('up', true);
+  m.update(0);
+  const reached = m.update(0.5).x;
+  m.set('up', false);
+  near(m.update(0).x, reached, 'no jump');
+  assert.equal(m.state, 'low');
+  near(m.update(0.5).x, reached / 2, 'half way back');
+});
+
+test('AnimationStateMachine: triggers last one update, one-shots leave at their end', () => {
+  const m = machine();
+  m.trigger('go');
+  m.update(0);
+  assert.equal(m.state, 'ramp');
+  m.update(0.5);
+  assert.equal(m.state, 'ramp', 'the trigger is gone, so it does not restart');
+  assert.ok(!m.isClipDone());
+  near(m.pose.x, 5, 'ramp plays');
+  m.update(0.6);
+  assert.equal(m.state, 'low', 'left at its end');
+  assert.equal(m.pose.x, 0, 'no fade on that transition');
+});
+
+test('AnimationStateMachine rejects unknown states', () => {
+  assert.throws(() => new AnimationStateMachine({ clips: {}, initial: 'x', transitions: [] }), /initial/);
+  assert.throws(() => new AnimationStateMachine({
+    clips: { a: { sample: () => ({}) } }, initial: 'a', transitions: [{ from: 'a', to: 'b' }],
+  }), /target/);
+});
+
+test('AnimationStateMachine.blend keeps keys only one pose has', () => {
+  const out = AnimationStateMachine.blend({ a: 0, b: 1 }, { a: 10, c: 3 }, 0.5);
+  assert.deepEqual({ ...out }, { a: 5, b: 1, c: 3 });
+});
+
+const REST = { thigh: 20, calf: -20, foot: 10, neck: 15, wing: 10, tailSpread: 180, featherCount: 10 };
+
+test('PeacockRig animator: idle, walk, tail fan and back', () => {
+  const m = PeacockRig.createAnimator(REST);
+  assert.deepEqual(m.update(0.016), PeacockRig.restPose(REST));
+
+  m.set('walking', true).update(0.016);
+  assert.equal(m.state, 'walk');
+  for (let i = 0; i < 30; ++i) m.update(0.016);
+  assert.equal(m.fade, null);
+  near(m.pose.thighR, -m.pose.thigh, 'legs alternate');
+
+  m.set('fan', true).update(0.016);
+  assert.equal(m.state, 'tailFan', 'fan wins over walking');
+  m.set('fan', false).update(0.016);
+  assert.equal(m.state, 'walk');
+  m.set('walking', false).update(0.016);
+  assert.equal(m.state, 'idle');
+});
+
+test('AnimationStateMachine: an overlay plays once on top of the state', () => {
+  const m = machine();
+  m.overlays.bump = { duration: 1, when: (p) => p.bump, apply: (t, pose) => ({ x: pose.x + 1, t }) };
+  m.set('up', true).update(0);
+  m.trigger('bump').update(0.5);
+  assert.equal(m.state, 'high', 'the state is not touched');
+  assert.deepEqual(Object.keys(m.playing), ['bump']);
+  m.update(0.5);
+  assert.equal(m.pose.x, 101, 'applied to the state\'s pose');
+  assert.equal(m.pose.t, 0.5, 'timed from its start');
+  m.update(0.6);
+  assert.equal(m.pose.t, 1, 'clamped to its end');
+  assert.deepEqual(Object.keys(m.playing), [], 'done');
+  assert.equal(m.update(0.1).x, 100);
+});
+
+test('AnimationStateMachine: retargeting a fade under an overlay does not apply it twice', () => {
+  const m = machine();
+  m.overlays.bump = { duration: 10, when: (p) => p.bump, apply: (t, pose) => { pose.x += 1; return pose; } };
+  m.trigger('bump').update(0);
+  m.set('up', true).update(0);
+  const reached = m.update(0.5).x;
+  m.set('up', false);
+  near(m.update(0).x, reached, 'no jump');
+  near(m.update(0.5).x, 1 + (reached - 1) / 2, 'half way back, bumped once');
+});
+
+test('PeacockRig animator: poke and wink play once and hand back', () => {
+  const m = PeacockRig.createAnimator(REST);
+  m.set('fan', true).update(1);
+  assert.equal(m.state, 'tailFan');
+
+  m.trigger('wink').update(0.016);
+  assert.equal(m.state, 'tailFan', 'wink is an overlay');
+  m.trigger('poke').update(0.016);
+  assert.equal(m.state, 'poke', 'a poke cuts in while winking');
+  m.update(0.6);
+  assert.ok(m.pose.bodyPitch > 0 && m.pose.winkR > 0, 'fainting and winking');
+  m.update(0.7);
+  assert.equal(m.state, 'tailFan', 'back to what the flags ask for');
+  m.update(1);
+  assert.equal(m.pose.bodyPitch, 0);
+  assert.equal(m.pose.featherCount, 24);
+});
+
+test('PeacockRig animator: winking during the walk keeps the legs walking', () => {
+  const m = PeacockRig.createAnimator(REST);
+  const walking = PeacockRig.createAnimator(REST);
+  for (const a of [m, walking]) {
+    a.set('walking', true);
+    for (let i = 0; i < 40; ++i) a.update(0.016);
+  }
+
+  m.trigger('wink');
+  let thighs = new Set();
+  for (let i = 0; i < 19; ++i) {
+    m.update(0.016);
+    walking.update(0.016);
+    assert.equal(m.state, 'walk');
+    for (const key of ['thigh', 'calfR', 'wing', 'tailSpread']) {
+      near(m.pose[key], walking.pose[key], `${key} at frame ${i}`);
+    }
+    thighs.add(m.pose.thigh);
+  }
+  assert.ok(thighs.size > 10, 'the walk keys keep animating');
+  assert.ok(m.pose.winkL > 0.9, `winkL mid-wink: ${m.pose.winkL}`);
+  assert.ok(m.pose.neck > walking.pose.neck, 'head cocked');
+
+  for (let i = 0; i < 30; ++i) m.update(0.016);
+  assert.equal(m.pose.winkL, 0, 'the eye opens again');
+});
+
+test('PeacockRig animator: a wink over a retargeted fade keeps the neck smooth', () => {
+  const m = PeacockRig.createAnimator(REST);
+  m.trigger('wink');
+  for (let i = 0; i < 10; ++i) m.update(0.016);
+  m.set('fan', true);
+  for (let i = 0; i < 6; ++i) m.update(0.016);
+  const before = m.pose.neck;
+  m.set('fan', false).update(0.016);
+  near(m.pose.neck, before, 'neck', 1);
+});
+
+test('PeacockRig clips return every key of a pose', () => {
+  const keys = Object.keys(PeacockRig.restPose(REST)).sort();
+  for (const name in PeacockRig.clips) {
+    const pose = PeacockRig.clips[name].sample(0.3, { rest: REST });
+    assert.deepEqual(Object.keys(pose).sort(), keys, name);
+  }
+});
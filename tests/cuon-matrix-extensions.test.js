@@ -0,0 +1,124 @@
+// Checks for the API the shared lib adds on top of the textbook copy:
+// quaternions, TRS decompose/compose, out-parameter helpers and bounding volumes.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadCuon } = require('./load-cuon');
+
+const { Matrix4, Vector3, Quaternion, MatrixStack, AABB, Sphere, Plane, Ray, Frustum } =
+  loadCuon('lib/cuon-matrix.js');
+
+const EPS = 1e-5;
+
+function assertClose(actual, expected, msg, eps = EPS) {
+  assert.equal(actual.length, expected.length, `${msg}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps,
+      `${msg}: [${i}] is ${actual[i]}, expected ${expected[i]}`);
+  }
+}
+
+test('setFromQuaternion matches setRotate', () => {
+  const q = new Quaternion().setFromAxisAngle(70, 1, -2, 0.5);
+  const fromQ = new Matrix4().setFromQuaternion(q);
+  assertClose(fromQ.elements, new Matrix4().setRotate(70, 1, -2, 0.5).elements, 'rotation');
+});
+
+test('Quaternion.setFromEuler matches the same rotate() calls', () => {
+  const q = new Quaternion().setFromEuler(20, 30, 40, 'YXZ');
+  const m = new Matrix4().rotate(30, 0, 1, 0).rotate(20, 1, 0, 0).rotate(40, 0, 0, 1);
+  assertClose(q.toMatrix4().elements, m.elements, 'YXZ');
+  assert.throws(() => new Quaternion().setFromEuler(0, 0, 0, 'XXY'), /invalid euler order/);
+});
+
+test('Quaternion.slerp is halfway at t = 0.5 and takes the short arc', () => {
+  const a = new Quaternion();
+  const b = new Quaternion().setFromAxisAngle(90, 0, 1, 0);
+  const half = Quaternion.slerp(a, b, 0.5);
+  assertClose(half.elements, new Quaternion().setFromAxisAngle(45, 0, 1, 0).elements, 'halfway');
+
+  const negB = new Quaternion(b.elements.map((x) => -x));
+  assertClose(Quaternion.slerp(a, negB, 0.5).toMatrix4().elements, half.toMatrix4().elements, 'short arc');
+});
+
+test('decompose inverts compose', () => {
+  const t = new Vector3([1, -2, 3]);
+  const r = new Quaternion().setFromAxisAngle(33, 1, 1, 0);
+  const s = new Vector3([2, 0.5, 1.5]);
+  const m = new Matrix4().compose(t, r, s);
+  const d = m.decompose();
+  assertClose(d.translation.elements, t.elements, 'translation');
+  assertClose(d.scale.elements, s.elements, 'scale');
+  assertClose(new Matrix4().compose(d.translation, d.rotation, d.scale).elements, m.elements, 'round trip');
+});
+
+test('Matrix4.multiply and multiplyVector3 are safe when out aliases an input', () => {
+  const a = new Matrix4().setRotate(30, 0, 0, 1).translate(1, 2, 3);
+  const b = new Matrix4().setScale(2, 3, 4);
+  const expected = new Matrix4(a).multiply(b).elements;
+  assertClose(Matrix4.multiply(a, b, a).elements, expected, 'out = a');
+
+  const v = new Vector3([1, 2, 3]);
+  const want = b.multiplyVector3(v).elements;
+  assertClose(b.multiplyVector3(v, v).elements, want, 'out = pos');
+});
+
+test('MatrixStack reuses its slots and grows past capacity', () => {
+  const stack = new MatrixStack(1);
+  const first = stack.push(new Matrix4().setTranslate(1, 0, 0));
+  stack.push(new Matrix4().setTranslate(2, 0, 0));
+  assert.equal(stack.pop().elements[12], 2);
+  assert.equal(stack.pop(), first);
+  assert.equal(stack.pop(), null);
+  assert.equal(stack.push(new Matrix4()), first);
+});
+
+test('ray intersections', () => {
+  const box = new AABB([0, 0, 0], [1, 1, 1]);
+  assert.equal(new Ray([-1, 0.5, 0.5], [1, 0, 0]).intersectAABB(box), 1);
+  assert.equal(new Ray([-1, 2, 0.5], [1, 0, 0]).intersectAABB(box), null);
+  assert.equal(new Ray([0.5, 0.5, 0.5], [1, 0, 0]).intersectAABB(box), 0.5);
+
+  assert.equal(new Ray([0, 0, 0], [0, 0, -1]).intersectSphere(new Sphere([0, 0, -5], 1)), 4);
+  assert.equal(new Ray([0, 5, 0], [0, -1, 0]).intersectPlane(new Plane([0, 1, 0], 0)), 5);
+  assert.equal(new Ray([0, 5, 0], [0, 1, 0]).intersectPlane(new Plane([0, 1, 0], 0)), null);
+
+  const tri = [[0, 0, 0], [1, 0, 0], [0, 1, 0]];
+  assert.equal(new Ray([0.2, 0.2, 1], [0, 0, -1]).intersectTriangle(...tri), 1);
+  assert.equal(new Ray([0.8, 0.8, 1], [0, 0, -1]).intersectTriangle(...tri), null);
+  assert.equal(new Ray([0.2, 0.2, -1], [0, 0, 1]).intersectTriangle(...tri, true), null);
+});
+
+test('box and sphere overlap', () => {
+  const box = new AABB([0, 0, 0], [1, 1, 1]);
+  assert.ok(box.intersectsAABB(new AABB([1, 1, 1], [2, 2, 2])));
+  assert.ok(!box.intersectsAABB(new AABB([1.1, 0, 0], [2, 1, 1])));
+  assert.ok(box.intersectsSphere(new Sphere([2, 0.5, 0.5], 1)));
+  assert.ok(!box.intersectsSphere(new Sphere([2.1, 0.5, 0.5], 1)));
+});
+
+test('Frustum culls boxes outside the view volume', () => {
+  const vp = new Matrix4().setPerspective(60, 1, 0.1, 100).lookAt(0, 0, 0, 0, 0, -1, 0, 1, 0);
+  const f = new Frustum(vp);
+  assert.ok(f.intersectsAABB(new AABB([-1, -1, -11], [1, 1, -9])));
+  assert.ok(!f.intersectsAABB(new AABB([-1, -1, 9], [1, 1, 11])), 'behind');
+  assert.ok(!f.intersectsAABB(new AABB([-1, -1, -200], [1, 1, -150])), 'past far');
+  assert.ok(!f.intersectsAABB(new AABB([50, -1, -11], [52, 1, -9])), 'off to the side');
+});
+
+test('Ray.setFromScreen goes through the screen center along the view direction', () => {
+  const vp = new Matrix4().setPerspective(60, 1, 0.1, 100).lookAt(0, 0, 0, 0, 0, -1, 0, 1, 0);
+  const ray = new Ray().setFromScreen(0, 0, new Matrix4().setInverseOf(vp));
+  assertClose(ray.origin.elements, [0, 0, -0.1], 'origin on near plane');
+  assertClose(ray.direction.elements, [0, 0, -1], 'direction');
+});
+
+test('lib/cuon.mjs re-exports the shared libraries', async () => {
+  const mod = await import('../lib/cuon.mjs');
+  for (const name of ['Matrix4', 'Vector3', 'Quaternion', 'Ray', 'Frustum',
+                      'SceneNode', 'AnimationStateMachine', 'IK', 'PeacockRig',
+                      'initShaders', 'getWebGLContext', 'WebGLUtils', 'WebGLDebugUtils']) {
+    assert.ok(mod[name], `${name} is exported`);
+  }
+  const r = new mod.Matrix4().setRotate(90, 0, 0, 1).multiplyVector3(new mod.Vector3([1, 0, 0]));
+  assertClose(r.elements, [0, 1, 0], 'rotated');
+});
@@ -0,0 +1,221 @@
+// Numeric checks for every copy of cuon-matrix, plus a parity report between copies.
+// Run from the repo root with:  node --test tests/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { COPIES, loadCuon } = require('./load-cuon');
+
+const EPS = 1e-5;
+
+function assertClose(actual, expected, msg, eps = EPS) {
+  assert.equal(actual.length, expected.length, `${msg}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps,
+      `${msg}: [${i}] is ${actual[i]}, expected ${expected[i]}`);
+  }
+}
+
+const IDENTITY = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// Apply a Matrix4 to a point (w = 1) and return the divided [x, y, z].
+function transformPoint(lib, m, p) {
+  const v = m.multiplyVector4(new lib.Vector4([p[0], p[1], p[2], 1])).elements;
+  return [v[0] / v[3], v[1] / v[3], v[2] / v[3]];
+}
+
+// A well-conditioned, non-trivial transform built only from set* methods and
+// multiply, so a bug in rotate/translate/scale can't hide in the fixture.
+function sampleMatrix(lib) {
+  const m = new lib.Matrix4().setTranslate(1.5, -2, 3);
+  m.multiply(new lib.Matrix4().setRotate(37, 0.3, 1, -0.2));
+  m.multiply(new lib.Matrix4().setScale(2, 0.5, 1.25));
+  return m;
+}
+
+for (const copy of COPIES) {
+  const lib = loadCuon(copy);
+
+  test(`${copy}: setInverseOf gives M * M^-1 = I`, () => {
+    const m = sampleMatrix(lib);
+    const inv = new lib.Matrix4().setInverseOf(m);
+    assertClose(new lib.Matrix4(m).multiply(inv).elements, IDENTITY, 'M * M^-1');
+    assertClose(new lib.Matrix4(inv).multiply(m).elements, IDENTITY, 'M^-1 * M');
+
+    const p = new lib.Matrix4().setPerspective(50, 1.5, 0.1, 100);
+    const pinv = new lib.Matrix4(p).invert();
+    assertClose(pinv.multiply(p).elements, IDENTITY, 'perspective invert', 1e-4);
+  });
+
+  test(`${copy}: setInverseOf leaves a singular matrix unchanged`, () => {
+    const target = sampleMatrix(lib);
+    const before = Array.from(target.elements);
+    target.setInverseOf(new lib.Matrix4().setScale(1, 0, 1));
+    assert.deepEqual(Array.from(target.elements), before);
+  });
+
+  test(`${copy}: transpose is an involution`, () => {
+    const m = sampleMatrix(lib);
+    const t = new lib.Matrix4(m).transpose();
+    assert.equal(t.elements[1], m.elements[4]);
+    assertClose(t.transpose().elements, m.elements, 'transpose twice');
+  });
+
+  test(`${copy}: setRotate follows the right-hand rule`, () => {
+    const r = new lib.Matrix4().setRotate(90, 0, 0, 1);
+    assertClose(transformPoint(lib, r, [1, 0, 0]), [0, 1, 0], 'x -> y');
+    const ry = new lib.Matrix4().setRotate(90, 0, 1, 0);
+    assertClose(transformPoint(lib, ry, [0, 0, 1]), [1, 0, 0], 'z -> x');
+  });
+
+  test(`${copy}: setLookAt is orthonormal and maps the eye to the origin`, () => {
+    const eye = [3, 4, 5], center = [-1, 0.5, 2];
+    const v = new lib.Matrix4().setLookAt(eye[0], eye[1], eye[2],
+                                          center[0], center[1], center[2], 0, 1, 0);
+    const e = v.elements;
+    const rows = [[e[0], e[4], e[8]], [e[1], e[5], e[9]], [e[2], e[6], e[10]]];
+    for (let i = 0; i < 3; i++) {
+      for (let j = 0; j < 3; j++) {
+        const d = rows[i][0] * rows[j][0] + rows[i][1] * rows[j][1] + rows[i][2] * rows[j][2];
+        assert.ok(Math.abs(d - (i === j ? 1 : 0)) <= EPS, `rows ${i},${j} dot = ${d}`);
+      }
+    }
+    assertClose(transformPoint(lib, v, eye), [0, 0, 0], 'eye');
+
+    // the target lands on -Z at its distance from the eye
+    const dist = Math.hypot(center[0] - eye[0], center[1] - eye[1], center[2] - eye[2]);
+    assertClose(transformPoint(lib, v, center), [0, 0, -dist], 'center');
+  });
+
+  test(`${copy}: setPerspective maps near/far to -1/+1 and the fov edge to y = 1`, () => {
+    const near = 0.5, far = 40, fovy = 60, aspect = 2;
+    const p = new lib.Matrix4().setPerspective(fovy, aspect, near, far);
+    assert.ok(Math.abs(transformPoint(lib, p, [0, 0, -near])[2] + 1) <= EPS, 'near plane');
+    assert.ok(Math.abs(transformPoint(lib, p, [0, 0, -far])[2] - 1) <= 1e-4, 'far plane');
+
+    const h = Math.tan((fovy / 2) * Math.PI / 180) * 10;
+    assertClose(transformPoint(lib, p, [h * aspect, h, -10]).slice(0, 2), [1, 1], 'frustum corner');
+  });
+
+  test(`${copy}: setOrtho maps the box onto the clip cube`, () => {
+    const o = new lib.Matrix4().setOrtho(-2, 4, -1, 3, 1, 11);
+    assertClose(transformPoint(lib, o, [-2, -1, -1]), [-1, -1, -1], 'min corner');
+    assertClose(transformPoint(lib, o, [4, 3, -11]), [1, 1, 1], 'max corner');
+  });
+
+  test(`${copy}: dropShadow projects points onto the plane along the light ray`, () => {
+    const plane = [0, 1, 0, 0];           // y = 0
+    const light = [2, 10, -1, 1];         // point light
+    const s = new lib.Matrix4().dropShadow(plane, light);
+    const p = [1, 3, 2];
+    const q = transformPoint(lib, s, p);
+    assert.ok(Math.abs(q[1]) <= EPS, `shadow y = ${q[1]}`);
+
+    // light, p and its shadow are collinear
+    const a = [p[0] - light[0], p[1] - light[1], p[2] - light[2]];
+    const b = [q[0] - light[0], q[1] - light[1], q[2] - light[2]];
+    const cross = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+    assertClose(cross, [0, 0, 0], 'collinear', 1e-4);
+
+    // directional light: shadow is offset along the light direction
+    const d = new lib.Matrix4().dropShadowDirectionally(0, 1, 0, 0, 0, 0, 1, 1, 0);
+    assertClose(transformPoint(lib, d, [0, 2, 0]), [-2, 0, 0], 'directional');
+  });
+
+  test(`${copy}: multiplyVector3 applies rotation, scale and translation`, () => {
+    const m = new lib.Matrix4().setTranslate(1, 2, 3);
+    m.multiply(new lib.Matrix4().setScale(2, 2, 2));
+    assertClose(m.multiplyVector3(new lib.Vector3([1, 1, 1])).elements, [3, 4, 5], 'point');
+  });
+
+  test(`${copy}: Vector3.normalize`, () => {
+    assertClose(new lib.Vector3([3, 0, 4]).normalize().elements, [0.6, 0, 0.8], 'unit');
+    assertClose(new lib.Vector3([0, 0, 0]).normalize().elements, [0, 0, 0], 'zero stays zero');
+  });
+}
+
+// ===== Parity between copies =====
+// Each probe runs the same calls on every copy. Numbers that disagree with the
+// reference copy fail the test; a method that is missing, throws or returns a
+// different kind of value is only reported (see the # lines in the output),
+// since some copies intentionally extend or fix the API.
+
+const PROBES = {
+  'concat/multiply': (lib) => sampleMatrix(lib).elements,
+  'setInverseOf': (lib) => new lib.Matrix4().setInverseOf(sampleMatrix(lib)).elements,
+  'transpose': (lib) => sampleMatrix(lib).transpose().elements,
+  'setOrtho': (lib) => new lib.Matrix4().setOrtho(-2, 4, -1, 3, 1, 11).elements,
+  'ortho': (lib) => sampleMatrix(lib).ortho(-2, 4, -1, 3, 1, 11).elements,
+  'setFrustum': (lib) => new lib.Matrix4().setFrustum(-1, 1, -0.5, 0.5, 1, 50).elements,
+  'frustum': (lib) => sampleMatrix(lib).frustum(-1, 1, -0.5, 0.5, 1, 50).elements,
+  'setPerspective': (lib) => new lib.Matrix4().setPerspective(60, 1.5, 0.1, 100).elements,
+  'perspective': (lib) => sampleMatrix(lib).perspective(60, 1.5, 0.1, 100).elements,
+  'setScale/scale': (lib) => sampleMatrix(lib).scale(2, 3, 4).elements,
+  'setTranslate/translate': (lib) => sampleMatrix(lib).translate(2, 3, 4).elements,
+  'setRotate': (lib) => new lib.Matrix4().setRotate(33, 1, 2, 3).elements,
+  'setRotate (axis)': (lib) => new lib.Matrix4().setRotate(33, 0, 0, 1).elements,
+  'rotate': (lib) => sampleMatrix(lib).rotate(33, 1, 2, 3).elements,
+  'setLookAt': (lib) => new lib.Matrix4().setLookAt(3, 4, 5, -1, 0.5, 2, 0, 1, 0).elements,
+  'lookAt': (lib) => sampleMatrix(lib).lookAt(3, 4, 5, -1, 0.5, 2, 0, 1, 0).elements,
+  'dropShadow': (lib) => new lib.Matrix4().dropShadow([0, 1, 0, 0], [2, 10, -1, 1]).elements,
+  'dropShadowDirectionally': (lib) =>
+    new lib.Matrix4().dropShadowDirectionally(0, 1, 0, 0, 0, 0, 1, 1, 0).elements,
+  'multiplyVector3': (lib) => sampleMatrix(lib).multiplyVector3(new lib.Vector3([1, 2, 3])).elements,
+  'multiplyVector4': (lib) =>
+    sampleMatrix(lib).multiplyVector4(new lib.Vector4([1, 2, 3, 0.5])).elements,
+  'set returns': (lib) => {
+    const m = sampleMatrix(lib);
+    return m.set(sampleMatrix(lib)) === m ? 'this' : 'not this';
+  },
+  'set (self) returns': (lib) => {
+    const m = sampleMatrix(lib);
+    return m.set(m) === m ? 'this' : 'not this';
+  },
+  'Vector3.normalize': (lib) => new lib.Vector3([1, 2, 2]).normalize().elements,
+  'Vector3 from Vector3': (lib) => new lib.Vector3(new lib.Vector3([1, 2, 3])).elements,
+  'Vector4 from array': (lib) => new lib.Vector4([1, 2, 3, 4]).elements,
+};
+
+function runProbe(lib, probe) {
+  try {
+    const v = probe(lib);
+    return (typeof v === 'string') ? v : Array.from(v);
+  } catch (err) {
+    return (err instanceof TypeError && /is not a (function|constructor)/.test(err.message))
+      ? 'missing'
+      : `throws ${err.message}`;
+  }
+}
+
+function describe(result) {
+  return Array.isArray(result) ? `gives [${result}]` : result;
+}
+
+function sameNumbers(a, b) {
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (Number.isNaN(a[i]) && Number.isNaN(b[i])) continue;
+    if (!(Math.abs(a[i] - b[i]) <= EPS)) return false;
+  }
+  return true;
+}
+
+test('copies agree with the reference copy', (t) => {
+  const libs = COPIES.map(loadCuon);
+  const ref = libs[0];
+  const mismatches = [];
+
+  for (const [name, probe] of Object.entries(PROBES)) {
+    const expected = runProbe(ref, probe);
+    for (const lib of libs.slice(1)) {
+      const actual = runProbe(lib, probe);
+      if (Array.isArray(expected) && Array.isArray(actual)) {
+        if (!sameNumbers(actual, expected)) {
+          mismatches.push(`${name}: ${lib.name} gives [${actual}], ${ref.name} gives [${expected}]`);
+        }
+      } else if (String(actual) !== String(expected)) {
+        t.diagnostic(`${name}: ${lib.name} ${describe(actual)} (${ref.name} ${describe(expected)})`);
+      }
+    }
+  }
+
+  assert.deepEqual(mismatches, []);
+});
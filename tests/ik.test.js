@@ -0,0 +1,183 @@
+// Checks for lib/ik.js and the peacock's plantFeet / lookAt in lib/peacock.js.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadScripts } = require('./load-cuon');
+
+const { Matrix4, Vector3, IK, PeacockRig } = loadScripts(
+  ['lib/cuon-matrix.js', 'lib/scene-graph.js', 'lib/anim-state-machine.js', 'lib/ik.js', 'lib/peacock.js'],
+  ['Matrix4', 'Vector3', 'IK', 'PeacockRig']);
+
+const PEACOCK = JSON.parse(fs.readFileSync(path.join(ROOT, 'lib/peacock.json'), 'utf8'));
+const REST = { thigh: 20, calf: -20, foot: 10, neck: 15, wing: 10, tailSpread: 180, featherCount: 10 };
+
+function near(actual, expected, msg, eps = 1e-4) {
+  assert.ok(Math.abs(actual - expected) <= eps, `${msg}: ${actual}, expected ${expected}`);
+}
+
+// End of a two-bone chain in the plane, for angles from solveTwoBone
+function reach(l1, l2, s) {
+  const a = s.upper * Math.PI / 180, b = (s.upper + s.lower) * Math.PI / 180;
+  return [l1 * Math.cos(a) + l2 * Math.cos(b), l1 * Math.sin(a) + l2 * Math.sin(b)];
+}
+
+test('IK.solveTwoBone reaches targets in range, on either side', () => {
+  for (const [x, y] of [[1.2, 0.3], [-0.4, 0.9], [0.5, -0.2]]) {
+    for (const bend of [1, -1]) {
+      const s = IK.solveTwoBone(1, 0.8, x, y, bend);
+      assert.ok(s.reached);
+      const [ex, ey] = reach(1, 0.8, s);
+      near(ex, x, 'x'); near(ey, y, 'y');
+      assert.equal(Math.sign(s.lower), -bend, 'bend side');
+    }
+  }
+});
+
+test('IK.solveTwoBone stretches toward a target out of reach', () => {
+  const s = IK.solveTwoBone(1, 0.8, 0, 5);
+  assert.equal(s.reached, false);
+  near(s.upper, 90, 'points at it', 0.01);
+  near(s.lower, 0, 'straight', 0.01);
+});
+
+test('IK.solveTwoBone clamps to its limits and says it missed', () => {
+  const free = IK.solveTwoBone(1, 0.8, -0.4, 0.9);
+  assert.ok(free.upper > 120, `upper ${free.upper}`);
+  const s = IK.solveTwoBone(1, 0.8, -0.4, 0.9, 1, { upper: [-90, 90], lower: [-150, 0] });
+  assert.equal(s.upper, 90);
+  near(s.lower, free.lower, 'the other joint is left alone');
+  assert.equal(s.reached, false);
+  assert.equal(IK.solveTwoBone(1, 0.8, 1.2, 0.3, 1, { lower: [-150, 0] }).reached, true, 'within them');
+});
+
+test('IK.yawPitch', () => {
+  near(IK.yawPitch(0, 0, 1).yaw, 0, 'ahead');
+  near(IK.yawPitch(1, 0, 0).yaw, 90, 'left');
+  near(IK.yawPitch(0, 1, 1).pitch, 45, 'up');
+});
+
+function soleY(rig, leg, M) {
+  rig.root.updateWorldMatrix(M);
+  return leg.foot.worldMatrix.multiplyVector3(rig.soleOffset).elements[1];
+}
+
+test('PeacockRig.plantFeet leaves a pose standing on the floor alone', () => {
+  const rig = new PeacockRig(PEACOCK).pose(PeacockRig.restPose(REST));
+  rig.plantFeet(() => rig.floorY);
+  assert.equal(rig.parts.leftThigh.angle, 20);
+  assert.equal(rig.parts.rightCalf.angle, -20);
+});
+
+test('PeacockRig.plantFeet puts each sole on its own ground, keeping the foot pitch', () => {
+  const rig = new PeacockRig(PEACOCK).pose(PeacockRig.restPose(REST));
+  rig.plantFeet((x) => rig.floorY + (x > 0 ? 0.15 : -0.005));
+  const [left, right] = rig.legs;
+  near(soleY(rig, left), rig.floorY + 0.15, 'left sole up the step');
+  near(soleY(rig, right), rig.floorY - 0.005, 'right sole down');
+  near(left.thigh.angle + left.calf.angle + left.foot.angle, 10, 'foot pitch');
+});
+
+function assertLegLimits(rig) {
+  for (const leg of rig.legs) {
+    assert.ok(Math.abs(leg.thigh.angle) <= 90, `thigh ${leg.thigh.angle}`);
+    assert.ok(leg.calf.angle <= 0 && leg.calf.angle >= -150, `the knee bends back: ${leg.calf.angle}`);
+  }
+}
+
+test('PeacockRig.plantFeet lowers the body for a foot that has to go down', () => {
+  const rig = new PeacockRig(PEACOCK).pose(PeacockRig.restPose(REST));
+  rig.plantFeet(() => rig.floorY - 0.2);
+  const [left, right] = rig.legs;
+  near(soleY(rig, left), rig.floorY - 0.2, 'left sole down');
+  near(soleY(rig, right), rig.floorY - 0.2, 'right sole down');
+  near(rig.root.translation.elements[1], -0.2, 'by lowering the body');
+  assert.equal(left.thigh.angle, 20, 'legs as posed');
+  assert.equal(left.calf.angle, -20);
+
+  // ground a block above the hip would fold the thigh up through the body
+  rig.pose(PeacockRig.restPose(REST)).plantFeet(() => rig.floorY + 0.833);
+  assert.equal(left.thigh.angle, 20, 'out of reach: the pose stays');
+  assert.equal(left.calf.angle, -20);
+  near(rig.root.translation.elements[1], 0, 'body not lowered');
+});
+
+test('PeacockRig.plantFeet over a step, astride two columns as in asgn3', () => {
+  const step = 0.4;
+  const M = new Matrix4().translate(16, step + 1, 14.5).scale(1.2, 1.2, 1.2).rotate(180, 0, 1, 0);
+  const column = (x) => (Math.floor(x) >= 16 ? step : 0);
+  const pose = { ...PeacockRig.restPose(REST), bodyPitch: 30, bodyDrop: 0.15 };
+  const rig = new PeacockRig(PEACOCK).pose(pose).plantFeet(column, M);
+  const [left, right] = rig.legs;
+
+  rig.root.updateWorldMatrix(M);
+  const up = right.foot.worldMatrix.multiplyVector3(rig.soleOffset).elements;
+  assert.ok(up[0] > 16, `right foot over the step: x = ${up[0]}`);
+  near(up[1], step, 'planted on the step');
+  const down = left.foot.worldMatrix.multiplyVector3(rig.soleOffset).elements;
+  assert.ok(down[0] < 16, `left foot beside it: x = ${down[0]}`);
+  near(down[1], 0, 'planted below it');
+  assertLegLimits(rig);
+
+  // a whole block is more than the legs can bend for: the body goes down as far
+  // as they let it, and no joint passes its limits
+  const onBlock = new Matrix4().translate(16, 2, 14.5).scale(1.2, 1.2, 1.2).rotate(180, 0, 1, 0);
+  rig.pose(pose).plantFeet((x) => (Math.floor(x) >= 16 ? 1 : 0), onBlock);
+  assertLegLimits(rig);
+  assert.ok(rig.root.translation.elements[1] >= -0.15 - PeacockRig.PLANT_MAX_DROP - 1e-9);
+});
+
+test('PeacockRig.plantFeet works in world space and keeps a lifted foot lifted', () => {
+  const M = new Matrix4().translate(16.5, 5, 16.5).scale(1.2, 1.2, 1.2).rotate(180, 0, 1, 0);
+  const pose = { ...PeacockRig.restPose(REST), bodyPitch: 20, bodyDrop: 0.1 };
+  const rig = new PeacockRig(PEACOCK).pose(pose).plantFeet(() => 4, M);
+  near(soleY(rig, rig.legs[0], M), 4, 'on the block top');
+
+  // a foot the pose lifts 0.1 above the floor stays 0.1 (times the scale) above the ground
+  rig.pose({ ...PeacockRig.restPose(REST), foot: 0, calf: 0, thigh: 0 });
+  const lift = soleY(rig, rig.legs[0]) - rig.floorY;
+  assert.ok(lift < 0, 'a straight leg reaches below the floor');
+  rig.pose({ ...PeacockRig.restPose(REST), thigh: 60, calf: -100 });
+  const raised = soleY(rig, rig.legs[0]) - rig.floorY;
+  rig.plantFeet(() => 4, M);
+  near(soleY(rig, rig.legs[0], M), 4 + 1.2 * raised, 'lift kept');
+});
+
+test('PeacockRig.lookAt turns the head toward the target, and gives up behind it', () => {
+  const rig = new PeacockRig(PEACOCK);
+  rig.pose(PeacockRig.restPose(REST)).root.updateWorldMatrix();
+  const head = rig.parts.head.getWorldPosition(new Vector3()).elements;
+  const ahead = new Vector3([head[0] + 2, head[1], head[2] + 2]);   // 45 degrees to the left, level
+  rig.lookAt(ahead);
+  near(rig.parts.head.angle, 46, 'yaw (the neck leans 15 degrees)', 1);
+  near(rig.parts.neck.angle, 15, 'level already');
+
+  rig.pose(PeacockRig.restPose(REST)).lookAt(new Vector3([0, 0.7, -3]));
+  assert.equal(rig.parts.head.angle, 0, 'target behind');
+  assert.equal(rig.parts.neck.angle, 15);
+
+  rig.pose(PeacockRig.restPose(REST)).lookAt(ahead, null, 0.5);
+  near(rig.parts.head.angle, 23, 'half weight', 1);
+});
+
+test('PeacockRig.drawInWorld plants, looks at a viewer in range and draws', () => {
+  const M = new Matrix4().translate(16.5, 1, 16.5).scale(1.2, 1.2, 1.2);
+  const rig = new PeacockRig(PEACOCK);
+  let meshes = 0;
+  const far = new Vector3([16.5 + 20, 1.5, 16.5 + 20]);
+  rig.drawInWorld(PeacockRig.restPose(REST), M, () => 0, far, () => { meshes++; });
+  assert.ok(meshes > 20, `${meshes} meshes drawn`);
+  assert.equal(rig.parts.head.angle, 0, 'out of range');
+  near(soleY(rig, rig.legs[0], M), 0, 'planted');
+
+  const close = new Vector3([16.5 + 2, 1.5, 16.5 + 2]);
+  rig.drawInWorld(PeacockRig.restPose(REST), M, () => 0, close, () => {});
+  assert.ok(rig.parts.head.angle > 30, `head turned ${rig.parts.head.angle}`);
+  rig.drawInWorld({ ...PeacockRig.restPose(REST), look: 0 }, M, () => 0, close, () => {});
+  assert.equal(rig.parts.head.angle, 0, 'the pose switched it off');
+});
+
+test('the poke clip switches lookAt off', () => {
+  assert.equal(PeacockRig.clips.poke.sample(0.5, { rest: REST }).look, 0);
+  assert.equal(PeacockRig.clips.walk.sample(0.5, { rest: REST }).look, 1);
+});
@@ -0,0 +1,42 @@
+// Loads browser copies of cuon-matrix into a sandbox so they can be tested
+// from Node without a page. Each copy gets its own context, so globals from one
+// copy never leak into another.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// The shared library every asgnN page loads, and the textbook original it grew
+// from; the first one is the reference for parity checks.
+const COPIES = [
+  'examples/lib/cuon-matrix.js',
+  'lib/cuon-matrix.js',
+];
+
+// The copies declare their types with var/class at top level; class bindings are
+// not properties of the context, so pull everything out by name instead.
+const EXPORTS = ['Matrix4', 'Vector2', 'Vector3', 'Vector4', 'Quaternion',
+                 'MatrixStack', 'ScratchPool', 'AABB', 'Sphere', 'Plane', 'Ray', 'Frustum'];
+
+function loadCuon(relPath) {
+  return loadScripts([relPath], EXPORTS);
+}
+
+// Runs several classic scripts in one shared context (e.g. cuon-matrix.js and
+// something built on it) and pulls out the given names.
+function loadScripts(relPaths, names) {
+  const ctx = vm.createContext({ console, Float32Array, Math });
+  for (const relPath of relPaths) {
+    const file = path.join(ROOT, relPath);
+    vm.runInContext(fs.readFileSync(file, 'utf8'), ctx, { filename: file });
+  }
+
+  const lib = { name: relPaths.join(' + ') };
+  for (const name of names) {
+    lib[name] = vm.runInContext(`typeof ${name} === 'undefined' ? undefined : ${name}`, ctx);
+  }
+  return lib;
+}
+
+module.exports = { COPIES, ROOT, loadCuon, loadScripts };
@@ -0,0 +1,187 @@
+// Checks for lib/scene-graph.js and the peacock rig built from lib/peacock.json.
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { ROOT, loadScripts } = require('./load-cuon');
+
+const { Matrix4, Ray, SceneNode, PeacockRig } = loadScripts(
+  ['lib/cuon-matrix.js', 'lib/scene-graph.js', 'lib/anim-state-machine.js', 'lib/ik.js', 'lib/peacock.js'],
+  ['Matrix4', 'Ray', 'SceneNode', 'PeacockRig']);
+
+const PEACOCK = JSON.parse(fs.readFileSync(path.join(ROOT, 'lib/peacock.json'), 'utf8'));
+
+function assertClose(actual, expected, msg, eps = 1e-5) {
+  assert.equal(actual.length, expected.length, `${msg}: length`);
+  for (let i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps,
+      `${msg}: [${i}] is ${actual[i]}, expected ${expected[i]}`);
+  }
+}
+
+// The cubes asgn2's drawAnimal drew before the rig existed, as [matrix, color]
+// in draw order: the hard-coded translate/rotate/scale chain, condensed.
+function hardCodedPeacock(p) {
+  const out = [];
+  const cube = (base, t, r, s, color) => {
+    const m = new Matrix4(base).translate(...t);
+    if (r) m.rotate(...r);
+    out.push([m.scale(...s).elements, color]);
+  };
+  const leg = [0.65, 0.55, 0.30, 1.0];
+
+  const body = new Matrix4().translate(0, -p.bodyDrop, 0).rotate(p.bodyPitch, 1, 0, 0);
+  cube(body, [0, 0, 0], null, [0.85, 0.40, 0.55], [0.10, 0.35, 0.55, 1.0]);
+
+  const neck = new Matrix4(body).translate(0, 0.18, 0.20).rotate(p.neck, 1, 0, 0);
+  cube(neck, [0, 0.24, 0], null, [0.14, 0.48, 0.14], [0.08, 0.30, 0.50, 1.0]);
+  const head = new Matrix4(neck).translate(0, 0.50, 0);
+  cube(head, [0, 0, 0], null, [0.26, 0.20, 0.22], [0.12, 0.40, 0.65, 1.0]);
+  cube(head, [0.075, 0.03, 0.115], null, [0.04, 0.045 * (1 - 0.92 * p.winkL), 0.04], [0.05, 0.05, 0.05, 1.0]);
+  cube(head, [-0.075, 0.03, 0.115], null, [0.04, 0.045 * (1 - 0.92 * p.winkR), 0.04], [0.05, 0.05, 0.05, 1.0]);
+  cube(head, [0, 0, 0.20], null, [0.10, 0.06, 0.22], [0.90, 0.70, 0.15, 1.0]);
+  for (let i = -1; i <= 1; i++) {
+    cube(head, [0.05 * i, 0.18, 0.02], [-25 + 10 * i, 0, 0, 1], [0.04, 0.18, 0.04], [0.20, 0.70, 0.95, 1.0]);
+  }
+
+  const leftWing = new Matrix4(body).translate(0.42, 0.05, 0.05).rotate(-p.wing, 0, 0, 1);
+  cube(leftWing, [0.22, 0, 0], null, [0.55, 0.10, 0.35], [0.08, 0.30, 0.45, 1.0]);
+  const rightWing = new Matrix4(body).translate(-0.42, 0.05, 0.05).rotate(p.wing, 0, 0, 1);
+  cube(rightWing, [-0.22, 0, 0], null, [0.55, 0.10, 0.35], [0.08, 0.30, 0.45, 1.0]);
+
+  for (const [x, thigh, calf, foot] of [[0.18, p.thigh, p.calf, p.foot], [-0.18, p.thighR, p.calfR, p.footR]]) {
+    const L = new Matrix4(body).translate(x, -0.05, 0.10).rotate(thigh, 1, 0, 0);
+    cube(L, [0, -0.18, 0], null, [0.10, 0.35, 0.10], leg);
+    L.translate(0, -0.352, 0).rotate(calf, 1, 0, 0);
+    cube(L, [0, -0.16, 0], null, [0.09, 0.32, 0.09], leg);
+    L.translate(0, -0.322, 0).rotate(foot, 1, 0, 0);
+    cube(L, [0, -0.05, 0.06], null, [0.14, 0.08, 0.24], leg);
+  }
+
+  const tail = new Matrix4(body).translate(0, 0, -0.30).rotate(-10, 1, 0, 0);
+  cube(tail, [0, 0.05, -0.06], null, [0.20, 0.18, 0.18], [0.05, 0.45, 0.35, 1.0]);
+  const n = Math.max(3, Math.floor(p.featherCount));
+  for (let i = 0; i < n; i++) {
+    const a = -p.tailSpread * 0.5 + (p.tailSpread * i) / (n - 1);
+    const pivot = new Matrix4(tail).translate(0, 0.10, -0.02).rotate(a, 0, 0, 1).rotate(-35, 1, 0, 0);
+    cube(pivot, [0, 0.475, 0], null, [0.06, 0.95, 0.03], (i % 2) ? [0.10, 0.55, 0.20, 1.0] : [0.05, 0.45, 0.35, 1.0]);
+    const tip = new Matrix4(pivot).translate(0, 0.95, 0);
+    cube(tip, [0, 0.04, 0], null, [0.18, 0.12, 0.06], [0.90, 0.85, 0.15, 1.0]);
+    cube(tip, [0, 0.04, 0.006], null, [0.13, 0.09, 0.05], [0.05, 0.60, 0.55, 1.0]);
+    cube(tip, [0, 0.04, 0.012], null, [0.07, 0.05, 0.04], [0.05, 0.10, 0.12, 1.0]);
+  }
+  return out;
+}
+
+const POSE = {
+  thigh: 25, calf: -30, foot: 12, thighR: -25, calfR: 30, footR: -12,
+  neck: 18, wing: 40, tailSpread: 150, featherCount: 7,
+  bodyPitch: 20, bodyDrop: 0.1, winkL: 0, winkR: 0.6,
+};
+
+// Sorted so the check doesn't depend on the order parts are listed in the JSON
+function sortedCubes(list) {
+  return list.map(([m, c]) => [Array.from(m, (v) => +v.toFixed(4)), c])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+}
+
+test('the peacock rig draws the same cubes as the hard-coded drawAnimal', () => {
+  const rig = new PeacockRig(PEACOCK).pose(POSE);
+  const drawn = [];
+  rig.draw((mesh, m, color) => {
+    assert.equal(mesh, 'cube');
+    drawn.push([new Float32Array(m.elements), color]);
+  });
+
+  const expected = sortedCubes(hardCodedPeacock(POSE));
+  const actual = sortedCubes(drawn);
+  assert.equal(actual.length, expected.length);
+  actual.forEach(([m, c], i) => {
+    assertClose(m, expected[i][0], `cube ${i}`, 1e-3);
+    assert.deepEqual(c, expected[i][1]);
+  });
+});
+
+test('the tail fan is rebuilt only when the feather count changes', () => {
+  const rig = new PeacockRig(PEACOCK).pose({ ...POSE, featherCount: 5 });
+  const first = rig.find('feather0');
+  rig.pose({ ...POSE, featherCount: 5.5, tailSpread: 90 });
+  assert.equal(rig.find('feather0'), first);
+  assert.equal(rig.find('feather4').angle, 45);
+
+  rig.pose({ ...POSE, featherCount: 2 });
+  assert.equal(rig.parts.tailFan.children.length, 3, 'at least 3 feathers');
+  assert.equal(rig.find('feather4'), null);
+});
+
+test('PeacockRig.pick finds the nearest part a ray hits', () => {
+  const rig = new PeacockRig(PEACOCK).pose({ ...POSE, bodyPitch: 0, bodyDrop: 0 });
+  rig.draw(() => {}, new Matrix4().translate(5, 0, 0));
+
+  // straight down through the crest (its feathers overlap): it is on top of the head
+  const crest = rig.parts.crestMiddle.getWorldPosition().elements;
+  let hit = rig.pick(new Ray([crest[0], 3, crest[2]], [0, -1, 0]));
+  assert.match(hit.node.name, /^crest/);
+  // from the front at body height, between the legs: the body
+  hit = rig.pick(new Ray([5, -0.1, 5], [0, 0, -1]));
+  assert.equal(hit.node.name, 'bodyMesh');
+  assert.ok(Math.abs(hit.t - (5 - 0.275)) < 1e-4, `t = ${hit.t}`);
+  assert.equal(rig.pick(new Ray([0, 0, 5], [0, 0, -1])), null, 'misses to the side');
+
+  rig.find('bodyMesh').visible = false;
+  assert.equal(rig.pick(new Ray([5, -0.1, 5], [0, 0, -1])), null, 'hidden parts are skipped');
+
+  // a hidden node without a mesh of its own still hides every part under it
+  rig.find('head').visible = false;
+  hit = rig.pick(new Ray([crest[0], 3, crest[2]], [0, -1, 0]));
+  assert.ok(!hit || !/^(crest|head|beak|leftEye|rightEye)/.test(hit.node.name),
+    `picked ${hit && hit.node.name} under the hidden head`);
+});
+
+test('SceneNode: joint angle, world matrices and getWorldPosition', () => {
+  const arm = SceneNode.fromJSON({
+    name: 'shoulder', translate: [1, 0, 0], joint: [0, 0, 1], angle: 90,
+    children: [{ name: 'hand', translate: [2, 0, 0], mesh: 'cube' }],
+  });
+  arm.updateWorldMatrix(new Matrix4().setTranslate(0, 0, 5));
+  assertClose(arm.find('hand').getWorldPosition().elements, [1, 2, 5], 'hand');
+
+  arm.find('hand').visible = false;
+  const drawn = [];
+  arm.draw((mesh, m, color, node) => drawn.push(node.name));
+  assert.deepEqual(drawn, [], 'hidden nodes are skipped');
+});
+
+test('SceneNode: the joint turns after the rest rotation', () => {
+  const node = SceneNode.fromJSON({ joint: [0, 0, 1], angle: 30, rotate: [[-35, 1, 0, 0]] });
+  node.updateLocalMatrix();
+  assertClose(node.localMatrix.elements,
+    new Matrix4().rotate(30, 0, 0, 1).rotate(-35, 1, 0, 0).elements, 'R = joint * rest');
+});
+
+test('SceneNode: toJSON / fromJSON round trip', () => {
+  const rig = new PeacockRig(PEACOCK).pose(POSE);
+  const copy = rig.root.clone();
+  const matrices = (root) => {
+    const list = [];
+    root.draw((mesh, m) => list.push(Array.from(m.elements)));
+    return list;
+  };
+  const a = matrices(rig.root), b = matrices(copy);
+  assert.equal(b.length, a.length);
+  a.forEach((m, i) => assertClose(b[i], m, `cube ${i}`, 1e-4));
+});
+
+test('SceneNode: add moves a node from its old parent', () => {
+  const a = new SceneNode('a'), b = new SceneNode('b'), c = new SceneNode('c');
+  a.add(c);
+  b.add(c);
+  assert.equal(a.children.length, 0);
+  assert.equal(c.parent, b);
+  b.remove(c);
+  assert.equal(c.parent, null);
+});
+
+test('PeacockRig rejects other documents', () => {
+  assert.throws(() => new PeacockRig({ format: 'something-else' }), /scene-graph/);
+});